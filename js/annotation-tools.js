@@ -0,0 +1,504 @@
+/**
+ * Radiograph Image Viewer - Annotation Tools
+ * Arrows, ellipses, rectangles, freehand marks and text labels drawn on the overlay
+ */
+
+import languageManager from './language-manager.js';
+import { screenDistance } from './overlay.js';
+
+/**
+ * Screen distance in pixels within which a click hits a shape or handle
+ * @private
+ */
+const HIT_DISTANCE = 8;
+
+/**
+ * Shapes drawn by dragging from one corner (or the arrow tail) to the other
+ * @private
+ */
+const TWO_POINT_TYPES = ['arrow', 'ellipse', 'rectangle'];
+
+export const DEFAULT_ANNOTATION_COLOR = '#ff3333';
+
+/**
+ * Distance from a point to a line segment
+ * @private
+ */
+function distanceToSegment(p, a, b) {
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const lengthSquared = dx * dx + dy * dy;
+    const t = lengthSquared === 0
+        ? 0
+        : Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / lengthSquared));
+    return Math.hypot(p.x - (a.x + t * dx), p.y - (a.y + t * dy));
+}
+
+/**
+ * AnnotationLayer class holding the teaching annotations of the current image.
+ * Points are stored in image pixel coordinates so annotations follow zoom and pan.
+ * @class
+ */
+export class AnnotationLayer {
+    /**
+     * Create a new annotation layer
+     * @param {RadiographViewer} viewer - Viewer instance
+     */
+    constructor(viewer) {
+        this.viewer = viewer;
+        this.tools = ['select', 'arrow', 'ellipse', 'rectangle', 'freehand', 'text'];
+        this.annotations = [];
+        this.selected = null;
+        this.draft = null;
+        this.drag = null;
+        this.color = DEFAULT_ANNOTATION_COLOR;
+        this.nextId = 1;
+
+        // Text widths measured while drawing, used for hit testing
+        this.textWidths = new WeakMap();
+
+        // Called with the selected annotation (or null) so controls can follow the selection
+        this.onSelectionChange = null;
+    }
+
+    /**
+     * Remove all annotations
+     */
+    reset() {
+        this.annotations = [];
+        this.draft = null;
+        this.drag = null;
+        this.select(null);
+    }
+
+    /**
+     * Move the annotations along with the image. Rectangles and ellipses stay axis-aligned,
+     * spanned by their moved corner points.
+     * @param {Function} map - Maps an {x, y} image point to its new position
+     */
+    mapPoints(map) {
+        this.annotations.forEach(annotation => {
+            annotation.points = annotation.points.map(map);
+        });
+        this.draft = null;
+        this.drag = null;
+    }
+
+    /**
+     * Abandon the shape in progress and clear the selection
+     */
+    cancel() {
+        this.draft = null;
+        this.drag = null;
+        this.select(null);
+    }
+
+    /**
+     * Check if there is anything to draw
+     * @returns {boolean} True if the layer holds annotations
+     */
+    hasAnnotations() {
+        return this.annotations.length > 0;
+    }
+
+    /**
+     * Get a copy of the annotations for the undo history and saving
+     * @returns {Array<Object>} Annotations in image coordinates
+     */
+    getState() {
+        return JSON.parse(JSON.stringify(this.annotations));
+    }
+
+    /**
+     * Replace the annotations, keeping the selection if it still exists
+     * @param {Array<Object>} annotations - Annotations from getState()
+     */
+    setState(annotations) {
+        const selectedId = this.selected ? this.selected.id : null;
+
+        this.annotations = JSON.parse(JSON.stringify(annotations));
+        this.nextId = this.annotations.reduce((max, a) => Math.max(max, a.id || 0), 0) + 1;
+        this.draft = null;
+        this.drag = null;
+        this.select(this.annotations.find(a => a.id === selectedId) || null);
+    }
+
+    /**
+     * Select an annotation
+     * @param {Object|null} annotation - Annotation to select, null to clear the selection
+     */
+    select(annotation) {
+        this.selected = annotation;
+        if (this.onSelectionChange) {
+            this.onSelectionChange(annotation);
+        }
+    }
+
+    /**
+     * Set the colour for new annotations and the selected one
+     * @param {string} color - CSS colour
+     */
+    setColor(color) {
+        this.color = color;
+        if (this.selected) {
+            this.selected.color = color;
+        }
+    }
+
+    /**
+     * Delete the selected annotation
+     * @returns {boolean} True if an annotation was deleted
+     */
+    deleteSelected() {
+        if (!this.selected) return false;
+
+        this.annotations = this.annotations.filter(a => a !== this.selected);
+        this.select(null);
+        return true;
+    }
+
+    onPointerDown(tool, point) {
+        if (tool === 'select') {
+            return this.startDrag(point);
+        }
+
+        if (tool === 'text') {
+            const text = window.prompt(languageManager.get('prompts.annotationText'), '');
+            if (text && text.trim()) {
+                this.add({ type: 'text', points: [point], text: text.trim() });
+            }
+            return true;
+        }
+
+        this.draft = {
+            type: tool,
+            points: tool === 'freehand' ? [point] : [point, point],
+            color: this.color
+        };
+        return true;
+    }
+
+    onPointerMove(tool, point, isDown) {
+        if (!isDown) return;
+
+        if (this.drag) {
+            this.dragTo(point);
+            return;
+        }
+
+        if (!this.draft) return;
+
+        if (this.draft.type === 'freehand') {
+            const last = this.draft.points[this.draft.points.length - 1];
+            if (screenDistance(this.viewer, point, last) >= 2) {
+                this.draft.points.push(point);
+            }
+        } else {
+            this.draft.points[1] = point;
+        }
+    }
+
+    onPointerUp() {
+        this.drag = null;
+
+        if (!this.draft) return;
+        const draft = this.draft;
+        this.draft = null;
+
+        // Ignore clicks that didn't draw anything
+        const points = draft.points;
+        const first = points[0];
+        const extent = Math.max(...points.map(p => screenDistance(this.viewer, p, first)));
+        if (extent < HIT_DISTANCE) return;
+
+        this.add({ type: draft.type, points });
+    }
+
+    onDoubleClick(tool, point) {
+        if (tool !== 'select') return;
+
+        const hit = this.hitTest(point);
+        if (hit && hit.type === 'text') {
+            this.select(hit);
+            this.editText(hit);
+        }
+    }
+
+    onKeyDown(tool, e) {
+        if ((e.key === 'Delete' || e.key === 'Backspace') && this.selected) {
+            return this.deleteSelected();
+        }
+
+        if (e.key === 'Enter' && this.selected && this.selected.type === 'text') {
+            this.editText(this.selected);
+            return true;
+        }
+
+        if (e.key === 'Escape' && (this.draft || this.selected)) {
+            this.cancel();
+            return true;
+        }
+
+        return false;
+    }
+
+    /**
+     * Store a new annotation in the current colour and select it
+     * @private
+     */
+    add(annotation) {
+        annotation.id = this.nextId++;
+        annotation.color = this.color;
+        this.annotations.push(annotation);
+        this.select(annotation);
+        this.viewer.announceToScreenReader(`${languageManager.get(`tools.${annotation.type}`)} annotation added`);
+    }
+
+    /**
+     * Ask for new text for a text annotation
+     * @private
+     */
+    editText(annotation) {
+        const text = window.prompt(languageManager.get('prompts.annotationText'), annotation.text);
+        if (text === null) return;
+
+        if (text.trim()) {
+            annotation.text = text.trim();
+        } else {
+            this.deleteSelected();
+        }
+        this.viewer.overlay.requestRender();
+    }
+
+    /**
+     * Begin moving the annotation or handle under the pointer
+     * @private
+     * @returns {boolean} False if nothing was hit, so the press can pan the image
+     */
+    startDrag(point) {
+        if (this.selected) {
+            const handle = this.getHandles(this.selected)
+                .findIndex(h => screenDistance(this.viewer, point, h) < HIT_DISTANCE);
+            if (handle !== -1) {
+                this.drag = { handle, last: point };
+                return true;
+            }
+        }
+
+        const hit = this.hitTest(point);
+        this.select(hit);
+
+        if (!hit) return false;
+
+        this.drag = { handle: -1, last: point };
+        return true;
+    }
+
+    /**
+     * Move the dragged annotation or handle
+     * @private
+     */
+    dragTo(point) {
+        const annotation = this.selected;
+        if (!annotation) return;
+
+        if (this.drag.handle !== -1) {
+            annotation.points[this.drag.handle] = point;
+        } else {
+            const dx = point.x - this.drag.last.x;
+            const dy = point.y - this.drag.last.y;
+            annotation.points = annotation.points.map(p => ({ x: p.x + dx, y: p.y + dy }));
+        }
+
+        this.drag.last = point;
+    }
+
+    /**
+     * Points that can be dragged to reshape an annotation
+     * @private
+     */
+    getHandles(annotation) {
+        return TWO_POINT_TYPES.includes(annotation.type) ? annotation.points : [];
+    }
+
+    /**
+     * Find the topmost annotation at a point
+     * @param {{x: number, y: number}} point - Point in image coordinates
+     * @returns {Object|null} Annotation or null
+     */
+    hitTest(point) {
+        const tolerance = HIT_DISTANCE / this.viewer.zoom;
+
+        for (let i = this.annotations.length - 1; i >= 0; i--) {
+            if (this.hits(this.annotations[i], point, tolerance)) {
+                return this.annotations[i];
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Check if a point lies on an annotation
+     * @private
+     */
+    hits(annotation, p, tolerance) {
+        const points = annotation.points;
+
+        switch (annotation.type) {
+            case 'arrow':
+                return distanceToSegment(p, points[0], points[1]) < tolerance;
+
+            case 'freehand':
+                return points.some((a, i) => i > 0 && distanceToSegment(p, points[i - 1], a) < tolerance);
+
+            case 'rectangle': {
+                const [a, b] = points;
+                return p.x >= Math.min(a.x, b.x) - tolerance && p.x <= Math.max(a.x, b.x) + tolerance &&
+                       p.y >= Math.min(a.y, b.y) - tolerance && p.y <= Math.max(a.y, b.y) + tolerance;
+            }
+
+            case 'ellipse': {
+                const [a, b] = points;
+                const rx = Math.abs(b.x - a.x) / 2 + tolerance;
+                const ry = Math.abs(b.y - a.y) / 2 + tolerance;
+                const nx = (p.x - (a.x + b.x) / 2) / rx;
+                const ny = (p.y - (a.y + b.y) / 2) / ry;
+                return nx * nx + ny * ny <= 1;
+            }
+
+            case 'text': {
+                // Text keeps a constant screen size, so its extent in image pixels depends on zoom
+                const zoom = this.viewer.zoom;
+                const width = (this.textWidths.get(annotation) || annotation.text.length * 9) / zoom;
+                const height = 20 / zoom;
+                return p.x >= points[0].x - tolerance && p.x <= points[0].x + width + tolerance &&
+                       p.y >= points[0].y - tolerance && p.y <= points[0].y + height + tolerance;
+            }
+        }
+
+        return false;
+    }
+
+    /**
+     * Draw all annotations, the shape in progress and the selection
+     * @param {CanvasRenderingContext2D} ctx - Target context
+     * @param {Object} view - Point mapping and line scale (screen or image space)
+     */
+    draw(ctx, view) {
+        this.annotations.forEach(annotation => this.drawAnnotation(ctx, view, annotation));
+
+        if (this.draft) {
+            this.drawAnnotation(ctx, view, this.draft);
+        }
+
+        if (this.selected && view.activeTool && this.tools.includes(view.activeTool)) {
+            this.drawSelection(ctx, view, this.selected);
+        }
+    }
+
+    /**
+     * Draw a single annotation
+     * @private
+     */
+    drawAnnotation(ctx, view, annotation) {
+        const scale = view.scale || 1;
+        const points = annotation.points.map(view.toScreen);
+
+        ctx.strokeStyle = annotation.color;
+        ctx.fillStyle = annotation.color;
+        ctx.lineWidth = 2 * scale;
+        ctx.lineCap = 'round';
+        ctx.lineJoin = 'round';
+
+        switch (annotation.type) {
+            case 'arrow': {
+                const [tail, head] = points;
+                const angle = Math.atan2(head.y - tail.y, head.x - tail.x);
+                const size = 12 * scale;
+
+                ctx.beginPath();
+                ctx.moveTo(tail.x, tail.y);
+                ctx.lineTo(head.x, head.y);
+                ctx.stroke();
+
+                ctx.beginPath();
+                ctx.moveTo(head.x, head.y);
+                ctx.lineTo(head.x - size * Math.cos(angle - Math.PI / 7), head.y - size * Math.sin(angle - Math.PI / 7));
+                ctx.lineTo(head.x - size * Math.cos(angle + Math.PI / 7), head.y - size * Math.sin(angle + Math.PI / 7));
+                ctx.closePath();
+                ctx.fill();
+                break;
+            }
+
+            case 'rectangle': {
+                const [a, b] = points;
+                ctx.strokeRect(Math.min(a.x, b.x), Math.min(a.y, b.y), Math.abs(b.x - a.x), Math.abs(b.y - a.y));
+                break;
+            }
+
+            case 'ellipse': {
+                const [a, b] = points;
+                ctx.beginPath();
+                ctx.ellipse((a.x + b.x) / 2, (a.y + b.y) / 2, Math.abs(b.x - a.x) / 2, Math.abs(b.y - a.y) / 2,
+                    0, 0, Math.PI * 2);
+                ctx.stroke();
+                break;
+            }
+
+            case 'freehand':
+                ctx.beginPath();
+                points.forEach((p, i) => {
+                    if (i === 0) ctx.moveTo(p.x, p.y);
+                    else ctx.lineTo(p.x, p.y);
+                });
+                ctx.stroke();
+                break;
+
+            case 'text': {
+                ctx.font = `bold ${16 * scale}px sans-serif`;
+                ctx.textBaseline = 'top';
+
+                // Dark outline keeps the text readable on bright and dark areas
+                ctx.strokeStyle = 'rgba(0, 0, 0, 0.8)';
+                ctx.lineWidth = 3 * scale;
+                ctx.strokeText(annotation.text, points[0].x, points[0].y);
+                ctx.fillText(annotation.text, points[0].x, points[0].y);
+
+                if (scale === 1) {
+                    this.textWidths.set(annotation, ctx.measureText(annotation.text).width);
+                }
+                break;
+            }
+        }
+    }
+
+    /**
+     * Draw the selection outline and reshape handles
+     * @private
+     */
+    drawSelection(ctx, view, annotation) {
+        const points = annotation.points.map(view.toScreen);
+        const xs = points.map(p => p.x);
+        const ys = points.map(p => p.y);
+        let right = Math.max(...xs);
+        let bottom = Math.max(...ys);
+
+        if (annotation.type === 'text') {
+            right = xs[0] + (this.textWidths.get(annotation) || 0);
+            bottom = ys[0] + 20;
+        }
+
+        ctx.strokeStyle = '#ffffff';
+        ctx.lineWidth = 1;
+        ctx.setLineDash([4, 4]);
+        ctx.strokeRect(Math.min(...xs) - 4, Math.min(...ys) - 4,
+            right - Math.min(...xs) + 8, bottom - Math.min(...ys) + 8);
+        ctx.setLineDash([]);
+
+        ctx.fillStyle = '#ffffff';
+        this.getHandles(annotation).map(view.toScreen).forEach(h => {
+            ctx.fillRect(h.x - 4, h.y - 4, 8, 8);
+        });
+    }
+}
@@ -4,12 +4,25 @@
  */
 
 import { RadiographViewer } from './viewer.js';
-import { setupControls } from './controls.js';
+import { setupControls, setupCanvasControls } from './controls.js';
 import { setupUIHandlers } from './utils.js';
+import { setupDeepLinks, parseLink, openLink } from './deep-link.js';
+import { setupSplitView } from './split-view.js';
+import { setupCurveEditor } from './curve-editor.js';
+import { setupLineProfile } from './line-profile.js';
+import { setupFmxMount } from './fmx-mount.js';
+import { setupGallery } from './gallery.js';
+import { setupCasePackages } from './case-package.js';
+import { setupSession, getImageId } from './session-store.js';
+import { registerServiceWorker } from './offline-library.js';
 import languageManager from './language-manager.js';
 
-// Global viewer instance
+// Global viewer instance (follows the active pane in split view)
 let viewer = null;
+let splitView = null;
+
+// Recent images and the last session, null where IndexedDB is unavailable
+let session = null;
 
 /**
  * Initialize the application when DOM is ready
@@ -21,19 +34,59 @@ document.addEventListener('DOMContentLoaded', async () => {
         // Initialize language manager first
         await languageManager.init();
 
-        // Create the main viewer instance
-        viewer = new RadiographViewer('imageCanvas');
+        // Create the main viewer instance, the first pane of the split view
+        const mainViewer = new RadiographViewer('imageCanvas');
+        splitView = setupSplitView(mainViewer);
+        viewer = splitView.activeViewer;
 
-        // Setup all control handlers
+        // Setup all control handlers; pointer input goes to each pane's own viewer
         setupControls(viewer);
+        setupCanvasControls(mainViewer);
 
         // Setup UI utility handlers
         setupUIHandlers(viewer);
 
+        // Editable transfer curve in the histogram panel
+        setupCurveEditor(viewer);
+
+        // Line profile plot and its marker
+        setupLineProfile(viewer);
+
+        // Full-mouth series mount over the viewer
+        setupFmxMount(viewer);
+
+        // Filmstrip of local images opened together
+        const gallery = setupGallery(viewer);
+
+        // .zip case packages in, and the images being worked on out
+        setupCasePackages(splitView, gallery);
+
+        // Keep the URL in sync with the view so it can be shared
+        setupDeepLinks(viewer);
+
+        // Recent images and the last session, kept across reloads
+        session = await setupSession(splitView);
+
+        // Cache the app for offline use; not awaited, the viewer works without it
+        registerServiceWorker();
+
         // Make viewer globally accessible for debugging
         window.radiographViewer = viewer;
 
         console.log('Radiograph Viewer initialized successfully');
+
+        // Open the image and view named in the URL, if any
+        const link = parseLink(window.location);
+        if (link) {
+            try {
+                await openLink(viewer, link);
+            } catch (error) {
+                console.error('Failed to open link:', error);
+                languageManager.showMessage('messages.loadFailed');
+            }
+        } else if (session) {
+            await session.offerRestore();
+        }
     } catch (error) {
         console.error('Failed to initialize Radiograph Viewer:', error);
     }
@@ -43,17 +96,23 @@ document.addEventListener('DOMContentLoaded', async () => {
  * Handle window resize events
  */
 window.addEventListener('resize', () => {
-    if (viewer && viewer.hasImage()) {
-        viewer.resetView();
-        viewer.processImage(); // Repaint the image after resizing the window
+    if (splitView) {
+        splitView.resetViews(); // Refit and repaint every pane after resizing the window
     }
 });
 
 /**
- * Prevent accidental navigation away
+ * Warn before losing changes the session doesn't keep: images it can't store (e.g. pasted data
+ * URLs), and changes not written yet. Writing is left to the session's own flush when the page is
+ * hidden, since a write started here may not finish before the page unloads.
  */
 window.addEventListener('beforeunload', (e) => {
-    if (viewer && viewer.hasImage() && viewer.hasUnsavedChanges()) {
+    if (!splitView) return;
+
+    const unstored = splitView.viewers.some(pane => pane.hasImage() && pane.hasUnsavedChanges() &&
+        (!session || getImageId(pane) === null));
+
+    if (unstored || (session && session.pending.size > 0)) {
         e.preventDefault();
         e.returnValue = languageManager.get('messages.unsavedChanges');
     }
@@ -0,0 +1,287 @@
+/**
+ * Radiograph Image Viewer - Case Manifest
+ * Reads images/file_list.json, which lists plain filenames or teaching cases with quiz questions
+ *
+ * Each entry is either a filename string or a case object:
+ *   {
+ *     "file": "periapical-lesion.dcm",
+ *     "title": "Periapical radiolucency",
+ *     "description": "Lower molar, 45-year-old patient",
+ *     "tags": ["periapical", "endodontics"],
+ *     "teeth": [{ "tooth": 36, "x": 420, "y": 580 }, 37],
+ *     "diagnosis": "Chronic apical periodontitis on 36",
+ *     "questions": [
+ *       { "type": "choice", "prompt": "Which tooth is affected?", "options": ["35", "36", "37"], "answer": 1 },
+ *       { "type": "locate", "prompt": "Click on the lesion",
+ *         "regions": [{ "shape": "ellipse", "x": 410, "y": 620, "rx": 40, "ry": 30 }] }
+ *     ]
+ *   }
+ *
+ * Teeth are FDI numbers of the teeth shown, optionally with the point where the tooth was tagged.
+ * Answer regions are in image pixel coordinates, with "shape" one of "circle" (x, y, r),
+ * "ellipse" (x, y, rx, ry), "rect" (x, y, width, height) or "polygon" (points: [[x, y], ...]).
+ *
+ * A mounting exercise lists the images of a full-mouth series with the slot each belongs in, and
+ * whether the file as stored must be mirrored to be seen labially; "file" then defaults to the
+ * first image:
+ *   {
+ *     "title": "Mount the series",
+ *     "mount": {
+ *       "template": "fmx18",
+ *       "randomFlip": true,
+ *       "images": [{ "file": "fmx-01/01.png", "slot": "max-r-molar", "flip": false }, ...]
+ *     }
+ *   }
+ */
+
+/**
+ * Teaching case
+ * @typedef {Object} CaseEntry
+ * @property {string} file - Image filename relative to images/
+ * @property {string} title - Display title (the filename if none is given)
+ * @property {string} description - Case description
+ * @property {Array<string>} tags - Free-form tags
+ * @property {Array<{tooth: number, x: number|null, y: number|null}>} teeth - Teeth shown (FDI), with
+ *     their position in image pixels where known
+ * @property {string} diagnosis - Diagnosis, hidden from students until a quiz is finished
+ * @property {Array<Object>} questions - Validated quiz questions
+ * @property {Object|null} mount - Validated mounting exercise
+ */
+
+/**
+ * Convert the parsed file_list.json into case entries
+ * @param {Array<string|Object>} manifest - Parsed manifest
+ * @returns {Array<CaseEntry>} Valid entries; invalid ones are skipped with a warning
+ */
+export function normalizeManifest(manifest) {
+    if (!Array.isArray(manifest)) {
+        throw new Error('file_list.json must contain an array');
+    }
+
+    return manifest
+        .map((item, index) => {
+            try {
+                return normalizeEntry(item);
+            } catch (error) {
+                console.warn(`Skipping file_list.json entry ${index}:`, error.message);
+                return null;
+            }
+        })
+        .filter(entry => entry !== null);
+}
+
+/**
+ * Convert one manifest item into a case entry
+ * @param {string|Object} item - Filename or case object
+ * @returns {CaseEntry} Case entry
+ */
+export function normalizeEntry(item) {
+    if (typeof item === 'string') {
+        return {
+            file: item, title: item, description: '', tags: [], teeth: [], diagnosis: '', questions: [], mount: null
+        };
+    }
+
+    const mount = item && typeof item === 'object' && item.mount !== undefined ? normalizeMountExercise(item.mount) : null;
+    const file = item && typeof item.file === 'string' && item.file ? item.file : (mount ? mount.images[0].file : '');
+
+    if (!file) {
+        throw new Error('Entry needs a "file" name');
+    }
+
+    const questions = Array.isArray(item.questions) ? item.questions : [];
+
+    return {
+        ...item,
+        file,
+        title: typeof item.title === 'string' && item.title ? item.title : file,
+        description: typeof item.description === 'string' ? item.description : '',
+        tags: Array.isArray(item.tags) ? item.tags.map(String) : [],
+        teeth: normalizeTeeth(item.teeth),
+        diagnosis: typeof item.diagnosis === 'string' ? item.diagnosis : '',
+        questions: questions.filter((question, index) => {
+            const problem = validateQuestion(question);
+            if (problem) {
+                console.warn(`Skipping question ${index} of ${item.file}: ${problem}`);
+            }
+            return !problem;
+        }),
+        mount
+    };
+}
+
+/**
+ * Read the tooth tags of an entry, dropping invalid ones and repeats
+ * @private
+ * @returns {Array<{tooth: number, x: number|null, y: number|null}>} Tags
+ */
+function normalizeTeeth(teeth) {
+    if (!Array.isArray(teeth)) return [];
+
+    const tags = [];
+    teeth.forEach(item => {
+        const tag = typeof item === 'number' ? { tooth: item } : item;
+        if (!tag || !isFdiTooth(tag.tooth) || tags.some(t => t.tooth === tag.tooth)) return;
+
+        const positioned = Number.isFinite(tag.x) && Number.isFinite(tag.y);
+        tags.push({ tooth: tag.tooth, x: positioned ? tag.x : null, y: positioned ? tag.y : null });
+    });
+    return tags;
+}
+
+/**
+ * Check for a permanent tooth number in FDI notation (11-18, 21-28, 31-38, 41-48)
+ * @param {number} tooth - Tooth number
+ * @returns {boolean} True if valid
+ */
+export function isFdiTooth(tooth) {
+    return Number.isInteger(tooth) && tooth >= 11 && tooth <= 48 && tooth % 10 >= 1 && tooth % 10 <= 8;
+}
+
+/**
+ * Write tooth tags back in manifest form: numbers, or objects where the position is known
+ * @param {Array<Object>} teeth - Tags from a case entry
+ * @returns {Array<number|Object>} Manifest "teeth" value
+ */
+export function serializeTeeth(teeth) {
+    return teeth.map(tag => (tag.x === null ? tag.tooth : { tooth: tag.tooth, x: tag.x, y: tag.y }));
+}
+
+/**
+ * Check a mounting exercise
+ * @private
+ * @returns {Object} Exercise with its images
+ * @throws {Error} If it can't be used
+ */
+function normalizeMountExercise(mount) {
+    if (!mount || !Array.isArray(mount.images) || mount.images.length === 0) {
+        throw new Error('mounting exercises need a list of images');
+    }
+
+    const slots = new Set();
+    const images = mount.images.map(image => {
+        if (!image || typeof image.file !== 'string' || !image.file || typeof image.slot !== 'string') {
+            throw new Error('mount images need a "file" and a "slot"');
+        }
+        if (slots.has(image.slot)) {
+            throw new Error(`slot "${image.slot}" is used twice`);
+        }
+        slots.add(image.slot);
+        return { file: image.file, slot: image.slot, flip: image.flip === true };
+    });
+
+    return {
+        template: typeof mount.template === 'string' ? mount.template : 'fmx18',
+        randomFlip: mount.randomFlip !== false,
+        images
+    };
+}
+
+/**
+ * Check a quiz question
+ * @private
+ * @returns {string|null} Description of the problem, or null if the question is usable
+ */
+function validateQuestion(question) {
+    if (!question || typeof question.prompt !== 'string') {
+        return 'missing prompt';
+    }
+
+    if (question.type === 'choice') {
+        if (!Array.isArray(question.options) || question.options.length < 2) {
+            return 'choice questions need at least two options';
+        }
+        if (!Number.isInteger(question.answer) || question.answer < 0 || question.answer >= question.options.length) {
+            return 'answer must be the index of one of the options';
+        }
+        return null;
+    }
+
+    if (question.type === 'locate') {
+        if (!Array.isArray(question.regions) || question.regions.length === 0) {
+            return 'locate questions need at least one answer region';
+        }
+        if (!question.regions.every(isValidRegion)) {
+            return 'invalid answer region';
+        }
+        return null;
+    }
+
+    return `unknown question type "${question.type}"`;
+}
+
+/**
+ * Check that a region has the numbers its shape needs
+ * @private
+ */
+function isValidRegion(region) {
+    const numbers = (...keys) => keys.every(key => Number.isFinite(region[key]));
+
+    switch (region && region.shape) {
+        case 'circle':
+            return numbers('x', 'y', 'r');
+        case 'ellipse':
+            return numbers('x', 'y', 'rx', 'ry');
+        case 'rect':
+            return numbers('x', 'y', 'width', 'height');
+        case 'polygon':
+            return Array.isArray(region.points) && region.points.length >= 3 &&
+                region.points.every(p => Array.isArray(p) && Number.isFinite(p[0]) && Number.isFinite(p[1]));
+        default:
+            return false;
+    }
+}
+
+/**
+ * Check if a point lies inside an answer region
+ * @param {{x: number, y: number}} point - Point in image coordinates
+ * @param {Object} region - Answer region
+ * @returns {boolean} True if inside
+ */
+export function pointInRegion(point, region) {
+    switch (region.shape) {
+        case 'circle':
+            return Math.hypot(point.x - region.x, point.y - region.y) <= region.r;
+
+        case 'ellipse': {
+            const nx = (point.x - region.x) / region.rx;
+            const ny = (point.y - region.y) / region.ry;
+            return nx * nx + ny * ny <= 1;
+        }
+
+        case 'rect':
+            return point.x >= region.x && point.x <= region.x + region.width &&
+                   point.y >= region.y && point.y <= region.y + region.height;
+
+        case 'polygon': {
+            // Even-odd ray casting
+            let inside = false;
+            const points = region.points;
+            for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+                const [xi, yi] = points[i];
+                const [xj, yj] = points[j];
+                if ((yi > point.y) !== (yj > point.y) &&
+                    point.x < (xj - xi) * (point.y - yi) / (yj - yi) + xi) {
+                    inside = !inside;
+                }
+            }
+            return inside;
+        }
+    }
+
+    return false;
+}
+
+/**
+ * Score an answer to a quiz question
+ * @param {Object} question - Validated question
+ * @param {number|{x: number, y: number}} answer - Option index, or clicked point for locate questions
+ * @returns {boolean} True if correct
+ */
+export function isCorrectAnswer(question, answer) {
+    if (question.type === 'choice') {
+        return answer === question.answer;
+    }
+
+    return Boolean(answer) && question.regions.some(region => pointInRegion(answer, region));
+}
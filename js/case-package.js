@@ -0,0 +1,552 @@
+/**
+ * Radiograph Image Viewer - Case Packages
+ * Imports and exports .zip case packages: images plus case-package.json with each case's text,
+ * quiz questions, and the adjustments and annotations it opens with
+ *
+ * A package needs no server: instructors send it by email or put it in the LMS file area, and
+ * students open it with "Import Package". Its layout is
+ *   case-package.json
+ *   images/periapical-lesion.dcm
+ *   images/...
+ * and case-package.json holds the cases as in file_list.json, with "file" relative to the package
+ * and an optional "state":
+ *   {
+ *     "version": 1,
+ *     "cases": [
+ *       { "file": "images/periapical-lesion.dcm", "title": "Periapical radiolucency", "questions": [...],
+ *         "state": { "brightness": 10, "annotations": [{ "type": "arrow", "points": [...] }] } }
+ *     ]
+ *   }
+ *
+ * A zipped images/ folder with its file_list.json opens as well, and a zip of images without any
+ * manifest opens with one plain case per image. Archives are read with the bundled inflate.
+ * Exported archives store their files uncompressed: radiographs gain little from deflating and
+ * every zip tool reads stored entries.
+ */
+
+import languageManager from './language-manager.js';
+import { inflate } from './inflate.js';
+import { normalizeManifest, serializeTeeth } from './case-manifest.js';
+import { normalizeAdjustments } from './viewer.js';
+import { getFileExtension, isSupportedImage, downloadBlob } from './utils.js';
+
+export const PACKAGE_MANIFEST = 'case-package.json';
+
+const LOCAL_HEADER = 0x04034b50;
+const CENTRAL_HEADER = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+
+// General purpose flags: entry is encrypted, name is UTF-8
+const FLAG_ENCRYPTED = 0x0001;
+const FLAG_UTF8 = 0x0800;
+
+const MIME_TYPES = {
+    jpg: 'image/jpeg',
+    jpeg: 'image/jpeg',
+    png: 'image/png',
+    gif: 'image/gif',
+    webp: 'image/webp',
+    bmp: 'image/bmp',
+    dcm: 'application/dicom',
+    dicom: 'application/dicom'
+};
+
+// Annotation types and the number of points each needs at least
+const ANNOTATION_POINTS = { arrow: 2, ellipse: 2, rectangle: 2, freehand: 2, text: 1 };
+const MEASUREMENT_POINTS = { line: 2, polyline: 2, angle: 3 };
+
+/**
+ * CRC-32 lookup table, built on first use
+ * @private
+ */
+let crcTable = null;
+
+/**
+ * Compute the CRC-32 that zip entries are checked with
+ * @param {Uint8Array} data - Bytes
+ * @returns {number} Unsigned checksum
+ */
+export function crc32(data) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crcTable[n] = c >>> 0;
+        }
+    }
+
+    let crc = 0xffffffff;
+    for (let i = 0; i < data.length; i++) {
+        crc = crcTable[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Entry of a zip archive
+ * @typedef {Object} ZipEntry
+ * @property {string} name - Path inside the archive, "/"-separated
+ * @property {Date} modified - Modification time
+ * @property {Function} read - Returns the uncompressed bytes as a Uint8Array
+ */
+
+/**
+ * List the files of a zip archive. Entries are decompressed only when read.
+ * @param {Uint8Array} bytes - Archive
+ * @returns {Array<ZipEntry>} Files, without directory entries
+ * @throws {Error} If the archive is damaged, encrypted or uses ZIP64
+ */
+export function readZip(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+    // The end of central directory record is followed by a comment of up to 64 kB
+    let end = -1;
+    for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xffff); i--) {
+        if (view.getUint32(i, true) === END_OF_CENTRAL_DIRECTORY) {
+            end = i;
+            break;
+        }
+    }
+    if (end < 0) {
+        throw new Error('Not a zip archive');
+    }
+
+    const count = view.getUint16(end + 10, true);
+    let offset = view.getUint32(end + 16, true);
+    if (count === 0xffff || offset === 0xffffffff) {
+        throw new Error('ZIP64 archives are not supported');
+    }
+
+    const utf8 = new TextDecoder('utf-8');
+    const entries = [];
+
+    for (let i = 0; i < count; i++) {
+        if (offset + 46 > bytes.length || view.getUint32(offset, true) !== CENTRAL_HEADER) {
+            throw new Error('Damaged zip directory');
+        }
+
+        const flags = view.getUint16(offset + 8, true);
+        const method = view.getUint16(offset + 10, true);
+        const time = view.getUint16(offset + 12, true);
+        const date = view.getUint16(offset + 14, true);
+        const crc = view.getUint32(offset + 16, true);
+        const compressedSize = view.getUint32(offset + 20, true);
+        const size = view.getUint32(offset + 24, true);
+        const nameLength = view.getUint16(offset + 28, true);
+        const extraLength = view.getUint16(offset + 30, true);
+        const commentLength = view.getUint16(offset + 32, true);
+        const localOffset = view.getUint32(offset + 42, true);
+
+        // Names without the UTF-8 flag are in the DOS code page; package paths are ASCII in practice
+        const name = utf8.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+        offset += 46 + nameLength + extraLength + commentLength;
+
+        if (name.endsWith('/')) continue;
+
+        entries.push({
+            name,
+            modified: new Date(1980 + (date >> 9), ((date >> 5) & 0xf) - 1, date & 0x1f,
+                time >> 11, (time >> 5) & 0x3f, (time & 0x1f) * 2),
+            read: () => {
+                if (flags & FLAG_ENCRYPTED) {
+                    throw new Error(`${name} is encrypted`);
+                }
+                if (localOffset + 30 > bytes.length || view.getUint32(localOffset, true) !== LOCAL_HEADER) {
+                    throw new Error(`Damaged zip entry ${name}`);
+                }
+
+                // The local header repeats the name and may have an extra field of its own length
+                const start = localOffset + 30 + view.getUint16(localOffset + 26, true) +
+                    view.getUint16(localOffset + 28, true);
+                const stored = bytes.subarray(start, start + compressedSize);
+
+                let data;
+                if (method === 0) {
+                    data = stored.slice();
+                } else if (method === 8) {
+                    data = inflate(stored, size);
+                } else {
+                    throw new Error(`${name} uses unsupported compression method ${method}`);
+                }
+
+                if (data.length !== size || crc32(data) !== crc) {
+                    throw new Error(`${name} is damaged`);
+                }
+                return data;
+            }
+        });
+    }
+
+    return entries;
+}
+
+/**
+ * Write files into a zip archive, stored without compression
+ * @param {Array<{name: string, data: Uint8Array, modified?: Date}>} files - Paths and contents
+ * @returns {Blob} Archive
+ */
+export function createZip(files) {
+    const encoder = new TextEncoder();
+    const parts = [];
+    const directory = [];
+    let offset = 0;
+
+    const header = (length, fields) => {
+        const buffer = new Uint8Array(length);
+        const view = new DataView(buffer.buffer);
+        fields.forEach(([position, value, bytes]) => {
+            if (bytes === 2) view.setUint16(position, value, true);
+            else view.setUint32(position, value, true);
+        });
+        return buffer;
+    };
+
+    files.forEach(file => {
+        const name = encoder.encode(file.name);
+        const modified = file.modified || new Date();
+        const time = (modified.getHours() << 11) | (modified.getMinutes() << 5) | (modified.getSeconds() >> 1);
+        const date = ((Math.max(1980, modified.getFullYear()) - 1980) << 9) |
+            ((modified.getMonth() + 1) << 5) | modified.getDate();
+        const crc = crc32(file.data);
+        const size = file.data.length;
+
+        // Fields shared by the local and the central header, at their local header positions
+        const shared = [[4, 20, 2], [6, FLAG_UTF8, 2], [8, 0, 2], [10, time, 2], [12, date, 2],
+            [14, crc, 4], [18, size, 4], [22, size, 4], [26, name.length, 2]];
+
+        parts.push(header(30, [[0, LOCAL_HEADER, 4], ...shared]), name, file.data);
+
+        directory.push(header(46, [
+            [0, CENTRAL_HEADER, 4], [4, 20, 2],
+            ...shared.map(([position, value, bytes]) => [position + 2, value, bytes]),
+            [42, offset, 4]
+        ]), name);
+
+        offset += 30 + name.length + size;
+    });
+
+    const directorySize = directory.reduce((sum, part) => sum + part.length, 0);
+    const end = header(22, [
+        [0, END_OF_CENTRAL_DIRECTORY, 4], [8, files.length, 2], [10, files.length, 2],
+        [12, directorySize, 4], [16, offset, 4]
+    ]);
+
+    return new Blob([...parts, ...directory, end], { type: 'application/zip' });
+}
+
+/**
+ * Get the MIME type the viewer expects for an image path
+ * @private
+ */
+function getMimeType(name) {
+    return MIME_TYPES[getFileExtension(name).toLowerCase()] || 'application/octet-stream';
+}
+
+/**
+ * Check for a list of at least `min` points with numeric x and y
+ * @private
+ */
+function isPointList(points, min) {
+    return Array.isArray(points) && points.length >= min &&
+        points.every(p => p && Number.isFinite(p.x) && Number.isFinite(p.y));
+}
+
+/**
+ * Copy points without any other properties
+ * @private
+ */
+function copyPoints(points) {
+    return points.map(p => ({ x: p.x, y: p.y }));
+}
+
+/**
+ * Keep the parts of a viewer state a package carries: adjustments, geometry, pixel spacing,
+ * annotations and measurements. Zoom and pan are left to the screen the case opens on, and
+ * anything malformed is dropped, since packages come from outside.
+ * @param {Object} state - State from a package or from viewer.getState()
+ * @returns {Object|null} State for viewer.applyState(), null if nothing is usable
+ */
+export function normalizeCaseState(state) {
+    if (!state || typeof state !== 'object') return null;
+
+    const result = normalizeAdjustments(state) || {};
+
+    const spacing = state.pixelSpacing;
+    if (spacing && Number.isFinite(spacing.row) && Number.isFinite(spacing.column) &&
+        spacing.row > 0 && spacing.column > 0) {
+        result.pixelSpacing = {
+            row: spacing.row,
+            column: spacing.column,
+            source: spacing.source === 'dicom' ? 'dicom' : 'calibration'
+        };
+    }
+
+    if (Array.isArray(state.annotations)) {
+        result.annotations = state.annotations
+            .filter(a => a && isPointList(a.points, ANNOTATION_POINTS[a.type]) &&
+                (a.type !== 'text' || typeof a.text === 'string'))
+            .map((a, index) => {
+                const annotation = { id: index + 1, type: a.type, points: copyPoints(a.points) };
+                if (typeof a.color === 'string') annotation.color = a.color;
+                if (a.type === 'text') annotation.text = a.text;
+                return annotation;
+            });
+    }
+
+    const measurements = state.measurements;
+    if (measurements && typeof measurements === 'object') {
+        const calibration = measurements.calibration;
+        result.measurements = {
+            measurements: (Array.isArray(measurements.measurements) ? measurements.measurements : [])
+                .filter(m => m && isPointList(m.points, MEASUREMENT_POINTS[m.type]))
+                .map(m => ({ type: m.type, points: copyPoints(m.points) })),
+            calibration: calibration && isPointList(calibration.points, 2) &&
+                Number.isFinite(calibration.lengthMm) && calibration.lengthMm > 0
+                ? { points: copyPoints(calibration.points.slice(0, 2)), lengthMm: calibration.lengthMm }
+                : null
+        };
+    }
+
+    return Object.keys(result).length > 0 ? result : null;
+}
+
+/**
+ * Read a case package
+ * @param {File} file - .zip file
+ * @returns {Promise<Array<CaseEntry>>} Cases, each with its image as `blob` and its `state`
+ * @throws {Error} If the archive can't be read or holds no images
+ */
+export async function readCasePackage(file) {
+    const entries = readZip(new Uint8Array(await file.arrayBuffer()))
+        .filter(entry => !entry.name.startsWith('__MACOSX/') && !entry.name.split('/').pop().startsWith('.'));
+
+    // Zipping a folder puts everything under its name
+    const first = entries.length > 0 ? entries[0].name.split('/')[0] + '/' : '';
+    const prefix = first !== '/' && entries.every(entry => entry.name.startsWith(first) && entry.name.length > first.length)
+        ? first
+        : '';
+    const files = new Map(entries.map(entry => [entry.name.slice(prefix.length), entry]));
+
+    // Paths in the manifest are relative to the folder it is in
+    let manifest;
+    let base = '';
+    const readJson = (name) => JSON.parse(new TextDecoder('utf-8').decode(files.get(name).read()));
+
+    if (files.has(PACKAGE_MANIFEST)) {
+        const json = readJson(PACKAGE_MANIFEST);
+        if (!json || !Array.isArray(json.cases)) {
+            throw new Error(`${PACKAGE_MANIFEST} needs a list of cases`);
+        }
+        manifest = json.cases;
+    } else if (files.has('file_list.json') || files.has('images/file_list.json')) {
+        base = files.has('file_list.json') ? '' : 'images/';
+        manifest = readJson(`${base}file_list.json`);
+    } else {
+        manifest = Array.from(files.keys())
+            .filter(name => isSupportedImage(name))
+            .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+    }
+
+    const cases = [];
+    normalizeManifest(manifest).forEach(entry => {
+        if (entry.mount) {
+            console.warn(`Skipping mounting exercise "${entry.title}": not supported in packages`);
+            return;
+        }
+
+        const zipEntry = files.get(base + entry.file);
+        if (!zipEntry) {
+            console.warn(`Skipping ${entry.file}: not in the package`);
+            return;
+        }
+
+        entry.blob = new File([zipEntry.read()], entry.file.split('/').pop(), {
+            type: getMimeType(entry.file),
+            lastModified: zipEntry.modified.getTime()
+        });
+        entry.state = normalizeCaseState(entry.state);
+        cases.push(entry);
+    });
+
+    if (cases.length === 0) {
+        throw new Error('No images in the package');
+    }
+    return cases;
+}
+
+/**
+ * Write the manifest fields of a case, leaving out empty ones
+ * @private
+ * @param {CaseEntry|null} entry - Case the image was opened from
+ * @returns {Object} Manifest fields
+ */
+function getCaseFields(entry) {
+    if (!entry) return {};
+
+    const fields = {};
+    if (entry.title && entry.title !== entry.file) fields.title = entry.title;
+    if (entry.description) fields.description = entry.description;
+    if (entry.tags.length > 0) fields.tags = entry.tags;
+    if (entry.teeth.length > 0) fields.teeth = serializeTeeth(entry.teeth);
+    if (entry.diagnosis) fields.diagnosis = entry.diagnosis;
+    if (entry.questions.length > 0) fields.questions = entry.questions;
+    return fields;
+}
+
+/**
+ * Write a case package
+ * @param {Array<{file: Blob, name: string, entry: CaseEntry|null, state: Object|null}>} images -
+ *     Images with their name, the case they belong to and the viewer state to save
+ * @returns {Promise<Blob>} .zip archive
+ */
+export async function createCasePackage(images) {
+    const used = new Set();
+    const files = [];
+    const cases = [];
+
+    for (const image of images) {
+        // Images from different folders may share a name
+        const dot = image.name.lastIndexOf('.');
+        const stem = dot > 0 ? image.name.slice(0, dot) : image.name;
+        const extension = dot > 0 ? image.name.slice(dot) : '';
+        let path = `images/${image.name}`;
+        for (let n = 2; used.has(path.toLowerCase()); n++) {
+            path = `images/${stem}-${n}${extension}`;
+        }
+        used.add(path.toLowerCase());
+
+        files.push({
+            name: path,
+            data: new Uint8Array(await image.file.arrayBuffer()),
+            modified: image.file.lastModified ? new Date(image.file.lastModified) : new Date()
+        });
+
+        const state = normalizeCaseState(image.state);
+        cases.push({ file: path, ...getCaseFields(image.entry), ...(state ? { state } : {}) });
+    }
+
+    const manifest = new TextEncoder().encode(JSON.stringify({ version: 1, cases }, null, 2));
+    return createZip([{ name: PACKAGE_MANIFEST, data: manifest }, ...files]);
+}
+
+/**
+ * CasePackages class importing packages into the library and exporting the images being worked on
+ * @class
+ */
+export class CasePackages {
+    /**
+     * Create the package import and export
+     * @param {SplitView} splitView - Split view with the panes
+     * @param {Gallery} gallery - Gallery strip
+     */
+    constructor(splitView, gallery) {
+        this.splitView = splitView;
+        this.gallery = gallery;
+
+        // Cases of the last imported package
+        this.cases = [];
+    }
+
+    /**
+     * Open a package and show its cases in the library
+     * @param {File} file - .zip file
+     * @returns {Promise<void>}
+     */
+    async import(file) {
+        try {
+            this.cases = await readCasePackage(file);
+            window.dispatchEvent(new CustomEvent('casePackageOpened', {
+                detail: { name: file.name, cases: this.cases }
+            }));
+        } catch (error) {
+            console.error('Failed to import case package:', error);
+            languageManager.showMessage('messages.packageImportFailed');
+        }
+    }
+
+    /**
+     * Get the images to export: the gallery strip if it shows the active image, else the
+     * package the active case came from, else the images of the visible panes
+     * @returns {Promise<Array<{file: Blob, name: string, entry: CaseEntry|null, state: Object}>>} Images
+     */
+    async getImages() {
+        const active = this.splitView.active;
+
+        if (this.gallery.getShownIndex() >= 0) {
+            return this.gallery.getImages().map(({ file, state }) => ({ file, name: file.name, entry: null, state }));
+        }
+
+        if (active.caseEntry && this.cases.includes(active.caseEntry)) {
+            return this.cases.map(entry => ({
+                file: entry.blob,
+                name: entry.blob.name,
+                entry,
+                state: entry === active.caseEntry ? active.getState() : entry.state
+            }));
+        }
+
+        const images = [];
+        for (const pane of this.splitView.getVisibleViewers().filter(pane => pane.hasImage())) {
+            let file = pane.imageFile;
+            if (!file && pane.imageSource) {
+                const response = await fetch(pane.imageSource);
+                if (!response.ok) {
+                    throw new Error(`Failed to fetch ${pane.imageSource}`);
+                }
+                file = await response.blob();
+            }
+            if (!file) continue;
+
+            const name = file.name || pane.imageSource.split(/[?#]/)[0].split('/').pop() || 'image.png';
+            images.push({ file, name, entry: pane.caseEntry || null, state: pane.getState() });
+        }
+        return images;
+    }
+
+    /**
+     * Download the images being worked on as a package
+     * @returns {Promise<void>}
+     */
+    async export() {
+        try {
+            const images = await this.getImages();
+            if (images.length === 0) {
+                languageManager.showMessage('messages.packageEmpty');
+                return;
+            }
+
+            downloadBlob(await createCasePackage(images), 'case-package.zip');
+        } catch (error) {
+            console.error('Failed to export case package:', error);
+            languageManager.showMessage('messages.packageExportFailed');
+        }
+    }
+}
+
+/**
+ * Create the package import and export and wire their buttons and the casePackageDropped event
+ * @param {SplitView} splitView - Split view with the panes
+ * @param {Gallery} gallery - Gallery strip
+ * @returns {CasePackages} Package import and export
+ */
+export function setupCasePackages(splitView, gallery) {
+    const packages = new CasePackages(splitView, gallery);
+    const input = document.getElementById('packageInput');
+
+    document.getElementById('importPackageBtn').addEventListener('click', () => input.click());
+    input.addEventListener('change', async () => {
+        if (input.files.length > 0) {
+            await packages.import(input.files[0]);
+        }
+        input.value = '';
+    });
+
+    document.getElementById('exportPackageBtn').addEventListener('click', () => packages.export());
+
+    window.addEventListener('casePackageDropped', (e) => packages.import(e.detail.file));
+
+    return packages;
+}
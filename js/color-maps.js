@@ -0,0 +1,109 @@
+/**
+ * Radiograph Image Viewer - Pseudocolor Maps
+ * Lookup tables that paint the 0-255 display levels in colour instead of grey
+ */
+
+export const COLOR_MAPS = ['grey', 'hot', 'rainbow', 'jet', 'bone', 'isodensity'];
+
+/**
+ * Number of density bands in the isodensity map
+ * @private
+ */
+const ISODENSITY_BANDS = 16;
+
+/**
+ * Hues the isodensity bands cycle through; neighbouring bands always differ clearly
+ * @private
+ */
+const ISODENSITY_HUES = [0, 210, 60, 280, 120, 30, 180, 320];
+
+/**
+ * @private
+ */
+function clampUnit(value) {
+    return Math.max(0, Math.min(1, value));
+}
+
+/**
+ * Convert a hue (degrees) at full saturation and value to RGB (0 to 1)
+ * @private
+ */
+function hueToRgb(hue) {
+    const h = ((hue % 360) + 360) % 360 / 60;
+    const x = 1 - Math.abs(h % 2 - 1);
+    const sector = Math.floor(h);
+    return [
+        [1, x, 0], [x, 1, 0], [0, 1, x], [0, x, 1], [x, 0, 1], [1, 0, x]
+    ][sector];
+}
+
+/**
+ * Colour of a display level for each map, as RGB from 0 to 1
+ * @private
+ */
+const MAP_FUNCTIONS = {
+    // Black through red and yellow to white, like a heated metal
+    hot: (t) => [clampUnit(3 * t), clampUnit(3 * t - 1), clampUnit(3 * t - 2)],
+
+    // Violet for low densities through blue, green and yellow to red
+    rainbow: (t) => hueToRgb(270 * (1 - t)),
+
+    // Dark blue through cyan and yellow to dark red
+    jet: (t) => [
+        clampUnit(1.5 - Math.abs(4 * t - 3)),
+        clampUnit(1.5 - Math.abs(4 * t - 2)),
+        clampUnit(1.5 - Math.abs(4 * t - 1))
+    ],
+
+    // Grey with a blue tint in the darks and mids
+    bone: (t) => {
+        const [r, g, b] = MAP_FUNCTIONS.hot(t);
+        return [(7 * t + b) / 8, (7 * t + g) / 8, (7 * t + r) / 8];
+    },
+
+    // Bands of equal density in contrasting colours, keeping the overall light/dark impression,
+    // so small density steps such as the edge of a periapical radiolucency become band edges
+    isodensity: (t) => {
+        const band = Math.min(ISODENSITY_BANDS - 1, Math.floor(t * ISODENSITY_BANDS));
+        const brightness = 0.3 + 0.7 * (band + 0.5) / ISODENSITY_BANDS;
+        return hueToRgb(ISODENSITY_HUES[band % ISODENSITY_HUES.length]).map(c => c * brightness);
+    }
+};
+
+/**
+ * Build the lookup table of a colour map
+ * @param {string} name - One of COLOR_MAPS
+ * @returns {Uint8ClampedArray|null} R, G, B for each of the 256 display levels; null for grey
+ */
+export function createColorMapLut(name) {
+    const map = MAP_FUNCTIONS[name];
+    if (!map) return null;
+
+    const lut = new Uint8ClampedArray(256 * 3);
+    for (let i = 0; i < 256; i++) {
+        const [r, g, b] = map(i / 255);
+        lut[i * 3] = r * 255;
+        lut[i * 3 + 1] = g * 255;
+        lut[i * 3 + 2] = b * 255;
+    }
+
+    return lut;
+}
+
+/**
+ * Draw a colour bar, low levels at the bottom, as a legend for the histogram's output axis
+ * @param {HTMLCanvasElement} canvas - Colour bar canvas
+ * @param {Uint8ClampedArray|null} lut - Colour map from createColorMapLut, null for grey
+ */
+export function drawColorBar(canvas, lut) {
+    const ctx = canvas.getContext('2d');
+    const { width, height } = canvas;
+
+    for (let y = 0; y < height; y++) {
+        const level = Math.round((1 - y / Math.max(1, height - 1)) * 255);
+        ctx.fillStyle = lut
+            ? `rgb(${lut[level * 3]}, ${lut[level * 3 + 1]}, ${lut[level * 3 + 2]})`
+            : `rgb(${level}, ${level}, ${level})`;
+        ctx.fillRect(0, y, width, 1);
+    }
+}
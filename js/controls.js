@@ -4,6 +4,7 @@
  */
 
 import languageManager from './language-manager.js';
+import { isDicomFile, getFileExtension } from './utils.js';
 
 /**
  * Configuration constants for controls
@@ -13,6 +14,7 @@ export const CONFIG = {
     ZOOM_BUTTON_FACTOR: 1.2,
     BRIGHTNESS_SENSITIVITY: 0.5,
     CONTRAST_SENSITIVITY: 0.5,
+    WINDOW_SENSITIVITY: 0.002, // Fraction of the image value range per pixel of drag
     TOUCH_ZOOM_SENSITIVITY: 0.01,
     MAX_ZOOM: 10,
     MIN_ZOOM: 0.1,
@@ -21,16 +23,33 @@ export const CONFIG = {
 };
 
 /**
- * Setup all control event handlers
- * @param {RadiographViewer} viewer - Viewer instance
+ * Window level/width presets per exam type, as fractions of the image's value range.
+ * These are teaching starting points, not calibrated clinical settings: intraoral and
+ * panoramic detectors don't produce absolute units, so the windows are relative.
+ * CBCT slices with calibrated Hounsfield units use the absolute bone window instead.
+ */
+export const WINDOW_PRESETS = {
+    periapical: { center: 0.55, width: 0.7 },  // Root, lamina dura and periapical bone
+    bitewing: { center: 0.6, width: 0.5 },     // Narrow window for enamel/dentin caries contrast
+    panoramic: { center: 0.5, width: 0.9 },    // Wide window for the whole jaw
+    cbct: { center: 0.6, width: 0.6, hounsfield: { center: 400, width: 2000 } }
+};
+
+/**
+ * Setup all header, dialog and keyboard event handlers
+ * @param {RadiographViewer} viewer - Viewer instance (the active pane stand-in in split view)
  */
 export function setupControls(viewer) {
     setupFileControls(viewer);
     setupAdjustmentControls(viewer);
-    setupMouseControls(viewer);
-    setupTouchControls(viewer);
+    setupHistoryControls(viewer);
+    setupWindowLevelControls(viewer);
+    setupToolControls(viewer);
+    setupTransformControls(viewer);
+    setupLoupeControls(viewer);
     setupZoomControls(viewer);
     setupDragDropControls(viewer);
+    setupPasteControls(viewer);
     setupHistogramControls(viewer);
     setupKeyboardShortcuts(viewer);
 }
@@ -44,11 +63,13 @@ function setupFileControls(viewer) {
     fileInput.addEventListener('change', async (e) => {
         if (e.target.files && e.target.files.length > 0) {
             try {
-                await viewer.loadImage(e.target.files[0]);
+                await openFiles(viewer, Array.from(e.target.files));
             } catch (error) {
                 console.error('Failed to load image:', error);
                 languageManager.showMessage('messages.loadFailed');
             }
+            // Picking the same files again should load them again
+            fileInput.value = '';
         }
     });
 
@@ -89,6 +110,50 @@ function setupAdjustmentControls(viewer) {
         e.target.setAttribute('aria-valuenow', value);
     });
 
+    // Noise reduction filter and strength
+    document.getElementById('noiseFilter').addEventListener('change', (e) => {
+        viewer.setNoiseFilter(e.target.value);
+        if (e.target.value !== 'none') {
+            languageManager.showHint(`hints.noise.${e.target.value}`);
+        }
+    });
+
+    const noiseSlider = document.getElementById('noiseStrength');
+    noiseSlider.addEventListener('input', (e) => {
+        const value = parseInt(e.target.value, 10);
+        viewer.setNoiseStrength(value);
+        document.getElementById('noiseValue').textContent = value;
+        e.target.setAttribute('aria-valuenow', value);
+    });
+
+    // Histogram equalization and the CLAHE settings
+    document.getElementById('equalization').addEventListener('change', (e) => {
+        viewer.setEqualization(e.target.value);
+        if (e.target.value !== 'none') {
+            languageManager.showHint(`hints.equalization.${e.target.value}`);
+        }
+    });
+
+    document.getElementById('claheTileSize').addEventListener('change', (e) => {
+        viewer.setClaheTileSize(parseInt(e.target.value, 10));
+    });
+
+    const clipSlider = document.getElementById('claheClipLimit');
+    clipSlider.addEventListener('input', (e) => {
+        const value = parseFloat(e.target.value);
+        viewer.setClaheClipLimit(value);
+        document.getElementById('claheClipValue').textContent = value.toFixed(1);
+        e.target.setAttribute('aria-valuenow', value);
+    });
+
+    // Pseudocolor map, applied when painting
+    document.getElementById('colorMap').addEventListener('change', (e) => {
+        viewer.setColorMap(e.target.value);
+        if (e.target.value !== 'grey') {
+            languageManager.showHint(`hints.colorMaps.${e.target.value}`);
+        }
+    });
+
     // Invert button
     const invertBtn = document.getElementById('invertBtn');
     invertBtn.addEventListener('click', () => {
@@ -102,6 +167,180 @@ function setupAdjustmentControls(viewer) {
     });
 }
 
+/**
+ * Setup rotate, flip and uncrop controls
+ * @private
+ */
+function setupTransformControls(viewer) {
+    document.getElementById('rotateLeftBtn').addEventListener('click', () => viewer.rotate(-90));
+    document.getElementById('rotateRightBtn').addEventListener('click', () => viewer.rotate(90));
+
+    document.getElementById('rotationAngle').addEventListener('change', (e) => {
+        const angle = parseFloat(e.target.value);
+        if (isNaN(angle)) {
+            e.target.value = viewer.transform.rotation;
+            return;
+        }
+        viewer.setRotation(angle);
+    });
+
+    document.getElementById('flipHBtn').addEventListener('click', () => viewer.flip('horizontal'));
+    document.getElementById('flipVBtn').addEventListener('click', () => viewer.flip('vertical'));
+    document.getElementById('uncropBtn').addEventListener('click', () => viewer.clearCrop());
+}
+
+/**
+ * Setup the magnifier loupe controls
+ * @private
+ */
+function setupLoupeControls(viewer) {
+    document.getElementById('loupeBtn').addEventListener('click', () => {
+        viewer.loupe.setEnabled(!viewer.loupe.enabled);
+    });
+
+    document.getElementById('loupeShape').addEventListener('change', (e) => {
+        viewer.loupe.setOptions({ shape: e.target.value });
+    });
+
+    document.getElementById('loupeZoom').addEventListener('change', (e) => {
+        viewer.loupe.setOptions({ magnification: parseInt(e.target.value, 10) });
+    });
+
+    document.getElementById('loupeInvert').addEventListener('change', (e) => {
+        viewer.loupe.setOptions({ invert: e.target.checked });
+    });
+
+    document.getElementById('loupeEdges').addEventListener('change', (e) => {
+        viewer.loupe.setOptions({ edges: e.target.checked });
+    });
+}
+
+/**
+ * Setup undo/redo buttons and slider gestures for the history
+ * @private
+ */
+function setupHistoryControls(viewer) {
+    document.getElementById('undoBtn').addEventListener('click', () => viewer.undo());
+    document.getElementById('redoBtn').addEventListener('click', () => viewer.redo());
+
+    // A slider drag fires many input events but only one change event when released,
+    // so the whole drag becomes one undo step
+    ['brightness', 'contrast', 'edgeEnhancement', 'noiseStrength', 'claheClipLimit'].forEach(id => {
+        const slider = document.getElementById(id);
+        let dragging = false;
+
+        slider.addEventListener('input', () => {
+            if (!dragging) {
+                dragging = true;
+                viewer.history.begin();
+            }
+        });
+
+        slider.addEventListener('change', () => {
+            if (dragging) {
+                dragging = false;
+                viewer.history.end();
+            }
+        });
+    });
+
+    viewer.history.updateButtons();
+}
+
+/**
+ * Setup window level/width controls
+ * @private
+ */
+function setupWindowLevelControls(viewer) {
+    document.getElementById('windowLevelBtn').addEventListener('click', () => {
+        viewer.toggleWindowLevelMode();
+    });
+
+    const centerInput = document.getElementById('windowCenter');
+    const widthInput = document.getElementById('windowWidth');
+
+    const applyInputs = () => {
+        const center = parseFloat(centerInput.value);
+        const width = parseFloat(widthInput.value);
+
+        if (isNaN(center) || isNaN(width) || width <= 0) {
+            // Restore the current values
+            viewer.updateWindowLevelControls();
+            return;
+        }
+
+        viewer.setWindowLevel(center, width);
+    };
+
+    centerInput.addEventListener('change', applyInputs);
+    widthInput.addEventListener('change', applyInputs);
+
+    document.getElementById('windowPreset').addEventListener('change', (e) => {
+        if (e.target.value) {
+            viewer.applyWindowPreset(e.target.value);
+        }
+    });
+}
+
+/**
+ * Setup measurement tool controls
+ * @private
+ */
+function setupToolControls(viewer) {
+    const toolSelect = document.getElementById('toolSelect');
+    toolSelect.addEventListener('change', (e) => {
+        viewer.overlay.setTool(e.target.value || null);
+        if (e.target.value) {
+            languageManager.showHint(`hints.tools.${e.target.value}`);
+        }
+
+        // ROI histograms and statistics are shown in the histogram panel
+        const histogramPanel = document.getElementById('histogramPanel');
+        if (viewer.rois.tools.includes(e.target.value) && histogramPanel.style.display === 'none') {
+            document.getElementById('histogramBtn').click();
+        }
+    });
+
+    document.getElementById('clearMeasurementsBtn').addEventListener('click', () => {
+        viewer.measurements.clear();
+        viewer.rois.clear();
+        viewer.profile.clear();
+        viewer.overlay.requestRender();
+        viewer.updateHistogram();
+        viewer.notifyStateChanged();
+    });
+
+    // Annotation colour applies to new annotations and the selected one
+    const colorInput = document.getElementById('annotationColor');
+    const deleteBtn = document.getElementById('deleteAnnotationBtn');
+
+    colorInput.addEventListener('input', (e) => {
+        viewer.annotations.setColor(e.target.value);
+        viewer.overlay.requestRender();
+        viewer.notifyStateChanged();
+    });
+
+    deleteBtn.addEventListener('click', () => {
+        viewer.annotations.deleteSelected();
+        viewer.overlay.requestRender();
+        viewer.notifyStateChanged();
+    });
+
+    viewer.annotations.onSelectionChange = (annotation) => {
+        if (annotation) {
+            colorInput.value = annotation.color;
+        }
+        deleteBtn.disabled = !annotation;
+    };
+    deleteBtn.disabled = true;
+
+    document.getElementById('exportBtn').addEventListener('click', () => {
+        viewer.exportImage('png', 0.95, {
+            annotations: document.getElementById('exportAnnotations').checked
+        });
+    });
+}
+
 /**
  * Setup histogram controls
  * @private
@@ -155,6 +394,22 @@ function throttle(func, limit) {
     };
 }
 
+/**
+ * Map a drag to window width (horizontal) and window level (vertical)
+ * @private
+ */
+function adjustWindowLevel(viewer, deltaX, deltaY) {
+    if (!viewer.hasImage()) return;
+
+    const image = viewer.originalImage;
+    const step = (image.max - image.min) * CONFIG.WINDOW_SENSITIVITY;
+
+    viewer.setWindowLevel(
+        viewer.windowCenter + deltaY * step,
+        viewer.windowWidth + deltaX * step
+    );
+}
+
 /**
  * Mouse control handler class
  * @private
@@ -175,8 +430,12 @@ class MouseHandler {
     bindEvents() {
         this.canvas.addEventListener('mousedown', (e) => this.onMouseDown(e));
         this.canvas.addEventListener('mousemove', (e) => this.onMouseMove(e));
-        this.canvas.addEventListener('mouseup', () => this.onMouseUp());
-        this.canvas.addEventListener('mouseleave', () => this.onMouseUp());
+        this.canvas.addEventListener('mouseup', (e) => this.onMouseUp(e));
+        this.canvas.addEventListener('mouseleave', () => {
+            this.onMouseUp();
+            this.viewer.loupe.hide();
+        });
+        this.canvas.addEventListener('dblclick', (e) => this.viewer.overlay.doubleClick(e.clientX, e.clientY));
         
         // Throttled wheel handler for performance
         this.canvas.addEventListener('wheel', throttle((e) => this.onWheel(e), CONFIG.WHEEL_THROTTLE));
@@ -187,13 +446,21 @@ class MouseHandler {
     onMouseDown(e) {
         e.preventDefault();
         this.isDragging = true;
+
+        // Everything until the button is released is one undo step
+        this.viewer.history.begin();
         this.lastMouseX = e.clientX;
         this.lastMouseY = e.clientY;
 
-        if (e.button === 1) { // Middle button
+        if (e.button === 0 && !e.ctrlKey && this.viewer.overlay.pointerDown(e.clientX, e.clientY)) {
+            // Left button handled by the active tool
+            this.dragMode = 'tool';
+        } else if (e.button === 1) { // Middle button
             this.dragMode = 'adjust';
             this.canvas.classList.add('adjusting');
-            languageManager.showHint('hints.brightness');
+            languageManager.showHint(this.viewer.adjustmentMode === 'windowLevel'
+                ? 'hints.windowLevel'
+                : 'hints.brightness');
         } else if (e.button === 0 && e.ctrlKey) { // Left + Ctrl
             this.dragMode = 'zoom';
             this.canvas.classList.add('zooming');
@@ -205,6 +472,13 @@ class MouseHandler {
     }
 
     onMouseMove(e) {
+        this.viewer.loupe.moveTo(e.clientX, e.clientY);
+
+        // Tools show a preview while hovering, so they need moves without a pressed button
+        if (this.viewer.overlay.hasActiveTool() && (!this.isDragging || this.dragMode === 'tool')) {
+            this.viewer.overlay.pointerMove(e.clientX, e.clientY, this.isDragging);
+        }
+
         if (!this.isDragging) return;
         e.preventDefault();
 
@@ -217,6 +491,11 @@ class MouseHandler {
                 break;
 
             case 'adjust':
+                if (this.viewer.adjustmentMode === 'windowLevel') {
+                    adjustWindowLevel(this.viewer, deltaX, deltaY);
+                    break;
+                }
+
                 const newBrightness = this.viewer.brightness + deltaX * CONFIG.BRIGHTNESS_SENSITIVITY;
                 const newContrast = this.viewer.contrast - deltaY * CONFIG.CONTRAST_SENSITIVITY;
 
@@ -247,7 +526,15 @@ class MouseHandler {
         this.lastMouseY = e.clientY;
     }
 
-    onMouseUp() {
+    onMouseUp(e) {
+        if (this.isDragging && this.dragMode === 'tool') {
+            this.viewer.overlay.pointerUp(e && e.clientX, e && e.clientY);
+        }
+
+        if (this.isDragging) {
+            this.viewer.history.end();
+        }
+
         this.isDragging = false;
         this.dragMode = 'pan';
         this.canvas.style.cursor = 'grab';
@@ -278,6 +565,8 @@ class TouchHandler {
         this.initialPinchDistance = 0;
         this.lastTouchX = 0;
         this.lastTouchY = 0;
+        this.toolTouch = false;
+        this.loupeTouch = false;
 
         this.bindEvents();
     }
@@ -292,10 +581,31 @@ class TouchHandler {
     onTouchStart(e) {
         e.preventDefault();
 
-        if (e.touches.length === 1) {
+        // A gesture lasts until the last finger is lifted and becomes one undo step
+        if (e.touches.length === e.changedTouches.length) {
+            this.viewer.history.begin();
+        }
+
+        if (e.touches.length === 1 && this.viewer.overlay.pointerDown(e.touches[0].clientX, e.touches[0].clientY)) {
+            // Single touch handled by the active tool instead of panning
+            this.toolTouch = true;
+        } else if (e.touches.length === 1 && this.viewer.loupe.enabled) {
+            // With the loupe on, a single finger moves the lens instead of panning
+            this.loupeTouch = true;
+            this.viewer.loupe.moveTo(e.touches[0].clientX, e.touches[0].clientY, true);
+        } else if (e.touches.length === 1) {
             this.lastTouchX = e.touches[0].clientX;
             this.lastTouchY = e.touches[0].clientY;
         } else if (e.touches.length === 2) {
+            if (this.toolTouch) {
+                // A second finger turns the gesture into pinch/adjust
+                this.toolTouch = false;
+                this.viewer.overlay.pointerUp();
+            }
+            if (this.loupeTouch) {
+                this.loupeTouch = false;
+                this.viewer.loupe.hide();
+            }
             const dx = e.touches[0].clientX - e.touches[1].clientX;
             const dy = e.touches[0].clientY - e.touches[1].clientY;
             this.initialPinchDistance = Math.sqrt(dx * dx + dy * dy);
@@ -307,7 +617,11 @@ class TouchHandler {
     onTouchMove(e) {
         e.preventDefault();
 
-        if (e.touches.length === 1) {
+        if (e.touches.length === 1 && this.toolTouch) {
+            this.viewer.overlay.pointerMove(e.touches[0].clientX, e.touches[0].clientY, true);
+        } else if (e.touches.length === 1 && this.loupeTouch) {
+            this.viewer.loupe.moveTo(e.touches[0].clientX, e.touches[0].clientY, true);
+        } else if (e.touches.length === 1) {
             // Single touch - pan
             const deltaX = e.touches[0].clientX - this.lastTouchX;
             const deltaY = e.touches[0].clientY - this.lastTouchY;
@@ -339,6 +653,10 @@ class TouchHandler {
 
                 this.viewer.zoomAtPoint(zoomPointX, zoomPointY, zoomFactor);
                 this.initialPinchDistance = currentDistance;
+            } else if (moveDelta > 2 && this.viewer.adjustmentMode === 'windowLevel') {
+                // Two-finger drag for window width/level
+                adjustWindowLevel(this.viewer, currentMidX - this.lastTouchX, currentMidY - this.lastTouchY);
+                languageManager.showHint('hints.windowLevel');
             } else if (moveDelta > 2) {
                 // Two-finger drag for brightness/contrast
                 const deltaX = currentMidX - this.lastTouchX;
@@ -369,27 +687,31 @@ class TouchHandler {
     }
 
     onTouchEnd(e) {
+        if (this.toolTouch && e.touches.length === 0) {
+            this.toolTouch = false;
+            const touch = e.changedTouches[0];
+            this.viewer.overlay.pointerUp(touch.clientX, touch.clientY);
+        }
+
+        if (this.loupeTouch && e.touches.length === 0) {
+            this.loupeTouch = false;
+            this.viewer.loupe.hide();
+        }
+
         if (e.touches.length === 0) {
             this.initialPinchDistance = 0;
+            this.viewer.history.end();
         }
     }
 }
 
 /**
- * Setup mouse controls
- * @private
+ * Setup mouse and touch handling on a viewer's own canvas
+ * @param {RadiographViewer} viewer - Viewer of one pane
  */
-function setupMouseControls(viewer) {
+export function setupCanvasControls(viewer) {
     const canvas = viewer.canvas;
     new MouseHandler(viewer, canvas);
-}
-
-/**
- * Setup touch controls
- * @private
- */
-function setupTouchControls(viewer) {
-    const canvas = viewer.canvas;
     new TouchHandler(viewer, canvas);
 }
 
@@ -447,16 +769,132 @@ function setupDragDropControls(viewer) {
     });
 
     viewerContainer.addEventListener('drop', async (e) => {
-        const files = Array.from(e.dataTransfer.files).filter(file =>
-            file.type.startsWith('image/'));
+        try {
+            const files = await getDroppedFiles(e.dataTransfer);
+            if (files.length === 0) return;
+
+            await openFiles(viewer, files);
+        } catch (error) {
+            console.error('Failed to load dropped image:', error);
+            alert(`Failed to load image: ${error.message}`);
+        }
+    });
+}
 
-        if (files.length > 0) {
-            try {
-                await viewer.loadImage(files[0]);
-            } catch (error) {
-                console.error('Failed to load dropped image:', error);
-                alert(`Failed to load image: ${error.message}`);
-            }
+/**
+ * Load one image into the viewer, or several into the gallery strip. A dropped case package
+ * is imported instead.
+ * @private
+ * @param {RadiographViewer} viewer - Viewer instance
+ * @param {Array<File>} files - Opened files; anything but images, DICOM files and .zip packages is
+ *     skipped, with a message saying how many
+ * @returns {Promise<void>}
+ */
+async function openFiles(viewer, files) {
+    const casePackage = files.find(file => getFileExtension(file.name).toLowerCase() === 'zip');
+    if (casePackage) {
+        window.dispatchEvent(new CustomEvent('casePackageDropped', {
+            detail: { file: casePackage }
+        }));
+        return;
+    }
+
+    const images = files.filter(file => file.type.startsWith('image/') || isDicomFile(file));
+    const skipped = files.length - images.length;
+
+    if (images.length === 0) {
+        languageManager.showMessage('messages.noSupportedFiles', { count: skipped });
+        return;
+    }
+
+    if (images.length === 1) {
+        await viewer.loadImage(images[0]);
+    } else {
+        window.dispatchEvent(new CustomEvent('galleryFilesAdded', {
+            detail: { files: images }
+        }));
+    }
+
+    if (skipped > 0) {
+        languageManager.showMessage('messages.filesSkipped', { count: skipped });
+    }
+}
+
+/**
+ * Get the dropped files, including the files in dropped folders and their subfolders
+ * @private
+ * @param {DataTransfer} dataTransfer - Drop data
+ * @returns {Promise<Array<File>>} Files, sorted by path when folders were dropped
+ */
+async function getDroppedFiles(dataTransfer) {
+    // Entries must be taken before the first await, while the drop data is still readable
+    const entries = Array.from(dataTransfer.items || [])
+        .map(item => (item.kind === 'file' && item.webkitGetAsEntry ? item.webkitGetAsEntry() : null))
+        .filter(Boolean);
+
+    if (!entries.some(entry => entry.isDirectory)) {
+        return Array.from(dataTransfer.files);
+    }
+
+    const files = [];
+    for (const entry of entries) {
+        await readEntry(entry, '', files);
+    }
+
+    files.sort((a, b) => a.path.localeCompare(b.path, undefined, { numeric: true }));
+    return files.map(({ file }) => file);
+}
+
+/**
+ * Collect the files of a dropped file or folder entry
+ * @private
+ * @param {FileSystemEntry} entry - File or directory entry
+ * @param {string} path - Path of the folder holding the entry
+ * @param {Array<{path: string, file: File}>} files - Collected files
+ */
+async function readEntry(entry, path, files) {
+    // Hidden files such as .DS_Store are not part of what was dropped as far as the user knows
+    if (entry.name.startsWith('.')) return;
+
+    if (entry.isFile) {
+        const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+        files.push({ path: `${path}${entry.name}`, file });
+        return;
+    }
+
+    // readEntries returns the folder contents in batches until it returns none
+    const reader = entry.createReader();
+    let batch;
+    do {
+        batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+        for (const child of batch) {
+            await readEntry(child, `${path}${entry.name}/`, files);
+        }
+    } while (batch.length > 0);
+}
+
+/**
+ * Load images pasted from the clipboard (Ctrl+V / Cmd+V), e.g. a screenshot
+ * @private
+ */
+function setupPasteControls(viewer) {
+    document.addEventListener('paste', async (e) => {
+        // Text pasted into a field is not an image
+        if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') return;
+        if (!e.clipboardData) return;
+
+        const files = Array.from(e.clipboardData.items || [])
+            .filter(item => item.kind === 'file')
+            .map(item => item.getAsFile())
+            .filter(Boolean);
+        if (files.length === 0) return;
+
+        e.preventDefault();
+        try {
+            await openFiles(viewer, files);
+        } catch (error) {
+            console.error('Failed to load pasted image:', error);
+            languageManager.showMessage('messages.loadFailed');
         }
     });
 }
@@ -472,6 +910,12 @@ function setupKeyboardShortcuts(viewer) {
 
         if (!viewer.hasImage() && e.key !== 'h' && e.key !== 'H') return;
 
+        // The active measurement tool gets the first chance (Enter, Escape)
+        if (viewer.overlay.keyDown(e)) {
+            e.preventDefault();
+            return;
+        }
+
         switch (e.key) {
             case '+':
             case '=':
@@ -522,6 +966,32 @@ function setupKeyboardShortcuts(viewer) {
                 }
                 break;
 
+            case 'w':
+            case 'W':
+                e.preventDefault();
+                viewer.toggleWindowLevelMode();
+                break;
+
+            case 'z':
+            case 'Z':
+                if (e.ctrlKey || e.metaKey) {
+                    e.preventDefault();
+                    if (e.shiftKey) {
+                        viewer.redo();
+                    } else {
+                        viewer.undo();
+                    }
+                }
+                break;
+
+            case 'y':
+            case 'Y':
+                if (e.ctrlKey || e.metaKey) {
+                    e.preventDefault();
+                    viewer.redo();
+                }
+                break;
+
             case 'i':
             case 'I':
                 e.preventDefault();
@@ -531,6 +1001,22 @@ function setupKeyboardShortcuts(viewer) {
                 }
                 break;
 
+            case 'l':
+            case 'L':
+                e.preventDefault();
+                viewer.loupe.setEnabled(!viewer.loupe.enabled);
+                break;
+
+            case '[':
+                e.preventDefault();
+                viewer.rotate(-90);
+                break;
+
+            case ']':
+                e.preventDefault();
+                viewer.rotate(90);
+                break;
+
             case 'ArrowLeft':
                 e.preventDefault();
                 if (viewer.hasImage()) {
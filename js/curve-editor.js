@@ -0,0 +1,362 @@
+/**
+ * Radiograph Image Viewer - Transfer Curve Editor
+ * Editable tone curve in the histogram panel, applied to the display values as a lookup table
+ *
+ * A curve maps display levels (0-255) after brightness/contrast to output levels:
+ *   { type: 'linear', points: [[0, 0], [90, 60], [255, 255]], gamma: 1 }
+ *
+ *   linear  Straight segments between the control points
+ *   spline  Smooth monotone curve through the control points
+ *   gamma   output = 255 * (input / 255) ^ (1 / gamma), dragged by one handle in the middle
+ *
+ * The first and last control points stay at input 0 and 255; only their output can move.
+ */
+
+import languageManager from './language-manager.js';
+
+export const CURVE_TYPES = ['linear', 'gamma', 'spline'];
+
+const STORAGE_KEY = 'radiographViewer.curves';
+const HANDLE_RADIUS = 8;
+const MIN_GAMMA = 0.1;
+const MAX_GAMMA = 10;
+const CURVE_COLOR = '#ff9900';
+
+/**
+ * Create the identity curve
+ * @param {string} [type='linear'] - Curve type
+ * @returns {Object} Curve
+ */
+export function createDefaultCurve(type = 'linear') {
+    return { type, points: [[0, 0], [255, 255]], gamma: 1 };
+}
+
+/**
+ * Validate a curve from saved state, copying it
+ * @param {Object} curve - Curve to check
+ * @returns {Object|null} Valid copy, or null if unusable
+ */
+export function normalizeCurve(curve) {
+    if (!curve || !CURVE_TYPES.includes(curve.type) || !Array.isArray(curve.points)) return null;
+
+    const points = curve.points
+        .filter(p => Array.isArray(p) && Number.isFinite(p[0]) && Number.isFinite(p[1]))
+        .map(([x, y]) => [clampLevel(x), clampLevel(y)])
+        .sort((a, b) => a[0] - b[0]);
+
+    if (points.length < 2 || points[0][0] !== 0 || points[points.length - 1][0] !== 255) return null;
+
+    const gamma = Number.isFinite(curve.gamma) ? Math.max(MIN_GAMMA, Math.min(MAX_GAMMA, curve.gamma)) : 1;
+    return { type: curve.type, points, gamma };
+}
+
+/**
+ * Check if a curve leaves every level unchanged
+ * @param {Object|null} curve - Curve
+ * @returns {boolean} True for the identity
+ */
+export function isIdentityCurve(curve) {
+    if (!curve) return true;
+    if (curve.type === 'gamma') return curve.gamma === 1;
+    return curve.points.every(([x, y]) => x === y);
+}
+
+/**
+ * Build the lookup table for a curve
+ * @param {Object} curve - Curve
+ * @returns {Float32Array} Output level for each of the 256 input levels
+ */
+export function createCurveLut(curve) {
+    const lut = new Float32Array(256);
+
+    if (curve.type === 'gamma') {
+        for (let i = 0; i < 256; i++) {
+            lut[i] = 255 * Math.pow(i / 255, 1 / curve.gamma);
+        }
+        return lut;
+    }
+
+    const points = curve.points;
+    const slopes = curve.type === 'spline' ? getSplineSlopes(points) : null;
+    let segment = 0;
+
+    for (let i = 0; i < 256; i++) {
+        while (segment < points.length - 2 && i > points[segment + 1][0]) {
+            segment++;
+        }
+
+        const [x0, y0] = points[segment];
+        const [x1, y1] = points[segment + 1];
+        const h = Math.max(x1 - x0, Number.EPSILON);
+        const t = Math.max(0, Math.min(1, (i - x0) / h));
+
+        if (slopes) {
+            // Cubic Hermite segment
+            const t2 = t * t;
+            const t3 = t2 * t;
+            lut[i] = (2 * t3 - 3 * t2 + 1) * y0 + (t3 - 2 * t2 + t) * h * slopes[segment] +
+                     (-2 * t3 + 3 * t2) * y1 + (t3 - t2) * h * slopes[segment + 1];
+        } else {
+            lut[i] = y0 + (y1 - y0) * t;
+        }
+
+        lut[i] = clampLevel(lut[i]);
+    }
+
+    return lut;
+}
+
+/**
+ * Tangents for a monotone cubic spline (Fritsch-Carlson), so the curve doesn't overshoot its points
+ * @private
+ */
+function getSplineSlopes(points) {
+    const n = points.length;
+    const secants = [];
+    for (let i = 0; i < n - 1; i++) {
+        secants.push((points[i + 1][1] - points[i][1]) / Math.max(points[i + 1][0] - points[i][0], Number.EPSILON));
+    }
+
+    const slopes = new Array(n);
+    slopes[0] = secants[0];
+    slopes[n - 1] = secants[n - 2];
+    for (let i = 1; i < n - 1; i++) {
+        slopes[i] = secants[i - 1] * secants[i] <= 0 ? 0 : (secants[i - 1] + secants[i]) / 2;
+    }
+
+    for (let i = 0; i < n - 1; i++) {
+        if (secants[i] === 0) {
+            slopes[i] = 0;
+            slopes[i + 1] = 0;
+            continue;
+        }
+
+        const a = slopes[i] / secants[i];
+        const b = slopes[i + 1] / secants[i];
+        const length = Math.hypot(a, b);
+        if (length > 3) {
+            slopes[i] = 3 * a / length * secants[i];
+            slopes[i + 1] = 3 * b / length * secants[i];
+        }
+    }
+
+    return slopes;
+}
+
+/**
+ * @private
+ */
+function clampLevel(value) {
+    return Math.max(0, Math.min(255, value));
+}
+
+/**
+ * Get the control points shown as handles
+ * @private
+ */
+function getHandles(curve) {
+    if (curve.type === 'gamma') {
+        return [[127.5, 255 * Math.pow(0.5, 1 / curve.gamma)]];
+    }
+    return curve.points;
+}
+
+/**
+ * Draw a curve and its handles on the histogram canvas
+ * @param {CanvasRenderingContext2D} ctx - Histogram canvas context
+ * @param {Object} curve - Curve
+ * @param {number} width - Canvas width
+ * @param {number} height - Canvas height
+ */
+export function drawCurve(ctx, curve, width, height) {
+    const lut = createCurveLut(curve);
+
+    ctx.strokeStyle = CURVE_COLOR;
+    ctx.lineWidth = 1.5;
+    ctx.beginPath();
+    for (let i = 0; i < 256; i++) {
+        const x = (i / 255) * width;
+        const y = height - (lut[i] / 255) * height;
+        if (i === 0) {
+            ctx.moveTo(x, y);
+        } else {
+            ctx.lineTo(x, y);
+        }
+    }
+    ctx.stroke();
+
+    ctx.fillStyle = CURVE_COLOR;
+    getHandles(curve).forEach(([px, py]) => {
+        ctx.fillRect((px / 255) * width - 3, height - (py / 255) * height - 3, 6, 6);
+    });
+}
+
+/**
+ * Read the saved curves
+ * @private
+ * @returns {Object} Curves by name
+ */
+function loadSavedCurves() {
+    try {
+        return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+    } catch (error) {
+        console.warn('Saved curves unavailable:', error);
+        return {};
+    }
+}
+
+/**
+ * Let the user drag the tone curve on the histogram canvas and wire the curve toolbar
+ * @param {RadiographViewer} viewer - Viewer instance (the active pane stand-in in split view)
+ */
+export function setupCurveEditor(viewer) {
+    const canvas = document.getElementById('histogramCanvas');
+    const typeSelect = document.getElementById('curveType');
+    const savedSelect = document.getElementById('savedCurves');
+    if (!canvas || !typeSelect) return;
+
+    let dragIndex = -1;
+
+    const currentCurve = () => viewer.toneCurve || createDefaultCurve(typeSelect.value);
+
+    // Canvas coordinates to curve levels; the canvas is scaled by CSS
+    const toLevels = (e) => {
+        const rect = canvas.getBoundingClientRect();
+        return [
+            clampLevel(Math.round((e.clientX - rect.left) / rect.width * 255)),
+            clampLevel(Math.round((1 - (e.clientY - rect.top) / rect.height) * 255))
+        ];
+    };
+
+    const findHandle = (curve, e) => {
+        const rect = canvas.getBoundingClientRect();
+        return getHandles(curve).findIndex(([px, py]) => {
+            const hx = rect.left + (px / 255) * rect.width;
+            const hy = rect.top + (1 - py / 255) * rect.height;
+            return Math.hypot(e.clientX - hx, e.clientY - hy) <= HANDLE_RADIUS;
+        });
+    };
+
+    const moveHandle = (curve, index, [x, y]) => {
+        if (curve.type === 'gamma') {
+            // Solve 0.5 ^ (1 / gamma) = y / 255 for the handle at input 127.5
+            const output = Math.max(1, Math.min(254, y)) / 255;
+            curve.gamma = Math.max(MIN_GAMMA, Math.min(MAX_GAMMA, Math.log(0.5) / Math.log(output)));
+            return;
+        }
+
+        const points = curve.points;
+        const last = points.length - 1;
+        if (index === 0 || index === last) {
+            points[index][1] = y;
+        } else {
+            points[index] = [Math.max(points[index - 1][0] + 1, Math.min(points[index + 1][0] - 1, x)), y];
+        }
+    };
+
+    canvas.addEventListener('pointerdown', (e) => {
+        if (!viewer.hasImage() || viewer.adjustmentMode === 'windowLevel') return;
+        e.preventDefault();
+
+        const curve = normalizeCurve(currentCurve());
+        let index = findHandle(curve, e);
+
+        // A press away from the handles adds a control point there
+        if (index < 0 && curve.type !== 'gamma') {
+            const [x, y] = toLevels(e);
+            index = curve.points.findIndex(p => p[0] > x);
+            if (index <= 0 || curve.points[index - 1][0] === x) return;
+            curve.points.splice(index, 0, [x, y]);
+        }
+        if (index < 0) return;
+
+        dragIndex = index;
+        canvas.setPointerCapture(e.pointerId);
+        viewer.history.begin();
+        viewer.setToneCurve(curve);
+    });
+
+    canvas.addEventListener('pointermove', (e) => {
+        if (dragIndex < 0) return;
+
+        const curve = normalizeCurve(currentCurve());
+        moveHandle(curve, dragIndex, toLevels(e));
+        viewer.setToneCurve(curve);
+    });
+
+    const endDrag = () => {
+        if (dragIndex < 0) return;
+        dragIndex = -1;
+        viewer.history.end();
+    };
+    canvas.addEventListener('pointerup', endDrag);
+    canvas.addEventListener('pointercancel', endDrag);
+
+    // Double-click removes a control point; the end points stay
+    canvas.addEventListener('dblclick', (e) => {
+        const curve = normalizeCurve(currentCurve());
+        if (!viewer.hasImage() || curve.type === 'gamma') return;
+
+        const index = findHandle(curve, e);
+        if (index > 0 && index < curve.points.length - 1) {
+            curve.points.splice(index, 1);
+            viewer.setToneCurve(curve);
+        }
+    });
+
+    typeSelect.addEventListener('change', (e) => {
+        const curve = normalizeCurve(currentCurve());
+        curve.type = e.target.value;
+        viewer.setToneCurve(curve);
+    });
+
+    document.getElementById('curveResetBtn').addEventListener('click', () => {
+        viewer.setToneCurve(null);
+    });
+
+    const fillSavedCurves = () => {
+        if (!savedSelect) return;
+
+        savedSelect.innerHTML = '';
+        const placeholder = document.createElement('option');
+        placeholder.value = '';
+        placeholder.textContent = languageManager.get('curves.saved');
+        savedSelect.appendChild(placeholder);
+
+        Object.keys(loadSavedCurves()).sort().forEach(name => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = name;
+            savedSelect.appendChild(option);
+        });
+    };
+
+    document.getElementById('curveSaveBtn').addEventListener('click', () => {
+        const name = window.prompt(languageManager.get('prompts.curveName'));
+        if (!name || !name.trim()) return;
+
+        try {
+            const curves = loadSavedCurves();
+            curves[name.trim()] = normalizeCurve(currentCurve());
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(curves));
+            fillSavedCurves();
+            languageManager.showHint('hints.curveSaved');
+        } catch (error) {
+            console.error('Failed to save curve:', error);
+            languageManager.showMessage('messages.curveSaveFailed');
+        }
+    });
+
+    if (savedSelect) {
+        savedSelect.addEventListener('change', (e) => {
+            const curve = normalizeCurve(loadSavedCurves()[e.target.value]);
+            if (curve) {
+                viewer.setToneCurve(curve);
+            }
+            e.target.value = '';
+        });
+    }
+
+    fillSavedCurves();
+    window.addEventListener('languageChanged', fillSavedCurves);
+}
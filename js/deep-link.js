@@ -0,0 +1,280 @@
+/**
+ * Radiograph Image Viewer - Shareable Links
+ * Encodes the image and view state in the URL hash so teachers can send students a prepared view
+ *
+ * Link format (hash or query string):
+ *   #image=periapical.jpg&zoom=2&x=410&y=620&b=10&c=-5&e=2&inv=1&wl=2048,1200
+ *
+ *   image  Filename in images/ or full URL
+ *   rot    Clockwise rotation in degrees
+ *   flip   h, v or hv to mirror the loaded image (before rotation)
+ *   crop   x,y,width,height of the crop in the rotated image
+ *   zoom   Zoom factor
+ *   x, y   Image pixel (after rotation and crop) shown at the centre of the viewer
+ *   b, c   Brightness and contrast (-100 to 100)
+ *   e      Edge enhancement (0 to 10)
+ *   inv    1 if inverted
+ *   nr     Noise filter and strength, e.g. median,3
+ *   eq     Histogram equalization: global, or clahe,tileSize,clipLimit
+ *   cm     Pseudocolor map, e.g. isodensity
+ *   wl     Window level mode with center,width in source values
+ */
+
+import languageManager from './language-manager.js';
+import { resolveImageUrl } from './utils.js';
+import { CONFIG } from './controls.js';
+
+const LINK_KEYS = ['image', 'rot', 'flip', 'crop', 'zoom', 'x', 'y', 'b', 'c', 'e', 'inv', 'nr', 'eq', 'cm', 'wl'];
+
+/**
+ * Delay before the hash follows view changes, so panning doesn't flood the browser history API
+ * @private
+ */
+const HASH_UPDATE_DELAY = 250;
+
+/**
+ * Read link parameters from the hash, or from the query string if the hash has none
+ * @param {Location} location - Page location
+ * @returns {URLSearchParams|null} Link parameters, null if the URL doesn't name an image
+ */
+export function parseLink(location) {
+    const hash = new URLSearchParams(location.hash.replace(/^#/, ''));
+    if (hash.get('image')) return hash;
+
+    const query = new URLSearchParams(location.search);
+    if (query.get('image')) return query;
+
+    return null;
+}
+
+/**
+ * Get the value for the image parameter: a bare filename for images in images/, else the URL
+ * @private
+ * @returns {string|null} Image reference, null if the image can't be linked to
+ */
+function getImageReference(viewer) {
+    const source = viewer.imageSource;
+    if (!source || source.startsWith('data:') || source.startsWith('blob:')) return null;
+
+    const match = source.match(/^(?:\.\/|.*\/)images\/([^/]+)$/);
+    if (match && resolveImageUrl(match[1]) === source) {
+        return match[1];
+    }
+
+    return source;
+}
+
+/**
+ * Serialize the current viewer state as link parameters
+ * @param {RadiographViewer} viewer - Viewer instance
+ * @returns {URLSearchParams|null} Link parameters, null if the image has no URL
+ */
+export function createLinkParams(viewer) {
+    const image = getImageReference(viewer);
+    if (!image || !viewer.hasImage()) return null;
+
+    const container = viewer.canvas.parentElement;
+    const centerX = (container.clientWidth / 2 - viewer.panX) / viewer.zoom;
+    const centerY = (container.clientHeight / 2 - viewer.panY) / viewer.zoom;
+
+    const params = new URLSearchParams();
+    params.set('image', image);
+
+    const { rotation, flipH, flipV, crop } = viewer.transform;
+    if (rotation !== 0) params.set('rot', rotation);
+    if (flipH || flipV) params.set('flip', `${flipH ? 'h' : ''}${flipV ? 'v' : ''}`);
+    if (crop) params.set('crop', `${crop.x},${crop.y},${crop.width},${crop.height}`);
+
+    params.set('zoom', viewer.zoom.toFixed(3).replace(/\.?0+$/, ''));
+    params.set('x', Math.round(centerX));
+    params.set('y', Math.round(centerY));
+
+    if (viewer.brightness !== 0) params.set('b', Math.round(viewer.brightness));
+    if (viewer.contrast !== 0) params.set('c', Math.round(viewer.contrast));
+    if (viewer.edgeEnhancement !== 0) params.set('e', viewer.edgeEnhancement.toFixed(1));
+    if (viewer.isInverted) params.set('inv', '1');
+    if (viewer.noiseFilter !== 'none') params.set('nr', `${viewer.noiseFilter},${viewer.noiseStrength}`);
+    if (viewer.equalization === 'global') params.set('eq', 'global');
+    if (viewer.equalization === 'clahe') params.set('eq', `clahe,${viewer.claheTileSize},${viewer.claheClipLimit}`);
+    if (viewer.colorMap !== 'grey') params.set('cm', viewer.colorMap);
+
+    if (viewer.adjustmentMode === 'windowLevel') {
+        const decimals = viewer.getWindowDecimals();
+        params.set('wl', `${viewer.windowCenter.toFixed(decimals)},${viewer.windowWidth.toFixed(decimals)}`);
+    }
+
+    return params;
+}
+
+/**
+ * Apply the view parameters of a link to the loaded image
+ * @param {RadiographViewer} viewer - Viewer instance
+ * @param {URLSearchParams} params - Link parameters
+ */
+export function applyLinkParams(viewer, params) {
+    const number = (key) => {
+        const value = parseFloat(params.get(key));
+        return isNaN(value) ? undefined : value;
+    };
+
+    const zoom = number('zoom');
+    const flip = params.get('flip') || '';
+    const crop = (params.get('crop') || '').split(',').map(parseFloat);
+    const state = {
+        transform: {
+            rotation: number('rot') || 0,
+            flipH: flip.includes('h'),
+            flipV: flip.includes('v'),
+            crop: crop.length === 4 ? { x: crop[0], y: crop[1], width: crop[2], height: crop[3] } : null
+        },
+        zoom: zoom !== undefined ? Math.max(CONFIG.MIN_ZOOM, Math.min(CONFIG.MAX_ZOOM, zoom)) : undefined,
+        brightness: number('b') || 0,
+        contrast: number('c') || 0,
+        edgeEnhancement: number('e') || 0,
+        isInverted: params.get('inv') === '1',
+        noiseFilter: 'none',
+        equalization: 'none',
+        colorMap: params.get('cm') || 'grey',
+        adjustmentMode: 'brightnessContrast'
+    };
+
+    // applyState ignores unknown filter names
+    const [noiseFilter, noiseStrength] = (params.get('nr') || '').split(',');
+    if (noiseFilter) {
+        state.noiseFilter = noiseFilter;
+        state.noiseStrength = parseInt(noiseStrength, 10);
+    }
+
+    const [equalization, tileSize, clipLimit] = (params.get('eq') || '').split(',');
+    if (equalization) {
+        state.equalization = equalization;
+        state.claheTileSize = parseFloat(tileSize);
+        state.claheClipLimit = parseFloat(clipLimit);
+    }
+
+    const windowLevel = (params.get('wl') || '').split(',').map(parseFloat);
+    if (windowLevel.length === 2 && windowLevel.every(isFinite) && windowLevel[1] > 0) {
+        state.adjustmentMode = 'windowLevel';
+        state.windowCenter = windowLevel[0];
+        state.windowWidth = windowLevel[1];
+        state.windowPreset = '';
+    }
+
+    // Centre the linked image point in this viewer, whatever its size
+    const x = number('x');
+    const y = number('y');
+    if (x !== undefined && y !== undefined) {
+        const container = viewer.canvas.parentElement;
+        const scale = state.zoom !== undefined ? state.zoom : viewer.zoom;
+        state.panX = container.clientWidth / 2 - x * scale;
+        state.panY = container.clientHeight / 2 - y * scale;
+    }
+
+    viewer.applyState(state);
+}
+
+/**
+ * Open the image and view named by a link
+ * @param {RadiographViewer} viewer - Viewer instance
+ * @param {URLSearchParams} params - Link parameters
+ * @returns {Promise<void>}
+ */
+export async function openLink(viewer, params) {
+    const url = resolveImageUrl(params.get('image'));
+
+    if (viewer.imageSource !== url) {
+        await viewer.loadImageFromUrl(url);
+    }
+
+    applyLinkParams(viewer, params);
+
+    // The linked view is the starting point, not a step to undo
+    viewer.history.reset();
+}
+
+/**
+ * Build the full shareable URL for the current view
+ * @param {RadiographViewer} viewer - Viewer instance
+ * @returns {string|null} URL, null if the image can't be linked to
+ */
+export function createLink(viewer) {
+    const params = createLinkParams(viewer);
+    if (!params) return null;
+
+    return `${getPageUrl()}#${params.toString()}`;
+}
+
+/**
+ * Page URL without link parameters in the query string or hash
+ * @private
+ */
+function getPageUrl() {
+    const [base] = window.location.href.split(/[?#]/);
+    const query = new URLSearchParams(window.location.search);
+    LINK_KEYS.forEach(key => query.delete(key));
+
+    const search = query.toString();
+    return search ? `${base}?${search}` : base;
+}
+
+/**
+ * Copy the link for the current view to the clipboard
+ * @param {RadiographViewer} viewer - Viewer instance
+ */
+export async function copyLink(viewer) {
+    const link = createLink(viewer);
+
+    if (!link) {
+        languageManager.showMessage('messages.linkUnavailable');
+        return;
+    }
+
+    try {
+        await navigator.clipboard.writeText(link);
+        languageManager.showHint('hints.linkCopied');
+    } catch (error) {
+        // Clipboard access needs a secure context and permission; let the user copy by hand
+        console.warn('Clipboard unavailable:', error);
+        window.prompt(languageManager.get('prompts.copyLink'), link);
+    }
+}
+
+/**
+ * Keep the hash in sync with the view, react to pasted links, and wire the copy button
+ * @param {RadiographViewer} viewer - Viewer instance
+ */
+export function setupDeepLinks(viewer) {
+    let updateTimeout = null;
+
+    window.addEventListener('viewerStateChanged', () => {
+        clearTimeout(updateTimeout);
+        updateTimeout = setTimeout(() => {
+            const params = createLinkParams(viewer);
+
+            // replaceState doesn't add browser history entries or fire hashchange
+            if (params) {
+                history.replaceState(null, '', `${getPageUrl()}#${params.toString()}`);
+            } else if (parseLink(window.location)) {
+                history.replaceState(null, '', getPageUrl());
+            }
+        }, HASH_UPDATE_DELAY);
+    });
+
+    // A link opened in a tab that already shows the viewer only changes the hash
+    window.addEventListener('hashchange', async () => {
+        const params = parseLink(window.location);
+        if (!params) return;
+
+        try {
+            await openLink(viewer, params);
+        } catch (error) {
+            console.error('Failed to open link:', error);
+            languageManager.showMessage('messages.loadFailed');
+        }
+    });
+
+    const copyLinkBtn = document.getElementById('copyLinkBtn');
+    if (copyLinkBtn) {
+        copyLinkBtn.addEventListener('click', () => copyLink(viewer));
+    }
+}
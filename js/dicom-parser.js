@@ -0,0 +1,515 @@
+/**
+ * Radiograph Image Viewer - DICOM Parser
+ * Minimal pure-JS reader for DICOM Part 10 files (uncompressed and JPEG baseline)
+ */
+
+/**
+ * Supported transfer syntax UIDs
+ */
+export const TRANSFER_SYNTAX = {
+    IMPLICIT_LITTLE: '1.2.840.10008.1.2',
+    EXPLICIT_LITTLE: '1.2.840.10008.1.2.1',
+    EXPLICIT_BIG: '1.2.840.10008.1.2.2',
+    JPEG_BASELINE: '1.2.840.10008.1.2.4.50'
+};
+
+/**
+ * Tags read by the parser, as 'ggggeeee' hex strings
+ * @private
+ */
+const TAGS = {
+    TRANSFER_SYNTAX_UID: '00020010',
+    MODALITY: '00080060',
+    IMAGER_PIXEL_SPACING: '00181164',
+    SAMPLES_PER_PIXEL: '00280002',
+    PHOTOMETRIC_INTERPRETATION: '00280004',
+    PLANAR_CONFIGURATION: '00280006',
+    NUMBER_OF_FRAMES: '00280008',
+    ROWS: '00280010',
+    COLUMNS: '00280011',
+    PIXEL_SPACING: '00280030',
+    BITS_ALLOCATED: '00280100',
+    BITS_STORED: '00280101',
+    PIXEL_REPRESENTATION: '00280103',
+    WINDOW_CENTER: '00281050',
+    WINDOW_WIDTH: '00281051',
+    RESCALE_INTERCEPT: '00281052',
+    RESCALE_SLOPE: '00281053',
+    RESCALE_TYPE: '00281054',
+    PIXEL_DATA: '7fe00010'
+};
+
+/**
+ * Value representations that use a 4-byte length in explicit VR encoding
+ * @private
+ */
+const LONG_VRS = ['OB', 'OD', 'OF', 'OL', 'OV', 'OW', 'SQ', 'SV', 'UC', 'UN', 'UR', 'UT', 'UV'];
+
+/**
+ * Binary VRs of the tags we read, needed for implicit VR files
+ * @private
+ */
+const IMPLICIT_VRS = {
+    [TAGS.SAMPLES_PER_PIXEL]: 'US',
+    [TAGS.PLANAR_CONFIGURATION]: 'US',
+    [TAGS.ROWS]: 'US',
+    [TAGS.COLUMNS]: 'US',
+    [TAGS.BITS_ALLOCATED]: 'US',
+    [TAGS.BITS_STORED]: 'US',
+    [TAGS.PIXEL_REPRESENTATION]: 'US',
+    [TAGS.PIXEL_DATA]: 'OW'
+};
+
+const ITEM_TAG = 'fffee000';
+const ITEM_DELIMITER_TAG = 'fffee00d';
+const SEQUENCE_DELIMITER_TAG = 'fffee0dd';
+const UNDEFINED_LENGTH = 0xFFFFFFFF;
+
+/**
+ * Check whether a buffer holds a DICOM Part 10 file ("DICM" after the 128-byte preamble)
+ * @param {ArrayBuffer} buffer - File contents
+ * @returns {boolean} True if the magic bytes are present
+ */
+export function isDicomBuffer(buffer) {
+    if (!buffer || buffer.byteLength < 132) return false;
+    const magic = new Uint8Array(buffer, 128, 4);
+    return String.fromCharCode(...magic) === 'DICM';
+}
+
+/**
+ * DicomParser class for reading the image-related attributes of a DICOM file
+ * @class
+ */
+export class DicomParser {
+    /**
+     * Parse a DICOM Part 10 file
+     * @param {ArrayBuffer} buffer - File contents
+     * @returns {Object} Image description with stored pixel values or an encapsulated JPEG frame
+     * @throws {Error} If the file is not DICOM or uses an unsupported encoding
+     */
+    parse(buffer) {
+        if (!isDicomBuffer(buffer)) {
+            throw new Error('Not a DICOM Part 10 file');
+        }
+
+        this.view = new DataView(buffer);
+        this.bytes = new Uint8Array(buffer);
+        this.elements = {};
+
+        // File meta information is always explicit VR little endian
+        let offset = this.readMetaGroup(132);
+
+        const transferSyntax = this.getString(TAGS.TRANSFER_SYNTAX_UID);
+        if (!Object.values(TRANSFER_SYNTAX).includes(transferSyntax)) {
+            throw new Error(`Unsupported transfer syntax: ${transferSyntax || 'unknown'}`);
+        }
+
+        this.explicitVR = transferSyntax !== TRANSFER_SYNTAX.IMPLICIT_LITTLE;
+        this.littleEndian = transferSyntax !== TRANSFER_SYNTAX.EXPLICIT_BIG;
+
+        this.readDataSet(offset, buffer.byteLength, this.elements);
+
+        return this.buildImage(transferSyntax);
+    }
+
+    /**
+     * Read the group 0002 meta elements
+     * @private
+     * @param {number} offset - Start of the meta group
+     * @returns {number} Offset of the first data set element
+     */
+    readMetaGroup(offset) {
+        this.explicitVR = true;
+        this.littleEndian = true;
+
+        while (offset < this.bytes.length && this.view.getUint16(offset, true) === 0x0002) {
+            const element = this.readElementHeader(offset);
+            this.elements[element.tag] = { vr: element.vr, offset: element.valueOffset, length: element.length };
+            offset = element.valueOffset + element.length;
+        }
+
+        return offset;
+    }
+
+    /**
+     * Read elements until the end offset or an item delimiter is reached
+     * @private
+     * @param {number} offset - Start offset
+     * @param {number} end - End offset
+     * @param {Object|null} target - Map to store top-level elements in, null to discard
+     * @returns {number} Offset after the last element read
+     */
+    readDataSet(offset, end, target) {
+        while (offset + 8 <= end) {
+            const element = this.readElementHeader(offset);
+
+            if (element.tag === ITEM_DELIMITER_TAG) {
+                return element.valueOffset;
+            }
+
+            if (element.tag === TAGS.PIXEL_DATA && element.length === UNDEFINED_LENGTH) {
+                const fragments = [];
+                offset = this.readEncapsulatedFragments(element.valueOffset, fragments);
+                if (target) target[element.tag] = { vr: element.vr, fragments };
+                continue;
+            }
+
+            if (element.length === UNDEFINED_LENGTH) {
+                // Sequence of undefined length - walk its items to find the end
+                offset = this.skipSequence(element.valueOffset);
+                continue;
+            }
+
+            if (element.vr === 'SQ') {
+                // Defined-length sequences are skipped in one step; nested items are not needed
+                offset = element.valueOffset + element.length;
+                continue;
+            }
+
+            if (target) {
+                target[element.tag] = { vr: element.vr, offset: element.valueOffset, length: element.length };
+            }
+            offset = element.valueOffset + element.length;
+        }
+
+        return offset;
+    }
+
+    /**
+     * Skip a sequence of undefined length
+     * @private
+     * @param {number} offset - Offset of the first item
+     * @returns {number} Offset after the sequence delimiter
+     */
+    skipSequence(offset) {
+        while (offset + 8 <= this.bytes.length) {
+            const tag = this.readTag(offset);
+            const length = this.view.getUint32(offset + 4, this.littleEndian);
+            offset += 8;
+
+            if (tag === SEQUENCE_DELIMITER_TAG) {
+                return offset;
+            }
+
+            if (tag === ITEM_TAG) {
+                offset = length === UNDEFINED_LENGTH
+                    ? this.readDataSet(offset, this.bytes.length, null)
+                    : offset + length;
+            }
+        }
+
+        return offset;
+    }
+
+    /**
+     * Collect the fragments of encapsulated pixel data
+     * @private
+     * @param {number} offset - Offset of the basic offset table item
+     * @param {Array<Uint8Array>} fragments - Receives the fragment bytes
+     * @returns {number} Offset after the sequence delimiter
+     */
+    readEncapsulatedFragments(offset, fragments) {
+        let first = true;
+
+        while (offset + 8 <= this.bytes.length) {
+            const tag = this.readTag(offset);
+            const length = this.view.getUint32(offset + 4, true);
+            offset += 8;
+
+            if (tag === SEQUENCE_DELIMITER_TAG) {
+                return offset;
+            }
+
+            // The first item is the basic offset table, which we don't need
+            if (tag === ITEM_TAG && !first) {
+                fragments.push(this.bytes.subarray(offset, offset + length));
+            }
+            first = false;
+            offset += length;
+        }
+
+        return offset;
+    }
+
+    /**
+     * Read the tag as a lowercase 'ggggeeee' hex string
+     * @private
+     */
+    readTag(offset) {
+        const group = this.view.getUint16(offset, this.littleEndian);
+        const element = this.view.getUint16(offset + 2, this.littleEndian);
+        return group.toString(16).padStart(4, '0') + element.toString(16).padStart(4, '0');
+    }
+
+    /**
+     * Read an element header in the current encoding
+     * @private
+     * @returns {{tag: string, vr: string, length: number, valueOffset: number}}
+     */
+    readElementHeader(offset) {
+        const tag = this.readTag(offset);
+
+        // Item and delimiter tags never carry a VR
+        if (tag.startsWith('fffe') || !this.explicitVR) {
+            return {
+                tag,
+                vr: IMPLICIT_VRS[tag] || 'UN',
+                length: this.view.getUint32(offset + 4, this.littleEndian),
+                valueOffset: offset + 8
+            };
+        }
+
+        const vr = String.fromCharCode(this.bytes[offset + 4], this.bytes[offset + 5]);
+
+        if (LONG_VRS.includes(vr)) {
+            return {
+                tag,
+                vr,
+                length: this.view.getUint32(offset + 8, this.littleEndian),
+                valueOffset: offset + 12
+            };
+        }
+
+        return {
+            tag,
+            vr,
+            length: this.view.getUint16(offset + 6, this.littleEndian),
+            valueOffset: offset + 8
+        };
+    }
+
+    /**
+     * Get a string value, trimmed of padding
+     * @private
+     */
+    getString(tag) {
+        const element = this.elements[tag];
+        if (!element || element.length === undefined) return null;
+
+        let value = '';
+        for (let i = 0; i < element.length; i++) {
+            value += String.fromCharCode(this.bytes[element.offset + i]);
+        }
+        return value.replace(/[\0\s]+$/, '').trim();
+    }
+
+    /**
+     * Get a multi-valued numeric string (DS/IS) as numbers
+     * @private
+     */
+    getNumbers(tag) {
+        const value = this.getString(tag);
+        if (!value) return [];
+        return value.split('\\').map(parseFloat).filter(n => !isNaN(n));
+    }
+
+    /**
+     * Get an unsigned short value
+     * @private
+     */
+    getUint16(tag, fallback) {
+        const element = this.elements[tag];
+        if (!element || element.length < 2) return fallback;
+        return this.view.getUint16(element.offset, this.littleEndian);
+    }
+
+    /**
+     * Assemble the parsed attributes into an image description
+     * @private
+     * @param {string} transferSyntax - Transfer syntax UID
+     * @returns {Object} Image description
+     */
+    buildImage(transferSyntax) {
+        const rows = this.getUint16(TAGS.ROWS, 0);
+        const columns = this.getUint16(TAGS.COLUMNS, 0);
+        const pixelElement = this.elements[TAGS.PIXEL_DATA];
+
+        if (!rows || !columns || !pixelElement) {
+            throw new Error('DICOM file contains no image data');
+        }
+
+        const [windowCenter] = this.getNumbers(TAGS.WINDOW_CENTER);
+        const [windowWidth] = this.getNumbers(TAGS.WINDOW_WIDTH);
+        const [rescaleSlope] = this.getNumbers(TAGS.RESCALE_SLOPE);
+        const [rescaleIntercept] = this.getNumbers(TAGS.RESCALE_INTERCEPT);
+        const pixelSpacing = this.getNumbers(TAGS.PIXEL_SPACING);
+        const imagerPixelSpacing = this.getNumbers(TAGS.IMAGER_PIXEL_SPACING);
+
+        const image = {
+            transferSyntax,
+            rows,
+            columns,
+            samplesPerPixel: this.getUint16(TAGS.SAMPLES_PER_PIXEL, 1),
+            planarConfiguration: this.getUint16(TAGS.PLANAR_CONFIGURATION, 0),
+            photometricInterpretation: this.getString(TAGS.PHOTOMETRIC_INTERPRETATION) || 'MONOCHROME2',
+            bitsAllocated: this.getUint16(TAGS.BITS_ALLOCATED, 8),
+            bitsStored: this.getUint16(TAGS.BITS_STORED, 0),
+            pixelRepresentation: this.getUint16(TAGS.PIXEL_REPRESENTATION, 0),
+            rescaleSlope: rescaleSlope !== undefined ? rescaleSlope : 1,
+            rescaleIntercept: rescaleIntercept !== undefined ? rescaleIntercept : 0,
+            rescaleType: this.getString(TAGS.RESCALE_TYPE),
+            windowCenter: windowCenter !== undefined ? windowCenter : null,
+            windowWidth: windowWidth !== undefined && windowWidth > 0 ? windowWidth : null,
+            pixelSpacing: pixelSpacing.length === 2 ? pixelSpacing
+                : (imagerPixelSpacing.length === 2 ? imagerPixelSpacing : null),
+            modality: this.getString(TAGS.MODALITY),
+            numberOfFrames: parseInt(this.getString(TAGS.NUMBER_OF_FRAMES), 10) || 1,
+            pixelData: null,
+            encapsulatedFrame: null
+        };
+
+        if (!image.bitsStored) {
+            image.bitsStored = image.bitsAllocated;
+        }
+
+        if (transferSyntax === TRANSFER_SYNTAX.JPEG_BASELINE) {
+            if (!pixelElement.fragments || pixelElement.fragments.length === 0) {
+                throw new Error('DICOM file contains no JPEG frame');
+            }
+            image.encapsulatedFrame = this.joinFragments(pixelElement.fragments, image.numberOfFrames);
+        } else {
+            if (pixelElement.fragments) {
+                throw new Error('Encapsulated pixel data requires a compressed transfer syntax');
+            }
+            image.pixelData = this.readNativePixels(pixelElement, image);
+        }
+
+        return image;
+    }
+
+    /**
+     * Join the fragments of the first frame into a single JPEG bitstream
+     * @private
+     */
+    joinFragments(fragments, numberOfFrames) {
+        // With one fragment per frame only the first belongs to frame 1
+        const frameFragments = numberOfFrames > 1 && fragments.length === numberOfFrames
+            ? fragments.slice(0, 1)
+            : fragments;
+
+        const length = frameFragments.reduce((sum, fragment) => sum + fragment.length, 0);
+        const frame = new Uint8Array(length);
+        let position = 0;
+        frameFragments.forEach(fragment => {
+            frame.set(fragment, position);
+            position += fragment.length;
+        });
+        return frame;
+    }
+
+    /**
+     * Read the first frame of native (uncompressed) pixel data as stored grey values
+     * @private
+     * @returns {Int32Array} Stored values, one per pixel (colour is reduced to luminance)
+     */
+    readNativePixels(element, image) {
+        const { rows, columns, samplesPerPixel, bitsAllocated, bitsStored, pixelRepresentation } = image;
+
+        if (bitsAllocated !== 8 && bitsAllocated !== 16) {
+            throw new Error(`Unsupported bits allocated: ${bitsAllocated}`);
+        }
+        if (samplesPerPixel !== 1 && samplesPerPixel !== 3) {
+            throw new Error(`Unsupported samples per pixel: ${samplesPerPixel}`);
+        }
+
+        const pixelCount = rows * columns;
+        const bytesPerSample = bitsAllocated / 8;
+        const frameLength = pixelCount * samplesPerPixel * bytesPerSample;
+
+        if (element.length < frameLength) {
+            throw new Error('DICOM pixel data is truncated');
+        }
+
+        const readSample = (index) => {
+            const offset = element.offset + index * bytesPerSample;
+            return bitsAllocated === 8
+                ? this.bytes[offset]
+                : this.view.getUint16(offset, this.littleEndian);
+        };
+
+        const values = new Int32Array(pixelCount);
+
+        if (samplesPerPixel === 3) {
+            // Colour data is only expected for photographs; reduce to luminance
+            const planar = image.planarConfiguration === 1;
+            for (let i = 0; i < pixelCount; i++) {
+                const r = planar ? readSample(i) : readSample(i * 3);
+                const g = planar ? readSample(pixelCount + i) : readSample(i * 3 + 1);
+                const b = planar ? readSample(pixelCount * 2 + i) : readSample(i * 3 + 2);
+                values[i] = Math.round(0.299 * r + 0.587 * g + 0.114 * b);
+            }
+            return values;
+        }
+
+        const mask = bitsStored >= 32 ? 0xFFFFFFFF : (1 << bitsStored) - 1;
+        const shift = 32 - bitsStored;
+
+        for (let i = 0; i < pixelCount; i++) {
+            const raw = readSample(i) & mask;
+            // Sign-extend from the stored bit depth for signed data
+            values[i] = pixelRepresentation === 1 ? (raw << shift) >> shift : raw;
+        }
+
+        return values;
+    }
+}
+
+/**
+ * Get the stored grey values of the first frame, decoding JPEG baseline frames with the browser
+ * @param {Object} image - Parsed DICOM image description
+ * @returns {Promise<ArrayLike<number>>} Stored values, one per pixel
+ */
+export function decodeDicomFrame(image) {
+    if (image.pixelData) {
+        return Promise.resolve(image.pixelData);
+    }
+
+    return new Promise((resolve, reject) => {
+        const blob = new Blob([image.encapsulatedFrame], { type: 'image/jpeg' });
+        const url = URL.createObjectURL(blob);
+        const img = new Image();
+
+        img.onload = () => {
+            URL.revokeObjectURL(url);
+
+            const canvas = document.createElement('canvas');
+            canvas.width = img.width;
+            canvas.height = img.height;
+            const ctx = canvas.getContext('2d', { willReadFrequently: true });
+            ctx.drawImage(img, 0, 0);
+
+            const rgba = ctx.getImageData(0, 0, img.width, img.height).data;
+            const values = new Uint8Array(img.width * img.height);
+            for (let i = 0; i < values.length; i++) {
+                const p = i * 4;
+                values[i] = Math.round(0.299 * rgba[p] + 0.587 * rgba[p + 1] + 0.114 * rgba[p + 2]);
+            }
+            resolve(values);
+        };
+
+        img.onerror = () => {
+            URL.revokeObjectURL(url);
+            reject(new Error('Failed to decode JPEG frame'));
+        };
+
+        img.src = url;
+    });
+}
+
+/**
+ * Convert stored pixel values to modality values using Rescale Slope/Intercept
+ * @param {Object} image - Parsed DICOM image description
+ * @param {ArrayLike<number>} [storedValues] - Stored values, defaults to the native pixel data
+ * @returns {Float32Array} Modality values
+ */
+export function getModalityValues(image, storedValues = image.pixelData) {
+    const values = new Float32Array(storedValues.length);
+    const slope = image.rescaleSlope;
+    const intercept = image.rescaleIntercept;
+
+    for (let i = 0; i < storedValues.length; i++) {
+        values[i] = storedValues[i] * slope + intercept;
+    }
+
+    return values;
+}
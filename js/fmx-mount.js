@@ -0,0 +1,951 @@
+/**
+ * Radiograph Image Viewer - FMX Mount
+ * Arranges a full-mouth series in the anatomical template, mounted labially
+ *
+ * Labial mounting shows every image as seen from in front of the patient: the patient's right
+ * is on the viewer's left, maxillary images on top and mandibular images at the bottom.
+ * Teeth are numbered in FDI notation.
+ */
+
+import languageManager from './language-manager.js';
+import { resolveImageUrl, isDicomFile, createElement, downloadBlob } from './utils.js';
+import { normalizeAdjustments } from './viewer.js';
+import { createTransform, transformImage } from './image-transform.js';
+import { createCurveLut } from './curve-editor.js';
+import { createColorMapLut } from './color-maps.js';
+
+/**
+ * Mount templates. Slots are listed row by row in labial order; posterior periapicals and
+ * bitewings are mounted landscape, anterior periapicals portrait.
+ */
+export const FMX_TEMPLATES = {
+    fmx18: [
+        { id: 'max-r-molar', row: 'maxilla', teeth: [18, 17, 16], orientation: 'landscape' },
+        { id: 'max-r-premolar', row: 'maxilla', teeth: [15, 14], orientation: 'landscape' },
+        { id: 'max-r-canine', row: 'maxilla', teeth: [13, 12], orientation: 'portrait' },
+        { id: 'max-incisors', row: 'maxilla', teeth: [11, 21], orientation: 'portrait' },
+        { id: 'max-l-canine', row: 'maxilla', teeth: [22, 23], orientation: 'portrait' },
+        { id: 'max-l-premolar', row: 'maxilla', teeth: [24, 25], orientation: 'landscape' },
+        { id: 'max-l-molar', row: 'maxilla', teeth: [26, 27, 28], orientation: 'landscape' },
+        { id: 'bw-r-molar', row: 'bitewing', teeth: [17, 16, 47, 46], orientation: 'landscape' },
+        { id: 'bw-r-premolar', row: 'bitewing', teeth: [15, 14, 45, 44], orientation: 'landscape' },
+        { id: 'bw-l-premolar', row: 'bitewing', teeth: [24, 25, 34, 35], orientation: 'landscape' },
+        { id: 'bw-l-molar', row: 'bitewing', teeth: [26, 27, 36, 37], orientation: 'landscape' },
+        { id: 'mand-r-molar', row: 'mandible', teeth: [48, 47, 46], orientation: 'landscape' },
+        { id: 'mand-r-premolar', row: 'mandible', teeth: [45, 44], orientation: 'landscape' },
+        { id: 'mand-r-canine', row: 'mandible', teeth: [43, 42], orientation: 'portrait' },
+        { id: 'mand-incisors', row: 'mandible', teeth: [41, 31], orientation: 'portrait' },
+        { id: 'mand-l-canine', row: 'mandible', teeth: [32, 33], orientation: 'portrait' },
+        { id: 'mand-l-premolar', row: 'mandible', teeth: [34, 35], orientation: 'landscape' },
+        { id: 'mand-l-molar', row: 'mandible', teeth: [36, 37, 38], orientation: 'landscape' }
+    ],
+    fmx20: [
+        { id: 'max-r-molar', row: 'maxilla', teeth: [18, 17, 16], orientation: 'landscape' },
+        { id: 'max-r-premolar', row: 'maxilla', teeth: [15, 14], orientation: 'landscape' },
+        { id: 'max-r-canine', row: 'maxilla', teeth: [13], orientation: 'portrait' },
+        { id: 'max-r-incisors', row: 'maxilla', teeth: [12, 11], orientation: 'portrait' },
+        { id: 'max-l-incisors', row: 'maxilla', teeth: [21, 22], orientation: 'portrait' },
+        { id: 'max-l-canine', row: 'maxilla', teeth: [23], orientation: 'portrait' },
+        { id: 'max-l-premolar', row: 'maxilla', teeth: [24, 25], orientation: 'landscape' },
+        { id: 'max-l-molar', row: 'maxilla', teeth: [26, 27, 28], orientation: 'landscape' },
+        { id: 'bw-r-molar', row: 'bitewing', teeth: [17, 16, 47, 46], orientation: 'landscape' },
+        { id: 'bw-r-premolar', row: 'bitewing', teeth: [15, 14, 45, 44], orientation: 'landscape' },
+        { id: 'bw-l-premolar', row: 'bitewing', teeth: [24, 25, 34, 35], orientation: 'landscape' },
+        { id: 'bw-l-molar', row: 'bitewing', teeth: [26, 27, 36, 37], orientation: 'landscape' },
+        { id: 'mand-r-molar', row: 'mandible', teeth: [48, 47, 46], orientation: 'landscape' },
+        { id: 'mand-r-premolar', row: 'mandible', teeth: [45, 44], orientation: 'landscape' },
+        { id: 'mand-r-canine', row: 'mandible', teeth: [43], orientation: 'portrait' },
+        { id: 'mand-r-incisors', row: 'mandible', teeth: [42, 41], orientation: 'portrait' },
+        { id: 'mand-l-incisors', row: 'mandible', teeth: [31, 32], orientation: 'portrait' },
+        { id: 'mand-l-canine', row: 'mandible', teeth: [33], orientation: 'portrait' },
+        { id: 'mand-l-premolar', row: 'mandible', teeth: [34, 35], orientation: 'landscape' },
+        { id: 'mand-l-molar', row: 'mandible', teeth: [36, 37, 38], orientation: 'landscape' }
+    ]
+};
+
+const FMX_ROWS = ['maxilla', 'bitewing', 'mandible'];
+
+/**
+ * Longest edge of the images shown in the mount, in pixels
+ * @private
+ */
+const PREVIEW_SIZE = 256;
+
+/**
+ * Validate a saved mount
+ * @param {Object} json - Parsed mount file
+ * @returns {{template: string, slots: Object<string, {file: string, adjustments: Object|null}>}}
+ * @throws {Error} If the file is not a mount
+ */
+export function normalizeMount(json) {
+    if (!json || typeof json !== 'object' || !json.slots || typeof json.slots !== 'object') {
+        throw new Error('Not an FMX mount');
+    }
+
+    const template = FMX_TEMPLATES[json.template] ? json.template : 'fmx18';
+    const ids = FMX_TEMPLATES[template].map(slot => slot.id);
+    const slots = {};
+
+    Object.entries(json.slots).forEach(([id, slot]) => {
+        if (!ids.includes(id) || !slot || typeof slot.file !== 'string' || !slot.file) return;
+        slots[id] = { file: slot.file, adjustments: normalizeAdjustments(slot.adjustments) };
+    });
+
+    return { template, slots };
+}
+
+/**
+ * Grade a mounting exercise
+ * @param {Map<string, Object>} slots - Slot id -> placed image with its answer {slot, flip}
+ *     and adjustments
+ * @returns {Map<string, string>} Slot id -> 'correct', 'mirrored' (right slot, not labial) or 'wrongSlot'
+ */
+export function gradeExercise(slots) {
+    const results = new Map();
+    slots.forEach((item, id) => {
+        if (item.answer.slot !== id) {
+            results.set(id, 'wrongSlot');
+        } else {
+            results.set(id, isMirrored(item) === item.answer.flip ? 'correct' : 'mirrored');
+        }
+    });
+    return results;
+}
+
+/**
+ * Whether an image is shown mirrored relative to its file
+ * @private
+ */
+function isMirrored(item) {
+    return Boolean(item.adjustments && item.adjustments.transform && item.adjustments.transform.flipH);
+}
+
+/**
+ * Shuffle an array in place
+ * @private
+ */
+function shuffle(array) {
+    for (let i = array.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [array[i], array[j]] = [array[j], array[i]];
+    }
+    return array;
+}
+
+/**
+ * Average a luminance image down so its longest edge fits the preview size
+ * @private
+ * @returns {{image: LuminanceImage, scale: number}} Preview and its size relative to the image
+ */
+function createPreview(image) {
+    const scale = Math.min(1, PREVIEW_SIZE / Math.max(image.width, image.height));
+    if (scale === 1) return { image, scale };
+
+    const width = Math.max(1, Math.round(image.width * scale));
+    const height = Math.max(1, Math.round(image.height * scale));
+    const sums = new Float32Array(width * height);
+    const counts = new Uint32Array(width * height);
+
+    for (let y = 0; y < image.height; y++) {
+        const row = Math.min(height - 1, Math.floor(y * height / image.height)) * width;
+        for (let x = 0; x < image.width; x++) {
+            const i = row + Math.min(width - 1, Math.floor(x * width / image.width));
+            sums[i] += image.data[y * image.width + x];
+            counts[i]++;
+        }
+    }
+    for (let i = 0; i < sums.length; i++) {
+        sums[i] /= counts[i];
+    }
+
+    return { image: { ...image, width, height, data: sums }, scale: width / image.width };
+}
+
+/**
+ * FmxMount class showing up to 20 images in the mount template over the viewer.
+ * Clicking an image opens it in the viewer; its adjustments are taken back into the mount
+ * when the mount is shown again.
+ *
+ * In a mounting exercise the images of a server case start shuffled in a tray below the
+ * template, some of them mirrored. Students drag or click them into the slots, flip them into
+ * labial orientation and check the result against the answers in the manifest.
+ * @class
+ */
+export class FmxMount {
+    /**
+     * Create the mount
+     * @param {RadiographViewer} viewer - Viewer the images are enlarged into
+     */
+    constructor(viewer) {
+        this.viewer = viewer;
+        this.template = 'fmx18';
+
+        // Slot id -> {name, file, url, preview, scale, adjustments, missing}
+        this.slots = new Map();
+
+        // Image opened in the viewer from a slot, to take its adjustments back
+        this.enlarged = null;
+        this.pendingSlot = null;
+        this.dragSlot = null;
+
+        // Running exercise: {title, tray, selected, results, total}
+        this.exercise = null;
+        this.dragItem = null;
+
+        this.root = document.getElementById('fmxMount');
+        this.grid = document.getElementById('fmxGrid');
+        this.tray = document.getElementById('fmxTray');
+    }
+
+    /**
+     * Whether the mount is shown
+     * @returns {boolean}
+     */
+    isOpen() {
+        return !this.root.hidden;
+    }
+
+    /**
+     * Show the mount, taking over the adjustments made to an enlarged image
+     */
+    open() {
+        const enlarged = this.enlarged;
+        if (enlarged && this.viewer.sourceImage === enlarged.image && this.slots.has(enlarged.id)) {
+            this.slots.get(enlarged.id).adjustments = normalizeAdjustments(this.viewer.getState());
+        }
+        this.enlarged = null;
+
+        this.root.hidden = false;
+        this.updateButton();
+        this.render();
+    }
+
+    /**
+     * Hide the mount
+     */
+    close() {
+        this.root.hidden = true;
+        this.updateButton();
+    }
+
+    /**
+     * Switch to another template. Images keep their slot where it exists and fill the
+     * free slots in order otherwise.
+     * @param {string} template - Key of FMX_TEMPLATES
+     */
+    setTemplate(template) {
+        if (!FMX_TEMPLATES[template] || template === this.template) return;
+
+        const ids = FMX_TEMPLATES[template].map(slot => slot.id);
+        const moved = [];
+        this.slots.forEach((slot, id) => {
+            if (!ids.includes(id)) {
+                moved.push(slot);
+                this.slots.delete(id);
+            }
+        });
+
+        const free = ids.filter(id => !this.slots.has(id));
+        moved.forEach((slot, i) => {
+            if (i < free.length) this.slots.set(free[i], slot);
+        });
+        if (moved.length > free.length) {
+            languageManager.showMessage('messages.fmxFull');
+        }
+
+        this.template = template;
+        this.render();
+    }
+
+    /**
+     * Put local files into the mount. Files named like a missing image of a loaded mount
+     * take its place; the others fill the empty slots in template order.
+     * @param {Array<File>} files - Image or DICOM files
+     * @returns {Promise<void>}
+     */
+    async addFiles(files) {
+        const free = FMX_TEMPLATES[this.template].map(slot => slot.id).filter(id => !this.slots.has(id));
+        const placed = [];
+
+        files.forEach(file => {
+            const missing = Array.from(this.slots.entries()).find(([, slot]) =>
+                slot.missing && slot.name.split('/').pop() === file.name);
+            if (missing) {
+                placed.push([missing[0], file]);
+            } else if (free.length > 0) {
+                placed.push([free.shift(), file]);
+            }
+        });
+        if (placed.length < files.length) {
+            languageManager.showMessage('messages.fmxFull');
+        }
+
+        for (const [id, file] of placed) {
+            await this.assign(id, file);
+        }
+    }
+
+    /**
+     * Decode an image into a slot, replacing what was there
+     * @param {string} id - Slot id
+     * @param {File|string} source - Local file, or URL or file name on the server
+     * @param {Object|null} [adjustments] - Saved adjustments; by default those of a missing image
+     *     the file replaces
+     * @returns {Promise<void>}
+     */
+    async assign(id, source, adjustments) {
+        const isFile = typeof source !== 'string';
+        const name = isFile ? source.name : source;
+        const previous = this.slots.get(id);
+        if (adjustments === undefined) {
+            adjustments = previous && previous.missing ? previous.adjustments : null;
+        }
+
+        try {
+            const image = await this.viewer.readImage(isFile ? source : resolveImageUrl(source));
+            const { image: preview, scale } = createPreview(image);
+            this.slots.set(id, {
+                name,
+                file: isFile ? source : null,
+                url: isFile ? null : resolveImageUrl(source),
+                preview,
+                scale,
+                adjustments,
+                missing: false
+            });
+        } catch (error) {
+            console.error('Failed to load mount image:', error);
+            this.slots.set(id, { name, file: null, url: null, preview: null, scale: 1, adjustments, missing: true });
+        }
+
+        this.render();
+    }
+
+    /**
+     * Empty a slot
+     * @param {string} id - Slot id
+     */
+    remove(id) {
+        this.slots.delete(id);
+        this.render();
+    }
+
+    /**
+     * Exchange the images of two slots
+     * @param {string} a - Slot id
+     * @param {string} b - Slot id
+     */
+    swap(a, b) {
+        const first = this.slots.get(a);
+        const second = this.slots.get(b);
+        this.slots.delete(a);
+        this.slots.delete(b);
+        if (first) this.slots.set(b, first);
+        if (second) this.slots.set(a, second);
+        this.render();
+    }
+
+    /**
+     * Empty all slots
+     */
+    clear() {
+        this.slots.clear();
+        this.enlarged = null;
+        this.render();
+    }
+
+    /**
+     * Open a slot's image in the viewer with its adjustments
+     * @param {string} id - Slot id
+     * @returns {Promise<void>}
+     */
+    async enlarge(id) {
+        const slot = this.slots.get(id);
+        if (!slot || slot.missing || this.exercise) return;
+
+        try {
+            if (slot.file) {
+                await this.viewer.loadImage(slot.file);
+            } else {
+                await this.viewer.loadImageFromUrl(slot.url);
+            }
+            this.viewer.applyState(slot.adjustments);
+            this.enlarged = { id, image: this.viewer.sourceImage };
+            this.close();
+            languageManager.showHint('hints.fmxEnlarged');
+        } catch (error) {
+            console.error('Failed to enlarge mount image:', error);
+            languageManager.showMessage('messages.loadFailed');
+        }
+    }
+
+    /**
+     * Start a mounting exercise from a server case
+     * @param {CaseEntry} entry - Manifest entry with a mount exercise
+     * @returns {Promise<void>}
+     */
+    async startExercise(entry) {
+        const template = FMX_TEMPLATES[entry.mount.template] ? entry.mount.template : 'fmx18';
+        const ids = FMX_TEMPLATES[template].map(slot => slot.id);
+        const images = entry.mount.images.filter(image => {
+            if (ids.includes(image.slot)) return true;
+            console.warn(`Skipping mount image ${image.file}: ${template} has no slot "${image.slot}"`);
+            return false;
+        });
+
+        const exercise = { title: entry.title, tray: [], selected: null, results: null, total: images.length };
+        this.exercise = exercise;
+        this.slots.clear();
+        this.enlarged = null;
+        this.template = template;
+        this.open();
+
+        const items = await Promise.all(shuffle(images.slice()).map(async image => {
+            try {
+                const url = resolveImageUrl(image.file);
+                const { image: preview, scale } = createPreview(await this.viewer.readImage(url));
+                const mirrored = entry.mount.randomFlip && Math.random() < 0.5;
+                return {
+                    name: image.file,
+                    file: null,
+                    url,
+                    preview,
+                    scale,
+                    adjustments: mirrored ? { transform: { ...createTransform(), flipH: true } } : null,
+                    missing: false,
+                    answer: { slot: image.slot, flip: image.flip }
+                };
+            } catch (error) {
+                console.error(`Failed to load mount image ${image.file}:`, error);
+                return null;
+            }
+        }));
+
+        // Another exercise was started, or this one ended, while the images loaded
+        if (this.exercise !== exercise) return;
+
+        exercise.tray = items.filter(Boolean);
+        exercise.total = exercise.tray.length;
+        if (exercise.tray.length < items.length) {
+            languageManager.showMessage('messages.loadFailed');
+        }
+        languageManager.showHint('hints.fmxExercise');
+        this.render();
+    }
+
+    /**
+     * Leave the exercise and empty the mount
+     */
+    endExercise() {
+        this.exercise = null;
+        this.slots.clear();
+        this.render();
+    }
+
+    /**
+     * Move an exercise image into a slot, or back to the tray. An image already in the slot
+     * takes the moved image's place.
+     * @param {Object} item - Exercise image
+     * @param {string|null} id - Slot id, or null for the tray
+     */
+    moveExerciseImage(item, id) {
+        const exercise = this.exercise;
+        const from = Array.from(this.slots.keys()).find(key => this.slots.get(key) === item) || null;
+        if (from === id) return;
+
+        const occupant = id ? this.slots.get(id) : null;
+        if (from) {
+            this.slots.delete(from);
+        } else {
+            exercise.tray.splice(exercise.tray.indexOf(item), 1);
+        }
+
+        if (id) {
+            this.slots.set(id, item);
+            if (occupant && from) {
+                this.slots.set(from, occupant);
+            } else if (occupant) {
+                exercise.tray.push(occupant);
+            }
+        } else {
+            exercise.tray.push(item);
+        }
+
+        exercise.selected = null;
+        exercise.results = null;
+        this.render();
+    }
+
+    /**
+     * Mirror an exercise image left to right
+     * @param {Object} item - Exercise image
+     */
+    flipExerciseImage(item) {
+        item.adjustments = isMirrored(item) ? null : { transform: { ...createTransform(), flipH: true } };
+        this.exercise.results = null;
+        this.render();
+    }
+
+    /**
+     * Select an exercise image to place with the next click on a slot, or deselect it
+     * @param {Object} item - Exercise image
+     */
+    selectExerciseImage(item) {
+        this.exercise.selected = this.exercise.selected === item ? null : item;
+        this.render();
+    }
+
+    /**
+     * Grade the placed images and show the feedback
+     */
+    checkExercise() {
+        const exercise = this.exercise;
+        exercise.results = gradeExercise(this.slots);
+        exercise.selected = null;
+        this.render();
+
+        const correct = Array.from(exercise.results.values()).filter(result => result === 'correct').length;
+        this.viewer.announceToScreenReader(
+            languageManager.get('fmx.score', { correct, total: exercise.total }));
+    }
+
+    /**
+     * Get the slot assignment for saving
+     * @returns {Object} Mount file contents
+     */
+    toJSON() {
+        const slots = {};
+        FMX_TEMPLATES[this.template].forEach(({ id }) => {
+            const slot = this.slots.get(id);
+            if (slot) {
+                slots[id] = { file: slot.name, adjustments: slot.adjustments };
+            }
+        });
+
+        return { version: 1, template: this.template, slots };
+    }
+
+    /**
+     * Download the slot assignment as JSON
+     */
+    save() {
+        try {
+            const blob = new Blob([JSON.stringify(this.toJSON(), null, 2)], { type: 'application/json' });
+            downloadBlob(blob, 'fmx-mount.json');
+        } catch (error) {
+            console.error('Failed to save mount:', error);
+            languageManager.showMessage('messages.fmxSaveFailed');
+        }
+    }
+
+    /**
+     * Load a saved slot assignment. Images are looked up on the server by their file name;
+     * those not found stay as placeholders to be filled with local files.
+     * @param {Object} json - Parsed mount file
+     * @returns {Promise<void>}
+     */
+    async load(json) {
+        const mount = normalizeMount(json);
+
+        this.slots.clear();
+        this.enlarged = null;
+        this.template = mount.template;
+        this.render();
+
+        await Promise.all(Object.entries(mount.slots).map(([id, slot]) =>
+            this.assign(id, slot.file, slot.adjustments)));
+    }
+
+    /**
+     * Rebuild the mount template
+     */
+    render() {
+        const template = FMX_TEMPLATES[this.template];
+        const exercise = this.exercise;
+        const templateSelect = document.getElementById('fmxTemplate');
+        templateSelect.value = this.template;
+        templateSelect.disabled = Boolean(exercise);
+        this.root.classList.toggle('exercise', Boolean(exercise));
+        this.grid.replaceChildren();
+
+        FMX_ROWS.forEach(row => {
+            const rowElement = createElement('div', `fmx-row fmx-${row}`);
+            rowElement.appendChild(createElement('span', 'fmx-side', languageManager.get('fmx.right')));
+            template.filter(slot => slot.row === row).forEach(slot => {
+                rowElement.appendChild(this.createSlot(slot));
+            });
+            rowElement.appendChild(createElement('span', 'fmx-side', languageManager.get('fmx.left')));
+            this.grid.appendChild(rowElement);
+        });
+
+        this.renderTray();
+
+        const count = Array.from(this.slots.values()).filter(slot => !slot.missing).length;
+        let status = languageManager.get('fmx.count', { count, total: template.length });
+        if (exercise && exercise.results) {
+            const correct = Array.from(exercise.results.values()).filter(result => result === 'correct').length;
+            status = `${exercise.title}: ${languageManager.get('fmx.score', { correct, total: exercise.total })}`;
+        } else if (exercise) {
+            status = `${exercise.title}: ${languageManager.get('fmx.placed', { count, total: exercise.total })}`;
+        }
+        document.getElementById('fmxCount').textContent = status;
+    }
+
+    /**
+     * Fill the tray with the exercise images not yet placed
+     * @private
+     */
+    renderTray() {
+        this.tray.replaceChildren();
+        this.tray.hidden = !this.exercise;
+        if (!this.exercise) return;
+
+        const unplaced = this.exercise.results ? languageManager.get('fmx.result.unplaced') : '';
+        this.exercise.tray.forEach((item, index) => {
+            const element = createElement('div', 'fmx-tray-item');
+            element.dataset.index = String(index);
+            element.tabIndex = 0;
+            element.draggable = true;
+            element.setAttribute('role', 'button');
+            element.setAttribute('aria-label', [languageManager.get('fmx.trayImage', { number: index + 1 }), unplaced]
+                .filter(Boolean).join(': '));
+            element.classList.toggle('selected', this.exercise.selected === item);
+            element.appendChild(this.renderPreview(item));
+            element.appendChild(this.createFlipButton());
+            if (unplaced) {
+                element.appendChild(createElement('span', 'fmx-feedback wrongSlot', unplaced));
+            }
+            this.tray.appendChild(element);
+        });
+    }
+
+    /**
+     * Create the mirror button of an exercise image
+     * @private
+     */
+    createFlipButton() {
+        const button = createElement('button', 'fmx-flip', '⇆');
+        button.setAttribute('aria-label', languageManager.get('tooltips.fmxFlip'));
+        button.title = languageManager.get('tooltips.fmxFlip');
+        return button;
+    }
+
+    /**
+     * Find the image shown by a slot or tray element
+     * @param {HTMLElement} element - Slot or tray item
+     * @returns {Object|null} Image
+     */
+    itemOf(element) {
+        if (element.classList.contains('fmx-tray-item')) {
+            return this.exercise ? this.exercise.tray[Number(element.dataset.index)] || null : null;
+        }
+        return this.slots.get(element.dataset.slot) || null;
+    }
+
+    /**
+     * Create the element of one slot
+     * @private
+     */
+    createSlot(definition) {
+        const slot = this.slots.get(definition.id);
+        const teeth = definition.teeth.join(' ');
+        const element = createElement('div', `fmx-slot ${definition.orientation}`);
+        element.dataset.slot = definition.id;
+        element.tabIndex = 0;
+        element.setAttribute('role', 'button');
+
+        element.appendChild(createElement('span', 'fmx-teeth', teeth));
+
+        if (!slot) {
+            element.classList.add('empty');
+            element.setAttribute('aria-label', languageManager.get('fmx.emptySlot', { teeth }));
+            return element;
+        }
+
+        if (this.exercise) {
+            const result = this.exercise.results && this.exercise.results.get(definition.id);
+            const feedback = result ? languageManager.get(`fmx.result.${result}`) : '';
+            element.draggable = true;
+            element.classList.toggle('selected', this.exercise.selected === slot);
+            element.insertBefore(this.renderPreview(slot), element.firstChild);
+            element.appendChild(this.createFlipButton());
+            if (result) {
+                element.classList.add(result);
+                element.appendChild(createElement('span', `fmx-feedback ${result}`, feedback));
+            }
+            element.setAttribute('aria-label', [languageManager.get('fmx.exerciseSlot', { teeth }), feedback]
+                .filter(Boolean).join(': '));
+            return element;
+        }
+
+        element.title = slot.name;
+        if (slot.missing) {
+            element.classList.add('missing');
+            element.appendChild(createElement('span', 'fmx-missing', slot.name.split('/').pop()));
+            element.setAttribute('aria-label', languageManager.get('fmx.missingSlot', { teeth, name: slot.name }));
+        } else {
+            element.draggable = true;
+            element.insertBefore(this.renderPreview(slot), element.firstChild);
+            element.setAttribute('aria-label', languageManager.get('fmx.filledSlot', { teeth, name: slot.name }));
+        }
+
+        const removeButton = createElement('button', 'fmx-remove', '×');
+        removeButton.setAttribute('aria-label', languageManager.get('tooltips.fmxRemove'));
+        removeButton.title = languageManager.get('tooltips.fmxRemove');
+        element.appendChild(removeButton);
+
+        return element;
+    }
+
+    /**
+     * Draw a slot's preview with its adjustments
+     * @private
+     * @returns {HTMLCanvasElement} Canvas with the processed preview
+     */
+    renderPreview(slot) {
+        const adjustments = slot.adjustments || {};
+        const scale = slot.scale;
+
+        // Crops are stored in pixels of the full image
+        let image = slot.preview;
+        if (adjustments.transform) {
+            const crop = adjustments.transform.crop;
+            image = transformImage(image, {
+                ...adjustments.transform,
+                crop: crop && {
+                    x: Math.round(crop.x * scale),
+                    y: Math.round(crop.y * scale),
+                    width: Math.round(crop.width * scale),
+                    height: Math.round(crop.height * scale)
+                }
+            });
+        }
+
+        const windowLevel = adjustments.adjustmentMode === 'windowLevel' &&
+            typeof adjustments.windowCenter === 'number' && typeof adjustments.windowWidth === 'number';
+        const processor = this.viewer.imageProcessor;
+        const values = processor.process(image, {
+            brightness: windowLevel ? 0 : adjustments.brightness || 0,
+            contrast: windowLevel ? 0 : adjustments.contrast || 0,
+            window: windowLevel ? { center: adjustments.windowCenter, width: adjustments.windowWidth } : null,
+            noiseReduction: { filter: adjustments.noiseFilter || 'none', strength: adjustments.noiseStrength || 3 },
+            equalization: {
+                method: adjustments.equalization || 'none',
+                tileSize: Math.max(8, (adjustments.claheTileSize || 64) * scale),
+                clipLimit: adjustments.claheClipLimit || 2.5
+            },
+            toneCurve: !windowLevel && adjustments.toneCurve ? createCurveLut(adjustments.toneCurve) : null,
+            edgeEnhancement: adjustments.edgeEnhancement || 0,
+            invert: adjustments.isInverted === true
+        });
+
+        const canvas = createElement('canvas', 'fmx-image');
+        canvas.width = image.width;
+        canvas.height = image.height;
+        canvas.getContext('2d').putImageData(processor.toImageData(values, image.width, image.height, null,
+            createColorMapLut(adjustments.colorMap || 'grey')), 0, 0);
+
+        return canvas;
+    }
+
+    /**
+     * Update the header button
+     * @private
+     */
+    updateButton() {
+        const button = document.getElementById('fmxBtn');
+        button.classList.toggle('active', this.isOpen());
+        button.setAttribute('aria-pressed', this.isOpen() ? 'true' : 'false');
+    }
+}
+
+/**
+ * Setup the FMX mount view and its toolbar
+ * @param {RadiographViewer} viewer - Viewer instance (the active pane stand-in in split view)
+ * @returns {FmxMount} Mount
+ */
+export function setupFmxMount(viewer) {
+    const mount = new FmxMount(viewer);
+    const fileInput = document.getElementById('fmxFileInput');
+    const slotInput = document.getElementById('fmxSlotInput');
+    const jsonInput = document.getElementById('fmxJsonInput');
+    const isImageFile = (file) => file.type.startsWith('image/') || isDicomFile(file);
+
+    document.getElementById('fmxBtn').addEventListener('click', () => {
+        if (mount.isOpen()) {
+            mount.close();
+        } else {
+            mount.open();
+        }
+    });
+
+    document.getElementById('fmxTemplate').addEventListener('change', (e) => {
+        mount.setTemplate(e.target.value);
+    });
+
+    document.getElementById('fmxAddBtn').addEventListener('click', () => fileInput.click());
+    fileInput.addEventListener('change', async () => {
+        const files = Array.from(fileInput.files).filter(isImageFile);
+        fileInput.value = '';
+        await mount.addFiles(files);
+    });
+
+    slotInput.addEventListener('change', async () => {
+        const file = slotInput.files[0];
+        slotInput.value = '';
+        if (file && mount.pendingSlot) {
+            await mount.assign(mount.pendingSlot, file);
+        }
+        mount.pendingSlot = null;
+    });
+
+    document.getElementById('fmxOpenBtn').addEventListener('click', () => jsonInput.click());
+    jsonInput.addEventListener('change', async () => {
+        const file = jsonInput.files[0];
+        jsonInput.value = '';
+        if (!file) return;
+
+        try {
+            await mount.load(JSON.parse(await file.text()));
+        } catch (error) {
+            console.error('Failed to open mount:', error);
+            languageManager.showMessage('messages.fmxOpenFailed');
+        }
+    });
+
+    document.getElementById('fmxSaveBtn').addEventListener('click', () => mount.save());
+    document.getElementById('fmxClearBtn').addEventListener('click', () => mount.clear());
+    document.getElementById('fmxCloseBtn').addEventListener('click', () => mount.close());
+
+    document.getElementById('fmxCheckBtn').addEventListener('click', () => mount.checkExercise());
+    document.getElementById('fmxEndBtn').addEventListener('click', () => mount.endExercise());
+
+    window.addEventListener('mountExerciseRequested', (e) => {
+        mount.startExercise(e.detail.entry);
+    });
+
+    // Slots: click to enlarge or pick a file, drag to swap, drop files to fill.
+    // In an exercise, click an image and then a slot (or the tray) to move it, or drag it there.
+    const root = mount.root;
+    const itemElementOf = (e) => e.target.closest('.fmx-slot, .fmx-tray-item');
+
+    const activate = (element, target) => {
+        const id = element.dataset.slot || null;
+        const item = mount.itemOf(element);
+
+        if (mount.exercise) {
+            const selected = mount.exercise.selected;
+            if (item && target.closest('.fmx-flip')) {
+                mount.flipExerciseImage(item);
+            } else if (selected && id && selected !== item) {
+                mount.moveExerciseImage(selected, id);
+            } else if (item) {
+                mount.selectExerciseImage(item);
+            }
+        } else if (target.closest('.fmx-remove')) {
+            mount.remove(id);
+        } else if (item && !item.missing) {
+            mount.enlarge(id);
+        } else {
+            mount.pendingSlot = id;
+            slotInput.click();
+        }
+    };
+
+    root.addEventListener('click', (e) => {
+        const element = itemElementOf(e);
+        if (element) {
+            activate(element, e.target);
+        } else if (mount.exercise && mount.exercise.selected && e.target.closest('#fmxTray')) {
+            mount.moveExerciseImage(mount.exercise.selected, null);
+        }
+    });
+
+    root.addEventListener('keydown', (e) => {
+        const element = itemElementOf(e);
+        if (!element || e.target !== element) return;
+
+        if (e.key === 'Enter' || e.key === ' ') {
+            e.preventDefault();
+            activate(element, e.target);
+        } else if ((e.key === 'f' || e.key === 'F') && mount.exercise && mount.itemOf(element)) {
+            e.preventDefault();
+            mount.flipExerciseImage(mount.itemOf(element));
+        } else if ((e.key === 'Delete' || e.key === 'Backspace') && element.dataset.slot) {
+            e.preventDefault();
+            if (mount.exercise) {
+                if (mount.itemOf(element)) mount.moveExerciseImage(mount.itemOf(element), null);
+            } else {
+                mount.remove(element.dataset.slot);
+            }
+        }
+    });
+
+    root.addEventListener('dragstart', (e) => {
+        const element = itemElementOf(e);
+        if (!element) return;
+        mount.dragSlot = element.dataset.slot || null;
+        mount.dragItem = mount.exercise ? mount.itemOf(element) : null;
+        e.dataTransfer.effectAllowed = 'move';
+        e.dataTransfer.setData('text/plain', element.dataset.slot || element.dataset.index);
+    });
+
+    root.addEventListener('dragend', () => {
+        mount.dragSlot = null;
+        mount.dragItem = null;
+    });
+
+    // The mount takes all drops while shown, so the viewer underneath doesn't load them
+    ['dragenter', 'dragover', 'dragleave', 'drop'].forEach(eventName => {
+        root.addEventListener(eventName, (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            root.querySelectorAll('.drop-target').forEach(element => element.classList.remove('drop-target'));
+            const element = e.target.closest('.fmx-slot, #fmxTray');
+            if (element && (eventName === 'dragenter' || eventName === 'dragover')) {
+                element.classList.add('drop-target');
+            }
+        });
+    });
+
+    root.addEventListener('drop', async (e) => {
+        const element = e.target.closest('.fmx-slot');
+
+        if (mount.exercise) {
+            if (mount.dragItem && (element || e.target.closest('#fmxTray'))) {
+                mount.moveExerciseImage(mount.dragItem, element ? element.dataset.slot : null);
+            }
+        } else {
+            const files = Array.from(e.dataTransfer.files).filter(isImageFile);
+            if (files.length > 0) {
+                if (element && files.length === 1) {
+                    await mount.assign(element.dataset.slot, files[0]);
+                } else {
+                    await mount.addFiles(files);
+                }
+            } else if (element && mount.dragSlot && mount.dragSlot !== element.dataset.slot) {
+                mount.swap(mount.dragSlot, element.dataset.slot);
+            }
+        }
+        mount.dragSlot = null;
+        mount.dragItem = null;
+    });
+
+    // Viewer shortcuts are off while the mount covers the viewer; Escape closes it
+    const onKeyDown = (e) => {
+        if (e.key === 'Escape' && e.target.tagName !== 'INPUT') {
+            e.preventDefault();
+            mount.close();
+        }
+        e.stopPropagation();
+    };
+    mount.root.addEventListener('keydown', onKeyDown);
+    document.addEventListener('keydown', (e) => {
+        if (mount.isOpen() && !mount.root.contains(e.target)) onKeyDown(e);
+    }, { capture: true });
+
+    window.addEventListener('languageChanged', () => mount.render());
+
+    mount.render();
+    return mount;
+}
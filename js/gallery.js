@@ -0,0 +1,241 @@
+/**
+ * Radiograph Image Viewer - Gallery Strip
+ * Filmstrip of the local images opened, dropped or pasted together, each keeping its own adjustments
+ */
+
+import languageManager from './language-manager.js';
+import { isDicomFile } from './utils.js';
+
+/**
+ * Gallery class holding the opened files and the viewer state each was left in.
+ * Only one image is decoded at a time; switching stores the state of the image being left
+ * and reloads the other file with its state.
+ * @class
+ */
+export class Gallery {
+    /**
+     * Create the gallery
+     * @param {RadiographViewer} viewer - Viewer instance (the active pane stand-in in split view)
+     */
+    constructor(viewer) {
+        this.viewer = viewer;
+        this.root = document.getElementById('galleryStrip');
+        this.list = document.getElementById('galleryList');
+
+        // { file, state, thumbnail } per image, in the order they were added
+        this.items = [];
+        this.index = -1;
+        this.loading = false;
+    }
+
+    /**
+     * Add files to the strip and show the first of them
+     * @param {Array<File>} files - Image or DICOM files
+     * @returns {Promise<void>}
+     */
+    async add(files) {
+        const start = this.items.length;
+        files.forEach(file => {
+            this.items.push({
+                file,
+                state: null,
+                thumbnail: isDicomFile(file) ? null : URL.createObjectURL(file)
+            });
+        });
+
+        this.setVisible(true);
+        await this.show(start);
+        languageManager.showHint('hints.gallery');
+
+        // DICOM thumbnails need decoding, so they come after the first image is on screen
+        for (const item of this.items.slice(start)) {
+            if (item.thumbnail || !this.items.includes(item)) continue;
+            try {
+                const { canvas } = await this.viewer.createDicomCanvas(await item.file.arrayBuffer());
+                item.thumbnail = canvas.toDataURL('image/png');
+                this.render();
+            } catch (error) {
+                console.warn(`No thumbnail for ${item.file.name}:`, error);
+            }
+        }
+    }
+
+    /**
+     * Get the index of the image the viewer shows, -1 if it shows none of the gallery
+     * @returns {number} Index
+     */
+    getShownIndex() {
+        return this.items.findIndex(item => item.file === this.viewer.imageFile);
+    }
+
+    /**
+     * Keep the state of a strip image while a pane shows it, so it comes back with its adjustments
+     * however the pane is later given another image (strip, library, Recent, a drop or a restore)
+     * @private
+     * @param {RadiographViewer} viewer - Pane whose state changed
+     */
+    storeState(viewer) {
+        if (this.loading) return;
+
+        const item = this.items.find(item => item.file === viewer.imageFile);
+        if (item) {
+            item.state = viewer.getState();
+        }
+    }
+
+    /**
+     * Get the images of the strip with their current state, e.g. to export them
+     * @returns {Array<{file: File, state: Object|null}>} Files and the state each was left in
+     */
+    getImages() {
+        return this.items.map(({ file, state }) => ({ file, state }));
+    }
+
+    /**
+     * Load an image of the strip with the state it was left in
+     * @param {number} index - Index in the strip
+     * @returns {Promise<void>}
+     */
+    async show(index) {
+        if (this.loading || index < 0 || index >= this.items.length) return;
+
+        const item = this.items[index];
+        const state = item.state;
+        this.loading = true;
+
+        try {
+            await this.viewer.loadImage(item.file);
+            if (state) {
+                this.viewer.applyState(state);
+
+                // Coming back to an image starts a fresh history, as when it was first loaded
+                this.viewer.history.reset();
+            }
+            this.index = index;
+        } catch (error) {
+            console.error('Failed to load gallery image:', error);
+            languageManager.showMessage('messages.loadFailed');
+        } finally {
+            this.loading = false;
+            this.render();
+        }
+    }
+
+    /**
+     * Show the next (1) or previous (-1) image
+     * @param {number} step - Direction
+     */
+    step(step) {
+        const shown = this.getShownIndex();
+        this.show((shown >= 0 ? shown : this.index) + step);
+    }
+
+    /**
+     * Remove all images from the strip and hide it. The image on screen stays.
+     */
+    clear() {
+        this.items.forEach(item => {
+            if (item.thumbnail && item.thumbnail.startsWith('blob:')) {
+                URL.revokeObjectURL(item.thumbnail);
+            }
+        });
+        this.items = [];
+        this.index = -1;
+        this.setVisible(false);
+    }
+
+    /**
+     * Show or hide the strip
+     * @private
+     * @param {boolean} visible - True to show
+     */
+    setVisible(visible) {
+        this.root.hidden = !visible;
+        this.root.parentElement.classList.toggle('has-gallery', visible);
+        this.render();
+    }
+
+    /**
+     * Update the thumbnails, the highlighted image and the position readout
+     */
+    render() {
+        if (this.root.hidden) return;
+
+        const shown = this.getShownIndex();
+
+        const items = this.items.map((item, index) => {
+            const button = document.createElement('button');
+            button.className = index === shown ? 'gallery-item current' : 'gallery-item';
+            button.dataset.index = String(index);
+            button.title = item.file.name;
+            button.setAttribute('aria-label', languageManager.get('gallery.image', {
+                name: item.file.name, index: index + 1, count: this.items.length
+            }));
+            if (index === shown) {
+                button.setAttribute('aria-current', 'true');
+            }
+
+            if (item.thumbnail) {
+                const img = document.createElement('img');
+                img.src = item.thumbnail;
+                img.alt = '';
+                button.appendChild(img);
+            } else {
+                button.textContent = item.file.name;
+            }
+            return button;
+        });
+        this.list.replaceChildren(...items);
+
+        document.getElementById('galleryCount').textContent = languageManager.get('gallery.count', {
+            index: shown >= 0 ? shown + 1 : '–',
+            count: this.items.length
+        });
+
+        const position = shown >= 0 ? shown : this.index;
+        document.getElementById('galleryPrevBtn').disabled = position <= 0;
+        document.getElementById('galleryNextBtn').disabled = position >= this.items.length - 1;
+
+        const current = this.list.querySelector('.current');
+        if (current && current.scrollIntoView) {
+            current.scrollIntoView({ block: 'nearest', inline: 'nearest' });
+        }
+    }
+}
+
+/**
+ * Create the gallery and wire the strip, PageUp/PageDown and the galleryFilesAdded event
+ * @param {RadiographViewer} viewer - Viewer instance
+ * @returns {Gallery} Gallery
+ */
+export function setupGallery(viewer) {
+    const gallery = new Gallery(viewer);
+
+    window.addEventListener('galleryFilesAdded', (e) => gallery.add(e.detail.files));
+
+    document.getElementById('galleryPrevBtn').addEventListener('click', () => gallery.step(-1));
+    document.getElementById('galleryNextBtn').addEventListener('click', () => gallery.step(1));
+    document.getElementById('galleryClearBtn').addEventListener('click', () => gallery.clear());
+
+    gallery.list.addEventListener('click', (e) => {
+        const button = e.target.closest('.gallery-item');
+        if (button) gallery.show(parseInt(button.dataset.index, 10));
+    });
+
+    document.addEventListener('keydown', (e) => {
+        if (e.key !== 'PageUp' && e.key !== 'PageDown') return;
+        if (gallery.items.length < 2) return;
+        if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA' || e.target.tagName === 'SELECT') return;
+
+        e.preventDefault();
+        gallery.step(e.key === 'PageDown' ? 1 : -1);
+    });
+
+    window.addEventListener('viewerStateChanged', (e) => gallery.storeState(e.detail.viewer));
+
+    // Another image or another pane may now be showing
+    window.addEventListener('imageLoaded', () => gallery.render());
+    window.addEventListener('languageChanged', () => gallery.render());
+
+    return gallery;
+}
@@ -1,233 +1,709 @@
 /**
  * Radiograph Image Viewer - Image Processing Module
  * Handles all image manipulation algorithms including brightness, contrast, edge enhancement, and inversion
+ *
+ * Images are kept as single-channel Float32 luminance buffers at their full bit depth.
+ * Processing runs on those buffers and the result is only mapped to 8-bit RGBA for painting.
  */
 
+/**
+ * Single-channel luminance image
+ * @typedef {Object} LuminanceImage
+ * @property {number} width - Width in pixels
+ * @property {number} height - Height in pixels
+ * @property {Float32Array} data - One value per pixel (modality units for DICOM, 0-255 otherwise)
+ * @property {number} min - Lowest value in the image
+ * @property {number} max - Highest value in the image
+ * @property {number} bitDepth - Bit depth of the source data
+ * @property {{center: number, width: number}} defaultWindow - Value range mapped to the display range
+ * @property {boolean} monochrome1 - True if high values should display dark (DICOM MONOCHROME1)
+ * @property {Array<number>|null} pixelSpacing - Row/column spacing in mm, if known
+ * @property {boolean} hounsfield - True if values are calibrated Hounsfield units
+ */
+
+/**
+ * Round a display value to its 0-255 histogram level
+ * @private
+ */
+function toLevel(value) {
+    return value <= 0 ? 0 : (value >= 255 ? 255 : Math.round(value));
+}
+
+/**
+ * Noise reduction filters selectable in the header
+ */
+export const NOISE_FILTERS = ['none', 'gaussian', 'median', 'bilateral'];
+
+/**
+ * Histogram equalization methods selectable in the header
+ */
+export const EQUALIZATION_METHODS = ['none', 'global', 'clahe'];
+
 /**
  * ImageProcessor class for handling all image processing operations
  * @class
  */
 export class ImageProcessor {
     /**
-     * Process image data with given parameters
+     * Create a luminance image from single-channel values
+     * @param {Float32Array} data - One value per pixel
+     * @param {number} width - Width in pixels
+     * @param {number} height - Height in pixels
+     * @param {Object} [options] - Image properties
+     * @param {number} [options.bitDepth=8] - Bit depth of the source data
+     * @param {number} [options.min] - Nominal lowest value, computed from the data if omitted
+     * @param {number} [options.max] - Nominal highest value, computed from the data if omitted
+     * @param {{center: number, width: number}} [options.window] - Default window, full range if omitted
+     * @param {boolean} [options.monochrome1=false] - High values display dark
+     * @param {Array<number>} [options.pixelSpacing] - Row/column spacing in mm
+     * @param {boolean} [options.hounsfield=false] - Values are Hounsfield units
+     * @returns {LuminanceImage} Luminance image
+     */
+    createLuminanceImage(data, width, height, options = {}) {
+        let { min, max } = options;
+
+        if (min === undefined || max === undefined) {
+            min = Infinity;
+            max = -Infinity;
+            for (let i = 0; i < data.length; i++) {
+                if (data[i] < min) min = data[i];
+                if (data[i] > max) max = data[i];
+            }
+        }
+
+        const defaultWindow = options.window || {
+            center: (min + max) / 2,
+            width: Math.max(1, max - min)
+        };
+
+        return {
+            width,
+            height,
+            data,
+            min,
+            max,
+            bitDepth: options.bitDepth || 8,
+            defaultWindow,
+            monochrome1: Boolean(options.monochrome1),
+            pixelSpacing: options.pixelSpacing || null,
+            hounsfield: Boolean(options.hounsfield)
+        };
+    }
+
+    /**
+     * Extract luminance from 8-bit RGBA canvas data
      * @param {ImageData} imageData - Canvas image data
+     * @returns {Float32Array} One luminance value (0-255) per pixel
+     */
+    luminanceFromImageData(imageData) {
+        const rgba = imageData.data;
+        const luminance = new Float32Array(imageData.width * imageData.height);
+
+        for (let i = 0; i < luminance.length; i++) {
+            const p = i * 4;
+            luminance[i] = 0.299 * rgba[p] + 0.587 * rgba[p + 1] + 0.114 * rgba[p + 2];
+        }
+
+        return luminance;
+    }
+
+    /**
+     * Process a luminance image with given parameters
+     * @param {LuminanceImage} image - Source image
      * @param {Object} params - Processing parameters
      * @param {number} params.brightness - Brightness adjustment (-100 to 100)
      * @param {number} params.contrast - Contrast adjustment (-100 to 100)
+     * @param {{center: number, width: number}|null} params.window - Window level/width; replaces the
+     *     image's default window and clips values outside it
+     * @param {{filter: string, strength: number}|null} params.noiseReduction - Noise filter from
+     *     NOISE_FILTERS and its strength (1 to 10)
+     * @param {{method: string, tileSize: number, clipLimit: number}|null} params.equalization -
+     *     Histogram equalization method from EQUALIZATION_METHODS; tile size in pixels and clip
+     *     limit (multiple of the average bin count) apply to CLAHE
+     * @param {Float32Array|null} [params.toneCurve] - Transfer curve applied after brightness and
+     *     contrast: output level for each of the 256 display levels
      * @param {number} params.edgeEnhancement - Edge enhancement strength (0 to 10)
      * @param {boolean} params.invert - Whether to invert the image
-     * @returns {ImageData} Processed image data
-     */
-    process(imageData, params) {
-        const { brightness = 0, contrast = 0, edgeEnhancement = 0, invert = false } = params;
-        
-        // Clone the image data to avoid modifying the original
-        const data = new Uint8ClampedArray(imageData.data);
-        const processedData = new ImageData(data, imageData.width, imageData.height);
-        
+     * @param {Object} [info] - Filled with intermediate results for display:
+     *     equalizationInput is the 256-bin histogram of the values entering equalization
+     * @returns {Float32Array} Display values (0 to 255, not quantized)
+     */
+    process(image, params, info = null) {
+        const {
+            brightness = 0, contrast = 0, window = null, noiseReduction = null,
+            equalization = null, toneCurve = null, edgeEnhancement = 0, invert = false
+        } = params;
+
+        // Map the source values onto the display range without rounding
+        let data = this.normalize(image, window || image.defaultWindow, window !== null);
+
+        // Reduce noise before any contrast change amplifies it
+        if (noiseReduction && noiseReduction.filter !== 'none') {
+            data = this.applyNoiseReduction(data, image.width, image.height,
+                noiseReduction.filter, noiseReduction.strength);
+        }
+
+        // Equalize the denoised values; brightness and contrast then work on the equalized result
+        if (equalization && equalization.method !== 'none') {
+            if (info) {
+                info.equalizationInput = this.calculateHistogram({ data }).luminance;
+            }
+
+            data = equalization.method === 'clahe'
+                ? this.applyClahe(data, image.width, image.height, equalization.tileSize, equalization.clipLimit)
+                : this.applyHistogramEqualization(data);
+        }
+
         // Apply brightness and contrast first
         if (brightness !== 0 || contrast !== 0) {
-            this.applyBrightnessContrast(processedData.data, brightness, contrast);
+            this.applyBrightnessContrast(data, brightness, contrast);
+        }
+
+        // Map the adjusted levels through the edited transfer curve
+        if (toneCurve) {
+            data = this.applyLevelMap(data, toneCurve);
         }
-        
+
         // Apply inversion if requested
         if (invert) {
-            this.applyInversion(processedData.data);
+            this.applyInversion(data);
         }
-        
+
         // Apply edge enhancement last (if needed)
         if (edgeEnhancement > 0) {
-            return this.applyEdgeEnhancement(processedData, edgeEnhancement);
+            return this.applyEdgeEnhancement(data, image.width, image.height, edgeEnhancement);
+        }
+
+        return data;
+    }
+
+    /**
+     * Map source values to the 0-255 display range through a window
+     * @private
+     * @param {LuminanceImage} image - Source image
+     * @param {{center: number, width: number}} window - Value range to map
+     * @param {boolean} [clip=false] - Clip values outside the window (window level mode)
+     * @returns {Float32Array} Display values; unclipped by default so brightness/contrast can
+     *     recover detail outside the default window
+     */
+    normalize(image, window, clip = false) {
+        const src = image.data;
+        const data = new Float32Array(src.length);
+        const low = window.center - window.width / 2;
+        const scale = 255 / Math.max(window.width, Number.EPSILON);
+        const offset = image.monochrome1 ? 255 : 0;
+        const sign = image.monochrome1 ? -1 : 1;
+
+        for (let i = 0; i < src.length; i++) {
+            const value = offset + sign * (src[i] - low) * scale;
+            data[i] = clip ? Math.max(0, Math.min(255, value)) : value;
         }
-        
-        return processedData;
+
+        return data;
     }
-    
- 
+
     /**
      * Apply brightness and contrast adjustments
      * @private
-     * @param {Uint8ClampedArray} data - Image pixel data
+     * @param {Float32Array} data - Display values
      * @param {number} brightness - Brightness value (-100 to 100)
      * @param {number} contrast - Contrast value (-100 to 100)
      */
     applyBrightnessContrast(data, brightness, contrast) {
         // For extreme contrast values (above 50), use a different algorithm
         const useExtremeContrast = contrast > 50;
-        
+
         if (useExtremeContrast) {
             // Map contrast 50-100 to threshold 128-10
             // Higher contrast = lower threshold (more black/white)
             const threshold = 128 - ((contrast - 50) * 2.36);
             const smoothing = Math.max(1, 100 - contrast); // Less smoothing at higher contrast
-            
-            for (let i = 0; i < data.length; i += 4) {
-                // Calculate luminance
-                const lum = 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
-                
+
+            for (let i = 0; i < data.length; i++) {
                 // Apply brightness first
-                const adjustedLum = lum + brightness;
-                
+                const adjusted = data[i] + brightness;
+
                 // Apply sigmoid-like curve for extreme contrast
-                let value;
                 if (contrast >= 95) {
                     // Near 100: Hard threshold (true black/white)
-                    value = adjustedLum > threshold ? 255 : 0;
+                    data[i] = adjusted > threshold ? 255 : 0;
                 } else {
                     // Smooth transition using sigmoid
                     const k = smoothing / 10; // Steepness factor
-                    const x = (adjustedLum - threshold) / k;
-                    value = 255 / (1 + Math.exp(-x));
+                    const x = (adjusted - threshold) / k;
+                    data[i] = 255 / (1 + Math.exp(-x));
                 }
-                
-                // Apply to all channels equally to maintain grayscale
-                data[i] = value;
-                data[i + 1] = value;
-                data[i + 2] = value;
             }
         } else {
             // Original algorithm for normal contrast range (-100 to 50)
-            const contrastFactor = contrast <= 0 
+            const contrastFactor = contrast <= 0
                 ? (contrast + 100) / 100  // 0 to 1 for negative contrast
                 : 1 + (contrast / 50) * 3;  // 1 to 4 for positive contrast up to 50
-            
-            for (let i = 0; i < data.length; i += 4) {
-                for (let channel = 0; channel < 3; channel++) {
-                    let value = data[i + channel];
-                    
-                    // Apply contrast: adjust distance from middle gray (128)
-                    value = ((value - 128) * contrastFactor) + 128;
-                    
-                    // Apply brightness: simple addition
-                    value += brightness;
-                    
-                    // Clamp to valid range [0, 255]
-                    data[i + channel] = Math.max(0, Math.min(255, value));
-                }
+
+            for (let i = 0; i < data.length; i++) {
+                // Apply contrast: adjust distance from middle gray (128)
+                let value = ((data[i] - 128) * contrastFactor) + 128;
+
+                // Apply brightness: simple addition
+                value += brightness;
+
+                // Clamp to valid range [0, 255]
+                data[i] = Math.max(0, Math.min(255, value));
             }
         }
     }
-    
+
     /**
      * Apply image inversion (negative effect)
      * @private
-     * @param {Uint8ClampedArray} data - Image pixel data
+     * @param {Float32Array} data - Display values
      */
     applyInversion(data) {
-        // Invert each pixel's RGB values
-        for (let i = 0; i < data.length; i += 4) {
-            data[i] = 255 - data[i];         // Red
-            data[i + 1] = 255 - data[i + 1]; // Green
-            data[i + 2] = 255 - data[i + 2]; // Blue
-            // Alpha channel (i + 3) remains unchanged
+        for (let i = 0; i < data.length; i++) {
+            data[i] = 255 - Math.max(0, Math.min(255, data[i]));
         }
     }
-    
+
     /**
      * Apply edge enhancement using Laplacian filter
      * @private
-     * @param {ImageData} imageData - Image data to process
+     * @param {Float32Array} src - Display values
+     * @param {number} width - Image width
+     * @param {number} height - Image height
      * @param {number} strength - Enhancement strength (0 to 10)
-     * @returns {ImageData} Enhanced image data
-     */
-    applyEdgeEnhancement(imageData, strength) {
-        const src = imageData.data;
-        const width = imageData.width;
-        const height = imageData.height;
-        const dst = new Uint8ClampedArray(src);
-        
-        // Laplacian kernel for edge detection
-        // This kernel emphasizes edges while preserving the original image
-        const kernel = [
-            0, -1,  0,
-           -1,  4, -1,
-            0, -1,  0
-        ];
-        
+     * @returns {Float32Array} Enhanced display values
+     */
+    applyEdgeEnhancement(src, width, height, strength) {
+        const dst = new Float32Array(src);
+
         // Normalize strength to a reasonable range
         const intensity = strength * 0.1; // Convert 0-10 to 0-1
-        
-        // Apply convolution, skipping image borders
+
+        // Apply the Laplacian kernel [0 -1 0; -1 4 -1; 0 -1 0], skipping image borders
         for (let y = 1; y < height - 1; y++) {
-            for (let x = 1; x < width - 1; x++) {
-                // Process each color channel
-                for (let channel = 0; channel < 3; channel++) {
-                    let sum = 0;
-                    let kernelIndex = 0;
-                    
-                    // Apply 3x3 kernel
-                    for (let ky = -1; ky <= 1; ky++) {
-                        for (let kx = -1; kx <= 1; kx++) {
-                            const pixelIndex = ((y + ky) * width + (x + kx)) * 4 + channel;
-                            sum += src[pixelIndex] * kernel[kernelIndex++];
-                        }
-                    }
-                    
-                    // Blend edge detection with original image
-                    const originalIndex = (y * width + x) * 4 + channel;
-                    const enhanced = src[originalIndex] + (sum * intensity);
-                    
-                    // Store result with clamping
-                    dst[originalIndex] = Math.max(0, Math.min(255, enhanced));
-                }
+            let index = y * width + 1;
+            for (let x = 1; x < width - 1; x++, index++) {
+                const sum = 4 * src[index]
+                    - src[index - 1] - src[index + 1]
+                    - src[index - width] - src[index + width];
+
+                // Blend edge detection with original image
+                const enhanced = src[index] + (sum * intensity);
+                dst[index] = Math.max(0, Math.min(255, enhanced));
             }
         }
-        
-        return new ImageData(dst, width, height);
+
+        return dst;
     }
-    
+
+    /**
+     * Map display values to 8-bit RGBA for painting
+     * @param {Float32Array} values - Display values (0 to 255)
+     * @param {number} width - Image width
+     * @param {number} height - Image height
+     * @param {ImageData} [target] - Image data to reuse if it has the right size
+     * @param {Uint8ClampedArray|null} [colorMap] - RGB per display level (see color-maps.js);
+     *     null paints grey
+     * @returns {ImageData} Canvas image data
+     */
+    toImageData(values, width, height, target = null, colorMap = null) {
+        const imageData = target && target.width === width && target.height === height
+            ? target
+            : new ImageData(width, height);
+        const rgba = imageData.data;
+
+        if (colorMap) {
+            for (let i = 0; i < values.length; i++) {
+                const p = i * 4;
+                const level = Math.max(0, Math.min(255, Math.round(values[i]))) * 3;
+                rgba[p] = colorMap[level];
+                rgba[p + 1] = colorMap[level + 1];
+                rgba[p + 2] = colorMap[level + 2];
+                rgba[p + 3] = 255;
+            }
+            return imageData;
+        }
+
+        for (let i = 0; i < values.length; i++) {
+            const p = i * 4;
+            // Uint8ClampedArray clamps and rounds on assignment
+            rgba[p] = values[i];
+            rgba[p + 1] = values[i];
+            rgba[p + 2] = values[i];
+            rgba[p + 3] = 255;
+        }
+
+        return imageData;
+    }
+
     /**
      * Calculate image histogram
+     * @param {ImageData|{data: ArrayLike<number>}} image - RGBA image data, or single-channel values
+     * @param {Object} [options] - Binning for single-channel values
+     * @param {number} [options.min=0] - Value mapped to the first bin
+     * @param {number} [options.max=255] - Value mapped to the last bin
+     * @param {number} [options.bins=256] - Number of bins
+     * @returns {Object} Histogram data (luminance, plus RGB channels for RGBA input)
+     */
+    calculateHistogram(image, options = {}) {
+        if (typeof ImageData !== 'undefined' && image instanceof ImageData) {
+            return this.calculateRgbaHistogram(image);
+        }
+
+        const { min = 0, max = 255, bins = 256 } = options;
+        const luminance = new Array(bins).fill(0);
+        const scale = (bins - 1) / Math.max(max - min, Number.EPSILON);
+        const data = image.data;
+
+        for (let i = 0; i < data.length; i++) {
+            const bin = Math.round((data[i] - min) * scale);
+            luminance[Math.max(0, Math.min(bins - 1, bin))]++;
+        }
+
+        return { luminance };
+    }
+
+    /**
+     * Calculate the histogram of 8-bit RGBA data
+     * @private
      * @param {ImageData} imageData - Image data to analyze
      * @returns {Object} Histogram data for RGB channels
      */
-    calculateHistogram(imageData) {
+    calculateRgbaHistogram(imageData) {
         const histogram = {
             red: new Array(256).fill(0),
             green: new Array(256).fill(0),
             blue: new Array(256).fill(0),
             luminance: new Array(256).fill(0)
         };
-        
+
         const data = imageData.data;
-        
+
         for (let i = 0; i < data.length; i += 4) {
             const r = data[i];
             const g = data[i + 1];
             const b = data[i + 2];
-            
+
             histogram.red[r]++;
             histogram.green[g]++;
             histogram.blue[b]++;
-            
+
             // Calculate luminance using standard formula
             const luminance = Math.round(0.299 * r + 0.587 * g + 0.114 * b);
             histogram.luminance[luminance]++;
         }
-        
+
         return histogram;
     }
-    
+
     /**
-     * Apply Gaussian blur (for future implementation)
-     * @param {ImageData} imageData - Image data to blur
-     * @param {number} radius - Blur radius
-     * @returns {ImageData} Blurred image data
+     * Apply one of the noise filters with a strength from the header slider
+     * @param {Float32Array} data - Display values
+     * @param {number} width - Image width
+     * @param {number} height - Image height
+     * @param {string} filter - 'gaussian', 'median' or 'bilateral'
+     * @param {number} strength - Filter strength (1 to 10)
+     * @returns {Float32Array} Filtered display values
      */
-    applyGaussianBlur(imageData, radius) {
-        // TODO: Implement Gaussian blur for noise reduction
-        console.warn('Gaussian blur not yet implemented');
-        return imageData;
+    applyNoiseReduction(data, width, height, filter, strength) {
+        const level = Math.max(1, Math.min(10, strength));
+
+        switch (filter) {
+            case 'gaussian':
+                // Sigma 0.5 to 5 pixels
+                return this.applyGaussianBlur(data, width, height, level * 0.5);
+
+            case 'median':
+                // 3x3, 5x5 or 7x7 neighbourhood
+                return this.applyMedianFilter(data, width, height, Math.ceil(level / 4));
+
+            case 'bilateral':
+                // Spatial sigma 0.75 to 3 pixels; edges stronger than a few sigma-range levels are kept
+                return this.applyBilateralFilter(data, width, height, 0.5 + level * 0.25, level * 4);
+
+            default:
+                return data;
+        }
     }
-    
+
     /**
-     * Apply histogram equalization (for future implementation)
-     * @param {ImageData} imageData - Image data to equalize
-     * @returns {ImageData} Equalized image data
+     * Apply a separable Gaussian blur
+     * @param {Float32Array} src - Display values
+     * @param {number} width - Image width
+     * @param {number} height - Image height
+     * @param {number} sigma - Standard deviation in pixels
+     * @returns {Float32Array} Blurred display values
      */
-    applyHistogramEqualization(imageData) {
-        // TODO: Implement histogram equalization for contrast enhancement
-        console.warn('Histogram equalization not yet implemented');
-        return imageData;
+    applyGaussianBlur(src, width, height, sigma) {
+        const radius = Math.max(1, Math.ceil(sigma * 3));
+        const kernel = new Float32Array(radius * 2 + 1);
+        let total = 0;
+
+        for (let i = -radius; i <= radius; i++) {
+            kernel[i + radius] = Math.exp(-(i * i) / (2 * sigma * sigma));
+            total += kernel[i + radius];
+        }
+        for (let i = 0; i < kernel.length; i++) {
+            kernel[i] /= total;
+        }
+
+        // Horizontal then vertical pass, repeating the edge pixels at the borders
+        const temp = new Float32Array(src.length);
+        const dst = new Float32Array(src.length);
+
+        for (let y = 0; y < height; y++) {
+            const row = y * width;
+            for (let x = 0; x < width; x++) {
+                let sum = 0;
+                for (let k = -radius; k <= radius; k++) {
+                    const sx = Math.max(0, Math.min(width - 1, x + k));
+                    sum += src[row + sx] * kernel[k + radius];
+                }
+                temp[row + x] = sum;
+            }
+        }
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                let sum = 0;
+                for (let k = -radius; k <= radius; k++) {
+                    const sy = Math.max(0, Math.min(height - 1, y + k));
+                    sum += temp[sy * width + x] * kernel[k + radius];
+                }
+                dst[y * width + x] = sum;
+            }
+        }
+
+        return dst;
+    }
+
+    /**
+     * Apply a median filter, which removes salt-and-pepper specks (dust, scratches on scanned
+     * films) without blurring edges as much as a Gaussian
+     * @param {Float32Array} src - Display values
+     * @param {number} width - Image width
+     * @param {number} height - Image height
+     * @param {number} radius - Neighbourhood radius (1 gives 3x3)
+     * @returns {Float32Array} Filtered display values
+     */
+    applyMedianFilter(src, width, height, radius) {
+        const dst = new Float32Array(src.length);
+        const window = new Float32Array((radius * 2 + 1) * (radius * 2 + 1));
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                let count = 0;
+
+                for (let dy = -radius; dy <= radius; dy++) {
+                    const row = Math.max(0, Math.min(height - 1, y + dy)) * width;
+                    for (let dx = -radius; dx <= radius; dx++) {
+                        // Insertion sort while collecting; neighbourhoods are at most 49 values
+                        const value = src[row + Math.max(0, Math.min(width - 1, x + dx))];
+                        let i = count++;
+                        while (i > 0 && window[i - 1] > value) {
+                            window[i] = window[i - 1];
+                            i--;
+                        }
+                        window[i] = value;
+                    }
+                }
+
+                dst[y * width + x] = window[count >> 1];
+            }
+        }
+
+        return dst;
+    }
+
+    /**
+     * Apply an edge-preserving bilateral filter: neighbours are weighted by distance and by
+     * how similar their value is, so flat areas are smoothed while edges such as the lamina dura stay sharp
+     * @param {Float32Array} src - Display values
+     * @param {number} width - Image width
+     * @param {number} height - Image height
+     * @param {number} sigmaSpatial - Spatial standard deviation in pixels
+     * @param {number} sigmaRange - Value standard deviation in display levels
+     * @returns {Float32Array} Filtered display values
+     */
+    applyBilateralFilter(src, width, height, sigmaSpatial, sigmaRange) {
+        const radius = Math.max(1, Math.ceil(sigmaSpatial * 2));
+        const size = radius * 2 + 1;
+
+        const spatial = new Float32Array(size * size);
+        for (let dy = -radius; dy <= radius; dy++) {
+            for (let dx = -radius; dx <= radius; dx++) {
+                spatial[(dy + radius) * size + dx + radius] =
+                    Math.exp(-(dx * dx + dy * dy) / (2 * sigmaSpatial * sigmaSpatial));
+            }
+        }
+
+        // Range weights by whole display level, up to 3 sigma; larger differences weigh nothing
+        const rangeLimit = Math.ceil(sigmaRange * 3);
+        const range = new Float32Array(rangeLimit + 1);
+        for (let d = 0; d <= rangeLimit; d++) {
+            range[d] = Math.exp(-(d * d) / (2 * sigmaRange * sigmaRange));
+        }
+
+        const dst = new Float32Array(src.length);
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const center = src[y * width + x];
+                let sum = 0;
+                let weights = 0;
+
+                for (let dy = -radius; dy <= radius; dy++) {
+                    const row = Math.max(0, Math.min(height - 1, y + dy)) * width;
+                    const spatialRow = (dy + radius) * size + radius;
+
+                    for (let dx = -radius; dx <= radius; dx++) {
+                        const value = src[row + Math.max(0, Math.min(width - 1, x + dx))];
+                        const difference = (Math.abs(value - center) + 0.5) | 0;
+                        if (difference > rangeLimit) continue;
+
+                        const weight = spatial[spatialRow + dx] * range[difference];
+                        sum += value * weight;
+                        weights += weight;
+                    }
+                }
+
+                // The centre pixel always has weight 1, so weights is never 0
+                dst[y * width + x] = sum / weights;
+            }
+        }
+
+        return dst;
+    }
+
+    /**
+     * Apply global histogram equalization: spread the display levels so that each one
+     * is used by about the same number of pixels
+     * @param {Float32Array} src - Display values
+     * @returns {Float32Array} Equalized display values (0 to 255)
+     */
+    applyHistogramEqualization(src) {
+        const histogram = this.calculateHistogram({ data: src }).luminance;
+
+        const cdf = new Float64Array(256);
+        let total = 0;
+        for (let i = 0; i < 256; i++) {
+            total += histogram[i];
+            cdf[i] = total;
+        }
+
+        // The darkest used level stays black
+        const cdfMin = cdf.find(value => value > 0);
+        const range = Math.max(total - cdfMin, 1);
+
+        const map = new Float32Array(256);
+        for (let i = 0; i < 256; i++) {
+            map[i] = Math.max(0, (cdf[i] - cdfMin) / range * 255);
+        }
+
+        return this.applyLevelMap(src, map);
+    }
+
+    /**
+     * Apply contrast-limited adaptive histogram equalization (CLAHE).
+     * Every tile gets its own equalization, with each histogram bin clipped to clipLimit times
+     * the average bin count so noise in flat areas isn't amplified; the clipped counts are
+     * spread over all bins. Pixels blend the mappings of the four nearest tiles.
+     * @param {Float32Array} src - Display values
+     * @param {number} width - Image width
+     * @param {number} height - Image height
+     * @param {number} tileSize - Approximate tile edge in pixels
+     * @param {number} clipLimit - Bin limit as a multiple of the average bin count (1 = no enhancement)
+     * @returns {Float32Array} Equalized display values (0 to 255)
+     */
+    applyClahe(src, width, height, tileSize, clipLimit) {
+        const tilesX = Math.max(1, Math.round(width / tileSize));
+        const tilesY = Math.max(1, Math.round(height / tileSize));
+        const tileWidth = width / tilesX;
+        const tileHeight = height / tilesY;
+        const maps = new Float32Array(tilesX * tilesY * 256);
+        const histogram = new Float64Array(256);
+
+        for (let ty = 0; ty < tilesY; ty++) {
+            const y0 = Math.floor(ty * tileHeight);
+            const y1 = Math.floor((ty + 1) * tileHeight);
+
+            for (let tx = 0; tx < tilesX; tx++) {
+                const x0 = Math.floor(tx * tileWidth);
+                const x1 = Math.floor((tx + 1) * tileWidth);
+
+                histogram.fill(0);
+                for (let y = y0; y < y1; y++) {
+                    for (let x = x0; x < x1; x++) {
+                        histogram[toLevel(src[y * width + x])]++;
+                    }
+                }
+
+                const count = Math.max((x1 - x0) * (y1 - y0), 1);
+                const limit = Math.max(1, clipLimit * count / 256);
+
+                let excess = 0;
+                for (let i = 0; i < 256; i++) {
+                    if (histogram[i] > limit) {
+                        excess += histogram[i] - limit;
+                        histogram[i] = limit;
+                    }
+                }
+
+                const share = excess / 256;
+                const map = (ty * tilesX + tx) * 256;
+                let cdf = 0;
+                for (let i = 0; i < 256; i++) {
+                    cdf += histogram[i] + share;
+                    maps[map + i] = Math.min(255, cdf / count * 255);
+                }
+            }
+        }
+
+        // Bilinear interpolation between the mappings of the surrounding tile centres
+        const dst = new Float32Array(src.length);
+
+        for (let y = 0; y < height; y++) {
+            const fy = Math.max(0, Math.min(tilesY - 1, (y + 0.5) / tileHeight - 0.5));
+            const ty0 = Math.floor(fy);
+            const ty1 = Math.min(ty0 + 1, tilesY - 1);
+            const wy = fy - ty0;
+
+            for (let x = 0; x < width; x++) {
+                const fx = Math.max(0, Math.min(tilesX - 1, (x + 0.5) / tileWidth - 0.5));
+                const tx0 = Math.floor(fx);
+                const tx1 = Math.min(tx0 + 1, tilesX - 1);
+                const wx = fx - tx0;
+
+                const level = toLevel(src[y * width + x]);
+                const top = maps[(ty0 * tilesX + tx0) * 256 + level] * (1 - wx) +
+                            maps[(ty0 * tilesX + tx1) * 256 + level] * wx;
+                const bottom = maps[(ty1 * tilesX + tx0) * 256 + level] * (1 - wx) +
+                               maps[(ty1 * tilesX + tx1) * 256 + level] * wx;
+
+                dst[y * width + x] = top * (1 - wy) + bottom * wy;
+            }
+        }
+
+        return dst;
+    }
+
+    /**
+     * Map display values through a 256-entry table, interpolating between levels
+     * @private
+     * @param {Float32Array} src - Display values
+     * @param {Float32Array} map - Output value per display level
+     * @returns {Float32Array} Mapped display values
+     */
+    applyLevelMap(src, map) {
+        const dst = new Float32Array(src.length);
+
+        for (let i = 0; i < src.length; i++) {
+            const value = Math.max(0, Math.min(255, src[i]));
+            const level = Math.min(254, Math.floor(value));
+            const fraction = value - level;
+            dst[i] = map[level] * (1 - fraction) + map[level + 1] * fraction;
+        }
+
+        return dst;
     }
-}
\ No newline at end of file
+}
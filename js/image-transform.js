@@ -0,0 +1,244 @@
+/**
+ * Radiograph Image Viewer - Image Transform
+ * Rotation, flip and crop of the loaded image, resampled into the image the viewer works on
+ *
+ * A transform is applied in this order to the source image:
+ *   1. flip      Mirror horizontally and/or vertically
+ *   2. rotation  Clockwise angle in degrees; the canvas grows to hold the rotated corners
+ *   3. crop      Rectangle {x, y, width, height} in the rotated image, or null
+ *
+ * Measurements, annotations and quiz answers are kept in the coordinates of the transformed
+ * image; getTransformGeometry() maps points between the source and transformed image.
+ */
+
+/**
+ * Smallest crop edge in pixels
+ */
+export const MIN_CROP_SIZE = 8;
+
+/**
+ * Create the identity transform
+ * @returns {Object} Transform
+ */
+export function createTransform() {
+    return { rotation: 0, flipH: false, flipV: false, crop: null };
+}
+
+/**
+ * Bring an angle into the range (-180, 180]
+ * @param {number} degrees - Angle
+ * @returns {number} Normalized angle
+ */
+export function normalizeAngle(degrees) {
+    let angle = degrees % 360;
+    if (angle > 180) angle -= 360;
+    if (angle <= -180) angle += 360;
+
+    // Strip floating point noise so repeated 90 degree turns stay exact
+    return Math.round(angle * 1000) / 1000;
+}
+
+/**
+ * Validate a transform from saved state, copying it
+ * @param {Object} transform - Transform to check
+ * @returns {Object} Valid copy; invalid fields fall back to the identity
+ */
+export function normalizeTransform(transform) {
+    const result = createTransform();
+    if (!transform) return result;
+
+    if (typeof transform.rotation === 'number' && isFinite(transform.rotation)) {
+        result.rotation = normalizeAngle(transform.rotation);
+    }
+    result.flipH = transform.flipH === true;
+    result.flipV = transform.flipV === true;
+
+    const crop = transform.crop;
+    if (crop && ['x', 'y', 'width', 'height'].every(key => typeof crop[key] === 'number' && isFinite(crop[key])) &&
+        crop.width >= MIN_CROP_SIZE && crop.height >= MIN_CROP_SIZE) {
+        result.crop = {
+            x: Math.round(crop.x),
+            y: Math.round(crop.y),
+            width: Math.round(crop.width),
+            height: Math.round(crop.height)
+        };
+    }
+
+    return result;
+}
+
+/**
+ * Check if a transform leaves the image unchanged
+ * @param {Object} transform - Transform
+ * @returns {boolean} True for the identity
+ */
+export function isIdentityTransform(transform) {
+    return transform.rotation === 0 && !transform.flipH && !transform.flipV && transform.crop === null;
+}
+
+/**
+ * Change a transform, keeping the cropped area when the rotation or flip changes
+ * @param {number} width - Source width
+ * @param {number} height - Source height
+ * @param {Object} transform - Current transform
+ * @param {Object} changes - Fields to change
+ * @returns {Object} New transform
+ */
+export function changeTransform(width, height, transform, changes) {
+    const next = normalizeTransform({ ...transform, ...changes, crop: null });
+    if (!transform.crop || 'crop' in changes) {
+        return normalizeTransform({ ...transform, ...changes });
+    }
+
+    // The crop is a rectangle in the rotated image; crop the new rotation to the old area's bounds
+    const previous = getTransformGeometry(width, height, transform);
+    const uncropped = getTransformGeometry(width, height, next);
+    const corners = [[0, 0], [previous.width, 0], [0, previous.height], [previous.width, previous.height]]
+        .map(([x, y]) => uncropped.fromSource(previous.toSource({ x, y })));
+
+    const left = Math.floor(Math.min(...corners.map(p => p.x)) + 1e-6);
+    const top = Math.floor(Math.min(...corners.map(p => p.y)) + 1e-6);
+    const right = Math.ceil(Math.max(...corners.map(p => p.x)) - 1e-6);
+    const bottom = Math.ceil(Math.max(...corners.map(p => p.y)) - 1e-6);
+    next.crop = { x: left, y: top, width: right - left, height: bottom - top };
+
+    return normalizeTransform(next);
+}
+
+/**
+ * Check if a transform is a quarter-turn, so pixels map exactly without interpolation
+ * @param {Object} transform - Transform
+ * @returns {boolean} True for 0, 90, 180 and 270 degrees
+ */
+export function isRightAngle(transform) {
+    return transform.rotation % 90 === 0;
+}
+
+/**
+ * Size of the transformed image and the point mappings for a source image size
+ * @param {number} width - Source width
+ * @param {number} height - Source height
+ * @param {Object} transform - Transform
+ * @returns {{width: number, height: number, rotatedWidth: number, rotatedHeight: number,
+ *     crop: Object|null, toSource: Function, fromSource: Function}} Geometry with the crop kept
+ *     inside the rotated image; the mappings take and return {x, y}
+ */
+export function getTransformGeometry(width, height, transform) {
+    const radians = transform.rotation * Math.PI / 180;
+    const cos = isRightAngle(transform) ? Math.round(Math.cos(radians)) : Math.cos(radians);
+    const sin = isRightAngle(transform) ? Math.round(Math.sin(radians)) : Math.sin(radians);
+
+    const rotatedWidth = Math.round(Math.abs(width * cos) + Math.abs(height * sin));
+    const rotatedHeight = Math.round(Math.abs(width * sin) + Math.abs(height * cos));
+
+    // Keep a stale crop inside the rotated image
+    let crop = transform.crop;
+    if (crop) {
+        const x = Math.max(0, Math.min(rotatedWidth - MIN_CROP_SIZE, crop.x));
+        const y = Math.max(0, Math.min(rotatedHeight - MIN_CROP_SIZE, crop.y));
+        crop = {
+            x,
+            y,
+            width: Math.min(rotatedWidth - x, Math.max(MIN_CROP_SIZE, crop.width)),
+            height: Math.min(rotatedHeight - y, Math.max(MIN_CROP_SIZE, crop.height))
+        };
+    }
+    const offsetX = crop ? crop.x : 0;
+    const offsetY = crop ? crop.y : 0;
+
+    const fromSource = ({ x, y }) => {
+        const fx = (transform.flipH ? width - x : x) - width / 2;
+        const fy = (transform.flipV ? height - y : y) - height / 2;
+        return {
+            x: fx * cos - fy * sin + rotatedWidth / 2 - offsetX,
+            y: fx * sin + fy * cos + rotatedHeight / 2 - offsetY
+        };
+    };
+
+    const toSource = ({ x, y }) => {
+        const rx = x + offsetX - rotatedWidth / 2;
+        const ry = y + offsetY - rotatedHeight / 2;
+        const fx = rx * cos + ry * sin + width / 2;
+        const fy = -rx * sin + ry * cos + height / 2;
+        return {
+            x: transform.flipH ? width - fx : fx,
+            y: transform.flipV ? height - fy : fy
+        };
+    };
+
+    return {
+        width: crop ? crop.width : rotatedWidth,
+        height: crop ? crop.height : rotatedHeight,
+        rotatedWidth,
+        rotatedHeight,
+        crop,
+        toSource,
+        fromSource
+    };
+}
+
+/**
+ * Resample a luminance image through a transform
+ * @param {LuminanceImage} image - Source image
+ * @param {Object} transform - Transform
+ * @returns {LuminanceImage} Transformed image; the source is returned unchanged for the identity
+ */
+export function transformImage(image, transform) {
+    if (isIdentityTransform(transform)) return image;
+
+    const geometry = getTransformGeometry(image.width, image.height, transform);
+    const { width, height } = geometry;
+    const src = image.data;
+    const data = new Float32Array(width * height);
+
+    // Corners uncovered by an arbitrary rotation are filled with the value displayed as black
+    const fill = image.monochrome1 ? image.max : image.min;
+    const exact = isRightAngle(transform);
+
+    // The mapping is affine: step through the source along the transformed rows and columns.
+    // Pixel centres map to pixel centres; sample positions are relative to them.
+    const origin = geometry.toSource({ x: 0.5, y: 0.5 });
+    const stepX = geometry.toSource({ x: 1.5, y: 0.5 });
+    const stepY = geometry.toSource({ x: 0.5, y: 1.5 });
+    const dxx = stepX.x - origin.x;
+    const dxy = stepX.y - origin.y;
+    const dyx = stepY.x - origin.x;
+    const dyy = stepY.y - origin.y;
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const sx = origin.x + x * dxx + y * dyx - 0.5;
+            const sy = origin.y + x * dxy + y * dyy - 0.5;
+            let value = fill;
+
+            if (exact) {
+                const ix = Math.round(sx);
+                const iy = Math.round(sy);
+                if (ix >= 0 && iy >= 0 && ix < image.width && iy < image.height) {
+                    value = src[iy * image.width + ix];
+                }
+            } else if (sx > -0.5 && sy > -0.5 && sx < image.width - 0.5 && sy < image.height - 0.5) {
+                // Bilinear interpolation, clamped at the borders
+                const x0 = Math.max(0, Math.floor(sx));
+                const y0 = Math.max(0, Math.floor(sy));
+                const x1 = Math.min(image.width - 1, x0 + 1);
+                const y1 = Math.min(image.height - 1, y0 + 1);
+                const fx = Math.max(0, Math.min(1, sx - x0));
+                const fy = Math.max(0, Math.min(1, sy - y0));
+                const top = src[y0 * image.width + x0] * (1 - fx) + src[y0 * image.width + x1] * fx;
+                const bottom = src[y1 * image.width + x0] * (1 - fx) + src[y1 * image.width + x1] * fx;
+                value = top * (1 - fy) + bottom * fy;
+            }
+
+            data[y * width + x] = value;
+        }
+    }
+
+    // Rows and columns swap places on quarter turns
+    let pixelSpacing = image.pixelSpacing;
+    if (pixelSpacing && Math.abs(transform.rotation) % 180 === 90) {
+        pixelSpacing = [pixelSpacing[1], pixelSpacing[0]];
+    }
+
+    return { ...image, width, height, data, pixelSpacing };
+}
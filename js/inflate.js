@@ -0,0 +1,300 @@
+/**
+ * Radiograph Image Viewer - Inflate
+ * Decoder for raw DEFLATE data (RFC 1951), as stored in ZIP files
+ *
+ * Bundled so case packages open without a library or network access. The Huffman decoding
+ * follows the canonical-code approach of zlib's puff.c: compact and easy to check, and fast
+ * enough for case packages of already-compressed images.
+ */
+
+const MAX_BITS = 15;
+
+// Base values and extra bits of length codes 257-285 and distance codes 0-29
+const LENGTH_BASE = [3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31,
+    35, 43, 51, 59, 67, 83, 99, 115, 131, 163, 195, 227, 258];
+const LENGTH_EXTRA = [0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2,
+    3, 3, 3, 3, 4, 4, 4, 4, 5, 5, 5, 5, 0];
+const DISTANCE_BASE = [1, 2, 3, 4, 5, 7, 9, 13, 17, 25, 33, 49, 65, 97, 129, 193,
+    257, 385, 513, 769, 1025, 1537, 2049, 3073, 4097, 6145, 8193, 12289, 16385, 24577];
+const DISTANCE_EXTRA = [0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6,
+    7, 7, 8, 8, 9, 9, 10, 10, 11, 11, 12, 12, 13, 13];
+
+// Order in which dynamic blocks list the code length code lengths
+const CODE_LENGTH_ORDER = [16, 17, 18, 0, 8, 7, 9, 6, 10, 5, 11, 4, 12, 3, 13, 2, 14, 1, 15];
+
+/**
+ * Canonical Huffman code
+ * @private
+ * @typedef {Object} Huffman
+ * @property {Uint16Array} counts - Number of codes of each length
+ * @property {Uint16Array} symbols - Symbols ordered by code
+ */
+
+/**
+ * Build a canonical Huffman code from code lengths
+ * @private
+ * @param {Array<number>|Uint8Array} lengths - Code length per symbol, 0 if unused
+ * @returns {Huffman} Code
+ */
+function buildHuffman(lengths) {
+    const counts = new Uint16Array(MAX_BITS + 1);
+    for (const length of lengths) counts[length]++;
+    counts[0] = 0;
+
+    // An over-subscribed code can't be decoded; an incomplete one is allowed (e.g. one distance code)
+    let left = 1;
+    for (let length = 1; length <= MAX_BITS; length++) {
+        left = (left << 1) - counts[length];
+        if (left < 0) throw new Error('Invalid Huffman code');
+    }
+
+    const offsets = new Uint16Array(MAX_BITS + 1);
+    for (let length = 1; length < MAX_BITS; length++) {
+        offsets[length + 1] = offsets[length] + counts[length];
+    }
+
+    const symbols = new Uint16Array(lengths.length);
+    for (let symbol = 0; symbol < lengths.length; symbol++) {
+        if (lengths[symbol] !== 0) {
+            symbols[offsets[lengths[symbol]]++] = symbol;
+        }
+    }
+
+    return { counts, symbols };
+}
+
+/**
+ * Fixed Huffman codes of block type 1, built on first use
+ * @private
+ */
+let fixedCodes = null;
+
+function getFixedCodes() {
+    if (!fixedCodes) {
+        const lengths = new Uint8Array(288);
+        lengths.fill(8, 0, 144);
+        lengths.fill(9, 144, 256);
+        lengths.fill(7, 256, 280);
+        lengths.fill(8, 280, 288);
+        fixedCodes = {
+            literal: buildHuffman(lengths),
+            distance: buildHuffman(new Uint8Array(30).fill(5))
+        };
+    }
+    return fixedCodes;
+}
+
+/**
+ * Decoder state: input bits and a growing output buffer
+ * @private
+ * @class
+ */
+class Inflater {
+    constructor(input, sizeHint) {
+        this.input = input;
+        this.position = 0;
+        this.bitBuffer = 0;
+        this.bitCount = 0;
+
+        this.output = new Uint8Array(Math.max(sizeHint || 0, input.length * 4, 1024));
+        this.length = 0;
+    }
+
+    /**
+     * Read bits, least significant first
+     * @param {number} count - Number of bits, at most 16
+     * @returns {number} Value
+     */
+    bits(count) {
+        while (this.bitCount < count) {
+            if (this.position >= this.input.length) throw new Error('Unexpected end of compressed data');
+            this.bitBuffer |= this.input[this.position++] << this.bitCount;
+            this.bitCount += 8;
+        }
+
+        const value = this.bitBuffer & ((1 << count) - 1);
+        this.bitBuffer >>>= count;
+        this.bitCount -= count;
+        return value;
+    }
+
+    /**
+     * Make room for more output
+     * @param {number} count - Bytes about to be written
+     */
+    reserve(count) {
+        if (this.length + count <= this.output.length) return;
+
+        const grown = new Uint8Array(Math.max(this.output.length * 2, this.length + count));
+        grown.set(this.output.subarray(0, this.length));
+        this.output = grown;
+    }
+
+    /**
+     * Decode one symbol, reading the code one bit at a time
+     * @param {Huffman} huffman - Code
+     * @returns {number} Symbol
+     */
+    decode(huffman) {
+        let code = 0;
+        let first = 0;
+        let index = 0;
+
+        for (let length = 1; length <= MAX_BITS; length++) {
+            code |= this.bits(1);
+            const count = huffman.counts[length];
+            if (code - first < count) {
+                return huffman.symbols[index + code - first];
+            }
+            index += count;
+            first = (first + count) << 1;
+            code <<= 1;
+        }
+
+        throw new Error('Invalid Huffman code');
+    }
+
+    /**
+     * Copy a stored (uncompressed) block
+     */
+    stored() {
+        // Stored blocks start at a byte boundary
+        this.bitBuffer = 0;
+        this.bitCount = 0;
+
+        if (this.position + 4 > this.input.length) throw new Error('Unexpected end of compressed data');
+        const length = this.input[this.position] | (this.input[this.position + 1] << 8);
+        const check = this.input[this.position + 2] | (this.input[this.position + 3] << 8);
+        this.position += 4;
+
+        if (length !== (~check & 0xffff)) throw new Error('Invalid stored block length');
+        if (this.position + length > this.input.length) throw new Error('Unexpected end of compressed data');
+
+        this.reserve(length);
+        this.output.set(this.input.subarray(this.position, this.position + length), this.length);
+        this.length += length;
+        this.position += length;
+    }
+
+    /**
+     * Decode a compressed block's literals and back-references until its end code
+     * @param {Huffman} literal - Literal/length code
+     * @param {Huffman} distance - Distance code
+     */
+    codes(literal, distance) {
+        for (;;) {
+            let symbol = this.decode(literal);
+
+            if (symbol < 256) {
+                this.reserve(1);
+                this.output[this.length++] = symbol;
+            } else if (symbol === 256) {
+                return;
+            } else {
+                symbol -= 257;
+                if (symbol >= LENGTH_BASE.length) throw new Error('Invalid length code');
+                const length = LENGTH_BASE[symbol] + this.bits(LENGTH_EXTRA[symbol]);
+
+                const distanceSymbol = this.decode(distance);
+                if (distanceSymbol >= DISTANCE_BASE.length) throw new Error('Invalid distance code');
+                const offset = DISTANCE_BASE[distanceSymbol] + this.bits(DISTANCE_EXTRA[distanceSymbol]);
+                if (offset > this.length) throw new Error('Distance too far back');
+
+                // Byte by byte: the copy may overlap the bytes it produces
+                this.reserve(length);
+                for (let i = 0; i < length; i++) {
+                    this.output[this.length] = this.output[this.length - offset];
+                    this.length++;
+                }
+            }
+        }
+    }
+
+    /**
+     * Read the code descriptions of a dynamic block
+     * @returns {{literal: Huffman, distance: Huffman}} Codes
+     */
+    dynamicCodes() {
+        const literalCount = this.bits(5) + 257;
+        const distanceCount = this.bits(5) + 1;
+        const codeLengthCount = this.bits(4) + 4;
+        if (literalCount > 286 || distanceCount > 30) throw new Error('Invalid code counts');
+
+        const codeLengths = new Uint8Array(19);
+        for (let i = 0; i < codeLengthCount; i++) {
+            codeLengths[CODE_LENGTH_ORDER[i]] = this.bits(3);
+        }
+        const codeLengthCode = buildHuffman(codeLengths);
+
+        const lengths = new Uint8Array(literalCount + distanceCount);
+        let index = 0;
+        while (index < lengths.length) {
+            const symbol = this.decode(codeLengthCode);
+
+            if (symbol < 16) {
+                lengths[index++] = symbol;
+                continue;
+            }
+
+            let value = 0;
+            let repeat;
+            if (symbol === 16) {
+                if (index === 0) throw new Error('Repeat with no previous length');
+                value = lengths[index - 1];
+                repeat = 3 + this.bits(2);
+            } else if (symbol === 17) {
+                repeat = 3 + this.bits(3);
+            } else {
+                repeat = 11 + this.bits(7);
+            }
+
+            if (index + repeat > lengths.length) throw new Error('Too many code lengths');
+            lengths.fill(value, index, index + repeat);
+            index += repeat;
+        }
+
+        if (lengths[256] === 0) throw new Error('Missing end-of-block code');
+
+        return {
+            literal: buildHuffman(lengths.subarray(0, literalCount)),
+            distance: buildHuffman(lengths.subarray(literalCount))
+        };
+    }
+
+    /**
+     * Decode all blocks
+     * @returns {Uint8Array} Decompressed data
+     */
+    run() {
+        let last;
+        do {
+            last = this.bits(1);
+            const type = this.bits(2);
+
+            if (type === 0) {
+                this.stored();
+            } else if (type === 1) {
+                const { literal, distance } = getFixedCodes();
+                this.codes(literal, distance);
+            } else if (type === 2) {
+                const { literal, distance } = this.dynamicCodes();
+                this.codes(literal, distance);
+            } else {
+                throw new Error('Invalid block type');
+            }
+        } while (!last);
+
+        return this.output.slice(0, this.length);
+    }
+}
+
+/**
+ * Decompress raw DEFLATE data
+ * @param {Uint8Array} data - Compressed bytes, without a zlib or gzip header
+ * @param {number} [size] - Expected decompressed size, to allocate the output once
+ * @returns {Uint8Array} Decompressed bytes
+ * @throws {Error} If the data is not valid DEFLATE
+ */
+export function inflate(data, size) {
+    return new Inflater(data, size).run();
+}
@@ -194,9 +194,36 @@ export class LanguageManager {
             'openFileBtn': 'buttons.openImage',
             'loadServerBtn': 'buttons.loadServer',
             'invertBtn': 'buttons.invert',
+            'uncropBtn': 'buttons.uncrop',
+            'loupeBtn': 'buttons.loupe',
+            'fmxBtn': 'buttons.mount',
+            'fmxAddBtn': 'buttons.fmxAdd',
+            'fmxOpenBtn': 'buttons.fmxOpen',
+            'fmxSaveBtn': 'buttons.fmxSave',
+            'fmxClearBtn': 'buttons.fmxClear',
+            'fmxCheckBtn': 'buttons.fmxCheck',
+            'fmxEndBtn': 'buttons.fmxEnd',
+            'toothChartBtn': 'buttons.toothChart',
+            'recentBtn': 'buttons.recent',
+            'restoreSessionBtn': 'buttons.restoreSession',
+            'dismissSessionBtn': 'buttons.notNow',
+            'clearRecentBtn': 'buttons.clearRecent',
+            'closeRecentBtn': 'buttons.close',
+            'windowLevelBtn': 'buttons.windowLevel',
+            'clearMeasurementsBtn': 'buttons.clearMeasurements',
+            'deleteAnnotationBtn': 'buttons.deleteAnnotation',
+            'exportBtn': 'buttons.export',
+            'copyLinkBtn': 'buttons.copyLink',
+            'exportPackageBtn': 'buttons.exportPackage',
+            'curveSaveBtn': 'buttons.saveCurve',
+            'curveResetBtn': 'buttons.resetCurve',
             'resetBtn': 'buttons.reset',
             'loadUrlBtn': 'buttons.loadUrl',
             'scanImagesBtn': 'buttons.scanImages',
+            'importPackageBtn': 'buttons.importPackage',
+            'clearToothFilterBtn': 'buttons.showAll',
+            'saveManifestBtn': 'buttons.saveManifest',
+            'clearOfflineBtn': 'buttons.clearOffline',
             'closeUrlBtn': 'buttons.close'
         };
 
@@ -214,7 +241,19 @@ export class LanguageManager {
             'zoomDisplay': 'labels.zoom',
             'brightness': 'labels.brightness',
             'contrast': 'labels.contrast',
-            'edgeEnhancement': 'labels.edge'
+            'edgeEnhancement': 'labels.edge',
+            'noiseFilter': 'labels.noiseFilter',
+            'equalization': 'labels.equalization',
+            'colorMap': 'labels.colorMap',
+            'claheTileSize': 'labels.claheTileSize',
+            'claheClipLimit': 'labels.claheClipLimit',
+            'rotationAngle': 'labels.rotate',
+            'windowCenter': 'labels.windowCenter',
+            'windowWidth': 'labels.windowWidth',
+            'windowPreset': 'labels.preset',
+            'toolSelect': 'labels.tool',
+            'annotationColor': 'labels.color',
+            'layoutSelect': 'labels.layout'
         };
 
         for (const [controlId, key] of Object.entries(labelMappings)) {
@@ -227,6 +266,14 @@ export class LanguageManager {
             }
         }
 
+        // Generic elements marked with data-i18n="key.path"
+        document.querySelectorAll('[data-i18n]').forEach(element => {
+            element.textContent = this.get(element.dataset.i18n);
+        });
+        document.querySelectorAll('[data-i18n-label]').forEach(element => {
+            element.label = this.get(element.dataset.i18nLabel);
+        });
+
         // Instructions
         const instructions = document.querySelector('.instructions');
         if (instructions) {
@@ -281,6 +328,9 @@ export class LanguageManager {
             if (labels[2]) {
                 labels[2].innerHTML = `${this.get('labels.zoom')}: <span id="infoZoom">100%</span>`;
             }
+            if (labels[3]) {
+                labels[3].innerHTML = `${this.get('labels.scale')}: <span id="infoScale"></span>`;
+            }
         }
     }
 
@@ -307,6 +357,63 @@ export class LanguageManager {
             'openFileBtn': 'tooltips.openFile',
             'loadServerBtn': 'tooltips.loadServer',
             'invertBtn': 'tooltips.invertImage',
+            'rotateLeftBtn': 'tooltips.rotateLeft',
+            'rotateRightBtn': 'tooltips.rotateRight',
+            'rotationAngle': 'tooltips.rotationAngle',
+            'flipHBtn': 'tooltips.flipHorizontal',
+            'flipVBtn': 'tooltips.flipVertical',
+            'uncropBtn': 'tooltips.uncrop',
+            'loupeBtn': 'tooltips.loupe',
+            'profileCanvas': 'tooltips.profilePlot',
+            'profileCsvBtn': 'tooltips.profileCsv',
+            'profileCloseBtn': 'tooltips.profileClose',
+            'loupeShape': 'tooltips.loupeShape',
+            'loupeZoom': 'tooltips.loupeZoom',
+            'loupeInvert': 'tooltips.loupeInvert',
+            'loupeEdges': 'tooltips.loupeEdges',
+            'fmxBtn': 'tooltips.mount',
+            'fmxTemplate': 'tooltips.fmxTemplate',
+            'fmxAddBtn': 'tooltips.fmxAdd',
+            'fmxOpenBtn': 'tooltips.fmxOpen',
+            'fmxSaveBtn': 'tooltips.fmxSave',
+            'fmxClearBtn': 'tooltips.fmxClear',
+            'fmxCheckBtn': 'tooltips.fmxCheck',
+            'fmxEndBtn': 'tooltips.fmxEnd',
+            'fmxCloseBtn': 'tooltips.fmxClose',
+            'galleryPrevBtn': 'tooltips.galleryPrev',
+            'galleryNextBtn': 'tooltips.galleryNext',
+            'galleryClearBtn': 'tooltips.galleryClose',
+            'toothChartBtn': 'tooltips.toothChart',
+            'recentBtn': 'tooltips.recent',
+            'clearRecentBtn': 'tooltips.clearRecent',
+            'toothNotation': 'tooltips.toothNotation',
+            'toothChartCloseBtn': 'tooltips.toothChartClose',
+            'saveManifestBtn': 'tooltips.saveManifest',
+            'clearOfflineBtn': 'tooltips.clearOffline',
+            'importPackageBtn': 'tooltips.importPackage',
+            'windowLevelBtn': 'tooltips.windowLevel',
+            'undoBtn': 'tooltips.undo',
+            'redoBtn': 'tooltips.redo',
+            'clearMeasurementsBtn': 'tooltips.clearMeasurements',
+            'annotationColor': 'tooltips.annotationColor',
+            'deleteAnnotationBtn': 'tooltips.deleteAnnotation',
+            'exportBtn': 'tooltips.export',
+            'copyLinkBtn': 'tooltips.copyLink',
+            'exportPackageBtn': 'tooltips.exportPackage',
+            'noiseFilter': 'tooltips.noiseFilter',
+            'noiseStrength': 'tooltips.noiseStrength',
+            'equalization': 'tooltips.equalization',
+            'claheTileSize': 'tooltips.claheTileSize',
+            'claheClipLimit': 'tooltips.claheClipLimit',
+            'layoutSelect': 'tooltips.layout',
+            'linkView': 'tooltips.linkView',
+            'linkWindow': 'tooltips.linkWindow',
+            'colorMap': 'tooltips.colorMap',
+            'curveType': 'tooltips.curveType',
+            'savedCurves': 'tooltips.savedCurves',
+            'curveSaveBtn': 'tooltips.saveCurve',
+            'curveResetBtn': 'tooltips.resetCurve',
+            'histogramCanvas': 'tooltips.curveEditor',
             'resetBtn': 'tooltips.resetAdjustments'
         };
 
@@ -0,0 +1,449 @@
+/**
+ * Radiograph Image Viewer - Line Profile
+ * Grey-value profile along a line on the image, plotted with original and processed values
+ *
+ * The original curve samples the source values of the (rotated/cropped) image; the processed curve
+ * samples the display values after noise reduction, brightness/contrast, edge enhancement and the
+ * rest of the pipeline, so the two show what the processing does across e.g. an enamel-dentin edge.
+ */
+
+import languageManager from './language-manager.js';
+import { drawLabel, screenDistance, MIN_DRAG } from './overlay.js';
+import { downloadBlob } from './utils.js';
+
+const COLORS = {
+    line: '#33ff99',
+    original: '#00A9E0',
+    processed: '#ff9900',
+    marker: '#ffffff'
+};
+
+/**
+ * Sample an image along a line with bilinear interpolation, one sample per pixel of length
+ * @param {ArrayLike<number>} data - Row-major values
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {{x: number, y: number}} a - Line start in image coordinates
+ * @param {{x: number, y: number}} b - Line end in image coordinates
+ * @returns {Float32Array} Values from a to b
+ */
+export function sampleLine(data, width, height, a, b) {
+    const count = Math.max(2, Math.floor(Math.hypot(b.x - a.x, b.y - a.y)) + 1);
+    const values = new Float32Array(count);
+
+    for (let i = 0; i < count; i++) {
+        const t = i / (count - 1);
+
+        // Pixel centres sit at half-pixel positions
+        const x = Math.max(0, Math.min(width - 1, a.x + (b.x - a.x) * t - 0.5));
+        const y = Math.max(0, Math.min(height - 1, a.y + (b.y - a.y) * t - 0.5));
+        const x0 = Math.floor(x);
+        const y0 = Math.floor(y);
+        const x1 = Math.min(width - 1, x0 + 1);
+        const y1 = Math.min(height - 1, y0 + 1);
+        const fx = x - x0;
+        const fy = y - y0;
+
+        const top = data[y0 * width + x0] * (1 - fx) + data[y0 * width + x1] * fx;
+        const bottom = data[y1 * width + x0] * (1 - fx) + data[y1 * width + x1] * fx;
+        values[i] = top * (1 - fy) + bottom * fy;
+    }
+
+    return values;
+}
+
+/**
+ * ProfileLayer class holding the profile line of the current image and the marker along it.
+ * The line is stored in image pixel coordinates; the marker as a fraction of its length.
+ * @class
+ */
+export class ProfileLayer {
+    /**
+     * Create a new profile layer
+     * @param {RadiographViewer} viewer - Viewer instance
+     */
+    constructor(viewer) {
+        this.viewer = viewer;
+        this.tools = ['profile'];
+        this.line = null;
+        this.marker = 0.5;
+        this.draft = null;
+
+        // Samples of the current line, for the image and display values they were taken from
+        this.cache = null;
+    }
+
+    /**
+     * Remove the profile line
+     */
+    reset() {
+        this.line = null;
+        this.draft = null;
+        this.cache = null;
+        this.updatePanel();
+    }
+
+    /**
+     * Remove the profile line
+     */
+    clear() {
+        this.reset();
+    }
+
+    /**
+     * Get a copy of the profile line
+     * @returns {{line: Object|null}} Profile state
+     */
+    getState() {
+        return JSON.parse(JSON.stringify({ line: this.line }));
+    }
+
+    /**
+     * Replace the profile line
+     * @param {{line: Object|null}} state - State from getState()
+     */
+    setState(state) {
+        const line = state.line;
+        this.line = line && Array.isArray(line.points) && line.points.length === 2
+            ? JSON.parse(JSON.stringify(line))
+            : null;
+        this.draft = null;
+    }
+
+    /**
+     * Move the line along with the image
+     * @param {Function} map - Maps an {x, y} image point to its new position
+     */
+    mapPoints(map) {
+        if (this.line) {
+            this.line.points = this.line.points.map(map);
+        }
+        this.draft = null;
+    }
+
+    /**
+     * Abandon the line in progress
+     */
+    cancel() {
+        this.draft = null;
+    }
+
+    onPointerDown(tool, point) {
+        this.draft = { points: [point, point] };
+    }
+
+    onPointerMove(tool, point, isDown) {
+        if (this.draft && isDown) {
+            this.draft.points[1] = point;
+        }
+    }
+
+    onPointerUp(tool, point) {
+        if (!this.draft) return;
+
+        const [a] = this.draft.points;
+        this.draft = null;
+        if (screenDistance(this.viewer, a, point) < MIN_DRAG) return;
+
+        this.line = { points: [a, point] };
+        this.marker = 0.5;
+        this.updatePanel();
+    }
+
+    onKeyDown(tool, e) {
+        if (e.key === 'Escape' && this.draft) {
+            this.cancel();
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Move the marker along the line
+     * @param {number} fraction - Position from 0 (start) to 1 (end)
+     */
+    setMarker(fraction) {
+        this.marker = Math.max(0, Math.min(1, fraction));
+        this.viewer.overlay.requestRender();
+        this.updatePanel();
+    }
+
+    /**
+     * Sample the profile line
+     * @returns {Object|null} {points, length (px), spacing (mm per sample, or null), original,
+     *     processed (null before the first processing run)}, or null without a line
+     */
+    getProfile() {
+        const viewer = this.viewer;
+        const image = viewer.originalImage;
+        if (!this.line || !image) return null;
+
+        const key = JSON.stringify([this.line.points, viewer.pixelSpacing]);
+        if (this.cache && this.cache.key === key && this.cache.image === image &&
+            this.cache.displayData === viewer.displayData) {
+            return this.cache.profile;
+        }
+
+        const [a, b] = this.line.points;
+        const original = sampleLine(image.data, image.width, image.height, a, b);
+        const processed = viewer.displayData
+            ? sampleLine(viewer.displayData, image.width, image.height, a, b)
+            : null;
+
+        // Physical length of the line, which may run at an angle to anisotropic pixels
+        const spacing = viewer.pixelSpacing;
+        const lengthMm = spacing
+            ? Math.hypot((b.x - a.x) * spacing.column, (b.y - a.y) * spacing.row)
+            : null;
+
+        const profile = {
+            points: [a, b],
+            length: Math.hypot(b.x - a.x, b.y - a.y),
+            lengthMm,
+            original,
+            processed
+        };
+
+        this.cache = { key, image, displayData: viewer.displayData, profile };
+        return profile;
+    }
+
+    /**
+     * Distance of a sample from the line start
+     * @private
+     */
+    getDistance(profile, index) {
+        const t = index / (profile.original.length - 1);
+        return profile.lengthMm !== null
+            ? { value: profile.lengthMm * t, unit: 'mm' }
+            : { value: profile.length * t, unit: 'px' };
+    }
+
+    /**
+     * Get the profile as CSV, one row per sample
+     * @returns {string|null} CSV text, or null without a line
+     */
+    toCsv() {
+        const profile = this.getProfile();
+        if (!profile) return null;
+
+        const [a, b] = profile.points;
+        const count = profile.original.length;
+        const unit = profile.lengthMm !== null ? 'mm' : 'px';
+        const rows = [`distance_${unit},x,y,original,processed`];
+
+        for (let i = 0; i < count; i++) {
+            const t = i / (count - 1);
+            rows.push([
+                this.getDistance(profile, i).value.toFixed(4),
+                (a.x + (b.x - a.x) * t).toFixed(2),
+                (a.y + (b.y - a.y) * t).toFixed(2),
+                profile.original[i],
+                profile.processed ? profile.processed[i].toFixed(2) : ''
+            ].join(','));
+        }
+
+        return rows.join('\n') + '\n';
+    }
+
+    /**
+     * Download the profile as a CSV file
+     */
+    exportCsv() {
+        const csv = this.toCsv();
+        if (!csv) return;
+
+        try {
+            downloadBlob(new Blob([csv], { type: 'text/csv' }), 'line-profile.csv');
+        } catch (error) {
+            console.error('Profile export failed:', error);
+            languageManager.showMessage('messages.profileExportFailed');
+        }
+    }
+
+    /**
+     * Show the profile panel with the plot for the current line, or hide it without a line
+     */
+    updatePanel() {
+        if (!this.viewer.isActive) return;
+
+        const panel = document.getElementById('profilePanel');
+        const canvas = document.getElementById('profileCanvas');
+        if (!panel || !canvas) return;
+
+        const profile = this.getProfile();
+        panel.hidden = !profile;
+        if (!profile) return;
+
+        this.drawPlot(canvas, profile);
+
+        const index = Math.round(this.marker * (profile.original.length - 1));
+        const distance = this.getDistance(profile, index);
+        const decimals = this.viewer.getWindowDecimals();
+        document.getElementById('profileReadout').textContent = languageManager.get('profile.readout', {
+            distance: distance.unit === 'mm' ? `${distance.value.toFixed(2)} mm` : `${Math.round(distance.value)} px`,
+            original: profile.original[index].toFixed(decimals),
+            processed: profile.processed ? Math.round(profile.processed[index]) : '–'
+        });
+    }
+
+    /**
+     * Plot the processed values on the 0-255 display scale (left axis) and the original values
+     * on the image's value range (right axis)
+     * @private
+     */
+    drawPlot(canvas, profile) {
+        const ctx = canvas.getContext('2d');
+        const { width, height } = canvas;
+        const image = this.viewer.originalImage;
+        const count = profile.original.length;
+
+        ctx.clearRect(0, 0, width, height);
+
+        ctx.strokeStyle = '#444444';
+        ctx.lineWidth = 0.5;
+        for (let i = 0; i <= 4; i++) {
+            const y = (i / 4) * height;
+            ctx.beginPath();
+            ctx.moveTo(0, y);
+            ctx.lineTo(width, y);
+            ctx.stroke();
+        }
+
+        const plot = (values, min, max, color) => {
+            const range = Math.max(max - min, Number.EPSILON);
+            ctx.strokeStyle = color;
+            ctx.lineWidth = 1.5;
+            ctx.beginPath();
+            for (let i = 0; i < count; i++) {
+                const x = (i / (count - 1)) * width;
+                const y = height - ((values[i] - min) / range) * height;
+                if (i === 0) {
+                    ctx.moveTo(x, y);
+                } else {
+                    ctx.lineTo(x, y);
+                }
+            }
+            ctx.stroke();
+        };
+
+        plot(profile.original, image.min, image.max, COLORS.original);
+        if (profile.processed) {
+            plot(profile.processed, 0, 255, COLORS.processed);
+        }
+
+        // Marker synced with the crosshair on the image
+        const markerX = this.marker * width;
+        ctx.strokeStyle = COLORS.marker;
+        ctx.lineWidth = 1;
+        ctx.setLineDash([3, 3]);
+        ctx.beginPath();
+        ctx.moveTo(markerX, 0);
+        ctx.lineTo(markerX, height);
+        ctx.stroke();
+        ctx.setLineDash([]);
+
+        ctx.fillStyle = '#888888';
+        ctx.font = '10px sans-serif';
+        const decimals = this.viewer.getWindowDecimals();
+        const maxLabel = image.max.toFixed(decimals);
+        ctx.fillText('255', 2, 10);
+        ctx.fillText('0', 2, height - 2);
+        ctx.fillText(maxLabel, width - ctx.measureText(maxLabel).width - 2, 10);
+        const minLabel = image.min.toFixed(decimals);
+        ctx.fillText(minLabel, width - ctx.measureText(minLabel).width - 2, height - 2);
+    }
+
+    /**
+     * Draw the profile line, the line in progress and the crosshair at the marker
+     * @param {CanvasRenderingContext2D} ctx - Overlay context
+     * @param {Object} view - Image-to-screen mapping
+     */
+    draw(ctx, view) {
+        const line = this.draft || this.line;
+        if (!line) return;
+
+        const [a, b] = line.points.map(view.toScreen);
+        ctx.strokeStyle = COLORS.line;
+        ctx.lineWidth = 2;
+        ctx.setLineDash(this.draft ? [4, 4] : []);
+        ctx.beginPath();
+        ctx.moveTo(a.x, a.y);
+        ctx.lineTo(b.x, b.y);
+        ctx.stroke();
+        ctx.setLineDash([]);
+
+        drawLabel(ctx, 'A', a.x - 14, a.y - 6, COLORS.line);
+        drawLabel(ctx, 'B', b.x + 6, b.y - 6, COLORS.line);
+
+        if (this.draft) return;
+
+        const x = a.x + (b.x - a.x) * this.marker;
+        const y = a.y + (b.y - a.y) * this.marker;
+        ctx.strokeStyle = COLORS.marker;
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(x - 12, y);
+        ctx.lineTo(x + 12, y);
+        ctx.moveTo(x, y - 12);
+        ctx.lineTo(x, y + 12);
+        ctx.stroke();
+        ctx.beginPath();
+        ctx.arc(x, y, 5, 0, Math.PI * 2);
+        ctx.stroke();
+    }
+}
+
+/**
+ * Let the user drag the marker on the profile plot and wire the panel buttons
+ * @param {RadiographViewer} viewer - Viewer instance (the active pane stand-in in split view)
+ */
+export function setupLineProfile(viewer) {
+    const canvas = document.getElementById('profileCanvas');
+    if (!canvas) return;
+
+    let dragging = false;
+
+    const moveMarker = (e) => {
+        const rect = canvas.getBoundingClientRect();
+        viewer.profile.setMarker((e.clientX - rect.left) / rect.width);
+    };
+
+    canvas.addEventListener('pointerdown', (e) => {
+        if (!viewer.profile.line) return;
+        e.preventDefault();
+        dragging = true;
+        canvas.setPointerCapture(e.pointerId);
+        moveMarker(e);
+    });
+
+    canvas.addEventListener('pointermove', (e) => {
+        if (dragging) moveMarker(e);
+    });
+
+    const endDrag = () => {
+        dragging = false;
+    };
+    canvas.addEventListener('pointerup', endDrag);
+    canvas.addEventListener('pointercancel', endDrag);
+
+    // Arrow keys step the marker one sample at a time
+    canvas.addEventListener('keydown', (e) => {
+        const profile = viewer.profile.getProfile();
+        if (!profile || (e.key !== 'ArrowLeft' && e.key !== 'ArrowRight')) return;
+        e.preventDefault();
+        e.stopPropagation();
+        const step = 1 / (profile.original.length - 1);
+        viewer.profile.setMarker(viewer.profile.marker + (e.key === 'ArrowLeft' ? -step : step));
+    });
+
+    document.getElementById('profileCsvBtn').addEventListener('click', () => viewer.profile.exportCsv());
+
+    document.getElementById('profileCloseBtn').addEventListener('click', () => {
+        viewer.profile.clear();
+        viewer.overlay.requestRender();
+        viewer.notifyStateChanged();
+    });
+
+    window.addEventListener('languageChanged', () => viewer.profile.updatePanel());
+}
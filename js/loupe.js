@@ -0,0 +1,242 @@
+/**
+ * Radiograph Image Viewer - Magnifier Loupe
+ * Lens that magnifies the image under the cursor or finger, optionally with its own processing
+ */
+
+import languageManager from './language-manager.js';
+
+export const LOUPE_SHAPES = ['circle', 'rect'];
+export const LOUPE_MAGNIFICATIONS = [2, 3, 4, 6, 8];
+
+/**
+ * Lens edge in screen pixels (diameter of the circle)
+ * @private
+ */
+const LENS_SIZE = 180;
+
+/**
+ * Edge enhancement strength used inside the lens
+ * @private
+ */
+const LENS_EDGE_STRENGTH = 5;
+
+/**
+ * Distance in screen pixels between a finger and the lens centre, so the finger doesn't cover it
+ * @private
+ */
+const TOUCH_OFFSET = LENS_SIZE * 0.75;
+
+/**
+ * Loupe class drawing a magnified part of one viewer's image in a lens above the pane.
+ * The magnification is relative to the current zoom. The lens shows the painted image, or with
+ * its own processing enabled, the display values under it inverted and/or edge-enhanced.
+ * @class
+ */
+export class Loupe {
+    /**
+     * Create the loupe of a viewer
+     * @param {RadiographViewer} viewer - Viewer instance
+     */
+    constructor(viewer) {
+        this.viewer = viewer;
+        this.enabled = false;
+        this.shape = 'circle';
+        this.magnification = 3;
+        this.invert = false;
+        this.edges = false;
+
+        // Lens position in container pixels, and the offset of the lens from it (touch)
+        this.point = null;
+        this.offsetY = 0;
+        this.renderQueued = false;
+
+        this.canvas = document.createElement('canvas');
+        this.canvas.className = 'loupe-canvas';
+        this.canvas.width = LENS_SIZE;
+        this.canvas.height = LENS_SIZE;
+        this.canvas.hidden = true;
+        this.canvas.setAttribute('aria-hidden', 'true');
+        viewer.canvas.parentElement.appendChild(this.canvas);
+        this.ctx = this.canvas.getContext('2d');
+
+        // Scratch canvas for the processed lens pixels
+        this.source = document.createElement('canvas');
+    }
+
+    /**
+     * Turn the loupe on or off
+     * @param {boolean} enabled - True to show the lens under the pointer
+     */
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        if (enabled) {
+            languageManager.showHint('hints.loupe');
+        } else {
+            this.hide();
+        }
+        this.updateControls();
+    }
+
+    /**
+     * Change lens settings
+     * @param {Object} options - Any of shape, magnification, invert, edges
+     */
+    setOptions(options) {
+        if (LOUPE_SHAPES.includes(options.shape)) this.shape = options.shape;
+        if (LOUPE_MAGNIFICATIONS.includes(options.magnification)) this.magnification = options.magnification;
+        if (typeof options.invert === 'boolean') this.invert = options.invert;
+        if (typeof options.edges === 'boolean') this.edges = options.edges;
+        this.requestRender();
+    }
+
+    /**
+     * Show the lens at a pointer position
+     * @param {number} clientX - Pointer X relative to the viewport
+     * @param {number} clientY - Pointer Y relative to the viewport
+     * @param {boolean} [touch=false] - True for a finger; the lens is then drawn above it
+     */
+    moveTo(clientX, clientY, touch = false) {
+        if (!this.enabled || !this.viewer.hasImage()) return;
+
+        const rect = this.viewer.canvas.parentElement.getBoundingClientRect();
+        this.point = { x: clientX - rect.left, y: clientY - rect.top };
+        this.offsetY = touch ? -TOUCH_OFFSET : 0;
+        this.requestRender();
+    }
+
+    /**
+     * Hide the lens until the pointer moves over the image again
+     */
+    hide() {
+        this.point = null;
+        this.canvas.hidden = true;
+    }
+
+    /**
+     * Redraw on the next animation frame, e.g. after the image was repainted or the view changed
+     */
+    requestRender() {
+        if (!this.point || this.renderQueued) return;
+
+        this.renderQueued = true;
+        requestAnimationFrame(() => {
+            this.renderQueued = false;
+            this.render();
+        });
+    }
+
+    /**
+     * Draw the lens
+     * @private
+     */
+    render() {
+        const viewer = this.viewer;
+        if (!this.point || !viewer.hasImage() || !viewer.displayData) {
+            this.canvas.hidden = true;
+            return;
+        }
+
+        // Image point under the pointer, and half the lens edge in image pixels
+        const scale = viewer.zoom * this.magnification;
+        const imageX = (this.point.x - viewer.panX) / viewer.zoom;
+        const imageY = (this.point.y - viewer.panY) / viewer.zoom;
+        const half = LENS_SIZE / 2 / scale;
+
+        const ctx = this.ctx;
+        ctx.clearRect(0, 0, LENS_SIZE, LENS_SIZE);
+        ctx.save();
+
+        ctx.beginPath();
+        if (this.shape === 'circle') {
+            ctx.arc(LENS_SIZE / 2, LENS_SIZE / 2, LENS_SIZE / 2 - 1, 0, Math.PI * 2);
+        } else {
+            ctx.rect(1, 1, LENS_SIZE - 2, LENS_SIZE - 2);
+        }
+        ctx.fillStyle = '#000000';
+        ctx.fill();
+        ctx.clip();
+
+        // Magnified pixels stay square instead of blurring
+        ctx.imageSmoothingEnabled = false;
+
+        if (this.invert || this.edges) {
+            this.drawProcessed(ctx, imageX - half, imageY - half, half * 2, scale);
+        } else {
+            ctx.drawImage(viewer.canvas, imageX - half, imageY - half, half * 2, half * 2,
+                0, 0, LENS_SIZE, LENS_SIZE);
+        }
+
+        ctx.restore();
+
+        ctx.strokeStyle = '#00A9E0';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        if (this.shape === 'circle') {
+            ctx.arc(LENS_SIZE / 2, LENS_SIZE / 2, LENS_SIZE / 2 - 1, 0, Math.PI * 2);
+        } else {
+            ctx.rect(1, 1, LENS_SIZE - 2, LENS_SIZE - 2);
+        }
+        ctx.stroke();
+
+        const left = this.point.x - LENS_SIZE / 2;
+        const top = this.point.y + this.offsetY - LENS_SIZE / 2;
+        this.canvas.style.transform = `translate(${left}px, ${top}px)`;
+        this.canvas.hidden = false;
+    }
+
+    /**
+     * Process the display values under the lens and draw them magnified
+     * @private
+     */
+    drawProcessed(ctx, x, y, size, scale) {
+        const viewer = this.viewer;
+        const { width, height } = viewer.originalImage;
+
+        // One pixel of margin so the edge filter has neighbours at the lens border
+        const left = Math.max(0, Math.floor(x) - 1);
+        const top = Math.max(0, Math.floor(y) - 1);
+        const right = Math.min(width, Math.ceil(x + size) + 1);
+        const bottom = Math.min(height, Math.ceil(y + size) + 1);
+        const regionWidth = right - left;
+        const regionHeight = bottom - top;
+        if (regionWidth <= 0 || regionHeight <= 0) return;
+
+        let values = new Float32Array(regionWidth * regionHeight);
+        for (let row = 0; row < regionHeight; row++) {
+            const start = (top + row) * width + left;
+            values.set(viewer.displayData.subarray(start, start + regionWidth), row * regionWidth);
+        }
+
+        const processor = viewer.imageProcessor;
+        if (this.invert) {
+            processor.applyInversion(values);
+        }
+        if (this.edges) {
+            values = processor.applyEdgeEnhancement(values, regionWidth, regionHeight, LENS_EDGE_STRENGTH);
+        }
+
+        this.source.width = regionWidth;
+        this.source.height = regionHeight;
+        this.source.getContext('2d').putImageData(
+            processor.toImageData(values, regionWidth, regionHeight, null, viewer.colorMapLut), 0, 0);
+
+        ctx.drawImage(this.source, (left - x) * scale, (top - y) * scale, regionWidth * scale, regionHeight * scale);
+    }
+
+    /**
+     * Update the loupe controls in the header
+     */
+    updateControls() {
+        if (!this.viewer.isActive) return;
+
+        const button = document.getElementById('loupeBtn');
+        if (!button) return;
+
+        button.classList.toggle('active', this.enabled);
+        button.setAttribute('aria-pressed', this.enabled ? 'true' : 'false');
+        document.getElementById('loupeShape').value = this.shape;
+        document.getElementById('loupeZoom').value = String(this.magnification);
+        document.getElementById('loupeInvert').checked = this.invert;
+        document.getElementById('loupeEdges').checked = this.edges;
+    }
+}
@@ -0,0 +1,334 @@
+/**
+ * Radiograph Image Viewer - Measurement Tools
+ * Calibrated length, polyline and angle measurements drawn on the overlay
+ */
+
+import languageManager from './language-manager.js';
+import { drawLabel, screenDistance } from './overlay.js';
+
+/**
+ * Screen distance in pixels within which a click counts as hitting a vertex
+ * @private
+ */
+const SNAP_DISTANCE = 10;
+
+/**
+ * Number of points that complete each measurement type
+ * @private
+ */
+const POINT_COUNTS = {
+    line: 2,
+    calibrate: 2,
+    angle: 3,
+    polyline: Infinity
+};
+
+const COLORS = {
+    measurement: '#ffcc00',
+    calibration: '#00A9E0',
+    draft: '#ffffff'
+};
+
+/**
+ * MeasurementLayer class holding the measurements of the current image.
+ * Points are stored in image pixel coordinates.
+ * @class
+ */
+export class MeasurementLayer {
+    /**
+     * Create a new measurement layer
+     * @param {RadiographViewer} viewer - Viewer instance
+     */
+    constructor(viewer) {
+        this.viewer = viewer;
+        this.tools = ['line', 'polyline', 'angle', 'calibrate'];
+        this.measurements = [];
+        this.calibration = null;
+        this.draft = null;
+    }
+
+    /**
+     * Remove all measurements and any calibration line
+     */
+    reset() {
+        this.measurements = [];
+        this.calibration = null;
+        this.draft = null;
+    }
+
+    /**
+     * Remove all measurements, keeping the calibration
+     */
+    clear() {
+        this.measurements = [];
+        this.draft = null;
+    }
+
+    /**
+     * Get a copy of the measurements and calibration line
+     * @returns {{measurements: Array<Object>, calibration: Object|null}} Measurement state
+     */
+    getState() {
+        return JSON.parse(JSON.stringify({
+            measurements: this.measurements,
+            calibration: this.calibration
+        }));
+    }
+
+    /**
+     * Replace the measurements and calibration line
+     * @param {{measurements: Array<Object>, calibration: Object|null}} state - State from getState()
+     */
+    setState(state) {
+        const copy = JSON.parse(JSON.stringify(state));
+        this.measurements = Array.isArray(copy.measurements) ? copy.measurements : [];
+        this.calibration = copy.calibration || null;
+        this.draft = null;
+    }
+
+    /**
+     * Move the measured points along with the image
+     * @param {Function} map - Maps an {x, y} image point to its new position
+     */
+    mapPoints(map) {
+        this.measurements.forEach(measurement => {
+            measurement.points = measurement.points.map(map);
+        });
+        if (this.calibration) {
+            this.calibration.points = this.calibration.points.map(map);
+        }
+        this.draft = null;
+    }
+
+    /**
+     * Abandon the measurement in progress
+     */
+    cancel() {
+        this.draft = null;
+    }
+
+    onPointerDown(tool, point) {
+        if (!this.draft || this.draft.type !== tool) {
+            this.draft = { type: tool, points: [point], cursor: point, pressed: true };
+            return;
+        }
+
+        // Clicking the last vertex again finishes a polyline (works for touch as well)
+        if (tool === 'polyline' && this.draft.points.length >= 2 &&
+            screenDistance(this.viewer, point, this.draft.points[this.draft.points.length - 1]) < SNAP_DISTANCE) {
+            this.finishDraft();
+            return;
+        }
+
+        this.draft.pressed = true;
+        this.addDraftPoint(point);
+    }
+
+    onPointerMove(tool, point, isDown) {
+        if (!this.draft) return;
+        this.draft.cursor = point;
+        this.draft.dragged = isDown && this.draft.pressed;
+    }
+
+    onPointerUp(tool, point) {
+        if (!this.draft) return;
+
+        // Press-drag-release places the next point where the drag ended
+        const last = this.draft.points[this.draft.points.length - 1];
+        if (this.draft.dragged && screenDistance(this.viewer, point, last) >= SNAP_DISTANCE) {
+            this.addDraftPoint(point);
+        }
+
+        if (this.draft) {
+            this.draft.pressed = false;
+            this.draft.dragged = false;
+        }
+    }
+
+    onDoubleClick(tool) {
+        if (tool === 'polyline' && this.draft) {
+            this.finishDraft();
+        }
+    }
+
+    onKeyDown(tool, e) {
+        if (!this.draft) return false;
+
+        if (e.key === 'Enter' && tool === 'polyline') {
+            this.finishDraft();
+            return true;
+        }
+
+        if (e.key === 'Escape') {
+            this.cancel();
+            return true;
+        }
+
+        return false;
+    }
+
+    /**
+     * Add a point to the measurement in progress and complete it if it has enough points
+     * @private
+     */
+    addDraftPoint(point) {
+        this.draft.points.push(point);
+        if (this.draft.points.length >= POINT_COUNTS[this.draft.type]) {
+            this.finishDraft();
+        }
+    }
+
+    /**
+     * Store the measurement in progress
+     * @private
+     */
+    finishDraft() {
+        const draft = this.draft;
+        this.draft = null;
+
+        // A double click adds the same point twice; drop repeated vertices
+        const points = draft.points.filter((p, i) =>
+            i === 0 || p.x !== draft.points[i - 1].x || p.y !== draft.points[i - 1].y);
+
+        if (points.length < 2) return;
+
+        if (draft.type === 'calibrate') {
+            this.calibrate(points);
+            return;
+        }
+
+        this.measurements.push({ type: draft.type, points });
+        this.viewer.announceToScreenReader(this.describe({ type: draft.type, points }));
+    }
+
+    /**
+     * Ask for the real length of a calibration line and set the viewer's pixel spacing
+     * @private
+     * @param {Array<{x: number, y: number}>} points - Calibration line end points
+     */
+    calibrate(points) {
+        const pixels = Math.hypot(points[1].x - points[0].x, points[1].y - points[0].y);
+        if (pixels === 0) return;
+
+        const answer = window.prompt(languageManager.get('prompts.calibrationLength'), '5');
+        if (answer === null) return;
+
+        const lengthMm = parseFloat(answer.replace(',', '.'));
+        if (isNaN(lengthMm) || lengthMm <= 0) {
+            languageManager.showMessage('messages.invalidCalibration');
+            return;
+        }
+
+        this.calibration = { points, lengthMm };
+        this.viewer.setPixelSpacing(lengthMm / pixels, 'calibration');
+    }
+
+    /**
+     * Length of a path in millimetres if calibrated, else in pixels
+     * @param {Array<{x: number, y: number}>} points - Path vertices in image coordinates
+     * @returns {{value: number, unit: string}} Length
+     */
+    measureLength(points) {
+        const spacing = this.viewer.pixelSpacing;
+        let length = 0;
+
+        for (let i = 1; i < points.length; i++) {
+            const dx = points[i].x - points[i - 1].x;
+            const dy = points[i].y - points[i - 1].y;
+            length += spacing
+                ? Math.hypot(dx * spacing.column, dy * spacing.row)
+                : Math.hypot(dx, dy);
+        }
+
+        return { value: length, unit: spacing ? 'mm' : 'px' };
+    }
+
+    /**
+     * Angle at the middle vertex in degrees, in physical space if the spacing is anisotropic
+     * @param {Array<{x: number, y: number}>} points - Arm end, vertex, arm end
+     * @returns {number} Angle between 0 and 180
+     */
+    measureAngle(points) {
+        const spacing = this.viewer.pixelSpacing || { row: 1, column: 1 };
+        const [a, b, c] = points;
+        const ux = (a.x - b.x) * spacing.column;
+        const uy = (a.y - b.y) * spacing.row;
+        const vx = (c.x - b.x) * spacing.column;
+        const vy = (c.y - b.y) * spacing.row;
+
+        const angle = Math.atan2(Math.abs(ux * vy - uy * vx), ux * vx + uy * vy);
+        return angle * 180 / Math.PI;
+    }
+
+    /**
+     * Format a measurement for display
+     * @param {Object} measurement - Measurement with type and points
+     * @returns {string} Label text
+     */
+    describe(measurement) {
+        if (measurement.type === 'angle') {
+            return measurement.points.length === 3
+                ? `${this.measureAngle(measurement.points).toFixed(1)}°`
+                : '';
+        }
+
+        const { value, unit } = this.measureLength(measurement.points);
+        return unit === 'mm' ? `${value.toFixed(2)} mm` : `${Math.round(value)} px`;
+    }
+
+    /**
+     * Draw measurements, the calibration line and the measurement in progress
+     * @param {CanvasRenderingContext2D} ctx - Overlay context
+     * @param {Object} view - Image-to-screen mapping
+     */
+    draw(ctx, view) {
+        if (this.calibration) {
+            const label = `${this.calibration.lengthMm} mm (${languageManager.get('labels.calibration')})`;
+            this.drawPath(ctx, view, this.calibration.points, COLORS.calibration, label, [6, 4]);
+        }
+
+        this.measurements.forEach(measurement => {
+            this.drawPath(ctx, view, measurement.points, COLORS.measurement, this.describe(measurement));
+        });
+
+        if (this.draft) {
+            const points = [...this.draft.points, this.draft.cursor];
+            const label = this.draft.type === 'calibrate' ? '' : this.describe({ type: this.draft.type, points });
+            this.drawPath(ctx, view, points, COLORS.draft, label, [4, 4]);
+        }
+    }
+
+    /**
+     * Draw a path with vertex markers and a label next to its last vertex
+     * (or at the vertex for angles)
+     * @private
+     */
+    drawPath(ctx, view, points, color, label, dash = []) {
+        const screenPoints = points.map(view.toScreen);
+
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 2;
+        ctx.setLineDash(dash);
+        ctx.beginPath();
+        screenPoints.forEach((p, i) => {
+            if (i === 0) ctx.moveTo(p.x, p.y);
+            else ctx.lineTo(p.x, p.y);
+        });
+        ctx.stroke();
+        ctx.setLineDash([]);
+
+        ctx.fillStyle = color;
+        screenPoints.forEach(p => {
+            ctx.beginPath();
+            ctx.arc(p.x, p.y, 3, 0, Math.PI * 2);
+            ctx.fill();
+        });
+
+        if (label) {
+            const anchor = points.length === 3 && label.endsWith('°')
+                ? screenPoints[1]
+                : screenPoints[screenPoints.length - 1];
+            drawLabel(ctx, label, anchor.x + 8, anchor.y - 8, color);
+        }
+    }
+}
@@ -0,0 +1,156 @@
+/**
+ * Radiograph Image Viewer - Offline Library
+ * Registers the service worker and keeps library cases available offline in the Cache Storage
+ *
+ * The service worker (sw.js) caches the app shell, languages.json and file_list.json by itself and
+ * serves library images from OFFLINE_CACHE when they are there. Which cases are in that cache is
+ * up to the user, since a full library can be larger than a phone should hold.
+ */
+
+// Must match IMAGE_CACHE in sw.js
+export const OFFLINE_CACHE = 'offline-images';
+
+/**
+ * Check whether the page can use a service worker. Pages opened from file:// can't, and
+ * neither can insecure origins other than localhost.
+ * @returns {boolean} True if offline use is possible
+ */
+export function isOfflineSupported() {
+    return window.location.protocol !== 'file:' &&
+        'serviceWorker' in navigator &&
+        typeof caches !== 'undefined';
+}
+
+/**
+ * Register the service worker
+ * @returns {Promise<ServiceWorkerRegistration|null>} Registration, null if unsupported or failed
+ */
+export async function registerServiceWorker() {
+    if (!isOfflineSupported()) return null;
+
+    try {
+        return await navigator.serviceWorker.register('./sw.js');
+    } catch (error) {
+        console.warn('Service worker registration failed:', error);
+        return null;
+    }
+}
+
+/**
+ * Get the image URLs a case needs: its image, or every image of a mounting exercise
+ * @param {CaseEntry} entry - Manifest entry
+ * @returns {Array<string>} Absolute URLs
+ */
+export function getEntryUrls(entry) {
+    const files = entry.mount ? entry.mount.images.map(image => image.file) : [entry.file];
+    return files.map(file => new URL(`./images/${file}`, window.location.href).href);
+}
+
+/**
+ * Format a byte count for the storage report
+ * @param {number} bytes - Byte count
+ * @returns {string} e.g. "12.3 MB"
+ */
+export function formatBytes(bytes) {
+    const units = ['B', 'kB', 'MB', 'GB'];
+    let value = bytes;
+    let unit = 0;
+
+    while (value >= 1000 && unit < units.length - 1) {
+        value /= 1000;
+        unit++;
+    }
+
+    return `${unit === 0 ? value : value.toFixed(1)} ${units[unit]}`;
+}
+
+/**
+ * OfflineLibrary class adding cases to and removing them from the offline cache
+ * @class
+ */
+export class OfflineLibrary {
+    /**
+     * Create the library; use only where isOfflineSupported()
+     */
+    constructor() {
+        this.persistRequested = false;
+    }
+
+    /**
+     * Open the offline cache
+     * @private
+     * @returns {Promise<Cache>} Cache
+     */
+    open() {
+        return caches.open(OFFLINE_CACHE);
+    }
+
+    /**
+     * Check whether every image of a case is cached
+     * @param {CaseEntry} entry - Manifest entry
+     * @returns {Promise<boolean>} True if the case opens offline
+     */
+    async isAvailable(entry) {
+        const cache = await this.open();
+        const matches = await Promise.all(getEntryUrls(entry).map(url => cache.match(url)));
+        return matches.every(Boolean);
+    }
+
+    /**
+     * Download the images of a case into the offline cache
+     * @param {CaseEntry} entry - Manifest entry
+     * @returns {Promise<void>} Rejects if an image can't be downloaded or the storage is full
+     */
+    async add(entry) {
+        // Ask once that the browser doesn't clear the cache when space runs low
+        if (!this.persistRequested && navigator.storage && navigator.storage.persist) {
+            this.persistRequested = true;
+            try {
+                await navigator.storage.persist();
+            } catch (error) {
+                console.warn('Persistent storage not granted:', error);
+            }
+        }
+
+        const cache = await this.open();
+        await cache.addAll(getEntryUrls(entry));
+    }
+
+    /**
+     * Remove the images of a case from the offline cache
+     * @param {CaseEntry} entry - Manifest entry
+     * @returns {Promise<void>}
+     */
+    async remove(entry) {
+        const cache = await this.open();
+        await Promise.all(getEntryUrls(entry).map(url => cache.delete(url)));
+    }
+
+    /**
+     * Remove all offline images
+     * @returns {Promise<void>}
+     */
+    async clear() {
+        await caches.delete(OFFLINE_CACHE);
+    }
+
+    /**
+     * Report the offline images and the storage used by the site
+     * @returns {Promise<{count: number, usage: number|null, quota: number|null}>} Number of cached
+     *     images, and bytes used and available to the site where the browser reports them
+     */
+    async getUsage() {
+        const cache = await this.open();
+        const count = (await cache.keys()).length;
+
+        let usage = null;
+        let quota = null;
+        if (navigator.storage && navigator.storage.estimate) {
+            const estimate = await navigator.storage.estimate();
+            usage = estimate.usage;
+            quota = estimate.quota;
+        }
+
+        return { count, usage, quota };
+    }
+}
@@ -0,0 +1,268 @@
+/**
+ * Radiograph Image Viewer - Overlay Module
+ * Screen-space canvas above the image for measurements and other vector layers
+ */
+
+/**
+ * Screen distance in pixels a drag must cover before it counts, e.g. to tell a drawn line from a click
+ */
+export const MIN_DRAG = 10;
+
+/**
+ * Overlay class that draws layers stored in image coordinates on top of the image canvas.
+ * The overlay is redrawn whenever zoom or pan changes, so lines and labels stay crisp
+ * and at a constant screen size instead of being scaled with the image.
+ * @class
+ */
+export class Overlay {
+    /**
+     * Create a new overlay for a viewer
+     * @param {RadiographViewer} viewer - Viewer instance
+     */
+    constructor(viewer) {
+        this.viewer = viewer;
+        this.layers = [];
+        this.activeTool = null;
+        this.activeLayer = null;
+        this.renderQueued = false;
+
+        this.canvas = document.createElement('canvas');
+        this.canvas.className = 'overlay-canvas';
+        this.canvas.setAttribute('aria-hidden', 'true');
+        viewer.canvas.parentElement.appendChild(this.canvas);
+        this.ctx = this.canvas.getContext('2d');
+    }
+
+    /**
+     * Add a layer. Layers are drawn in the order they were added.
+     * @param {Object} layer - Layer with a draw(ctx, view) method and a list of tool names
+     * @returns {Object} The layer
+     */
+    addLayer(layer) {
+        this.layers.push(layer);
+        return layer;
+    }
+
+    /**
+     * Remove a layer, deactivating its tool if one is active
+     * @param {Object} layer - Layer added with addLayer()
+     */
+    removeLayer(layer) {
+        if (this.activeLayer === layer) {
+            this.setTool(null);
+        }
+
+        this.layers = this.layers.filter(l => l !== layer);
+        this.requestRender();
+    }
+
+    /**
+     * Activate a tool by name, or deactivate tools with null
+     * @param {string|null} name - Tool name provided by one of the layers
+     */
+    setTool(name) {
+        if (this.activeLayer && this.activeLayer.cancel) {
+            this.activeLayer.cancel();
+        }
+
+        this.activeTool = null;
+        this.activeLayer = null;
+
+        if (name) {
+            const layer = this.layers.find(l => l.tools && l.tools.includes(name));
+            if (layer) {
+                this.activeTool = name;
+                this.activeLayer = layer;
+            }
+        }
+
+        this.viewer.canvas.classList.toggle('tool-active', this.activeTool !== null);
+        this.requestRender();
+    }
+
+    /**
+     * Check if a tool is active
+     * @returns {boolean} True if pointer input should go to the overlay
+     */
+    hasActiveTool() {
+        return this.activeTool !== null && this.viewer.hasImage();
+    }
+
+    /**
+     * Forward a pointer press to the active tool
+     * @param {number} clientX - Pointer X in client coordinates
+     * @param {number} clientY - Pointer Y in client coordinates
+     * @returns {boolean} False if the tool ignored the press (it may then pan the image)
+     */
+    pointerDown(clientX, clientY) {
+        if (!this.hasActiveTool()) return false;
+        this.lastPoint = this.viewer.clientToImage(clientX, clientY);
+        const handled = this.activeLayer.onPointerDown(this.activeTool, this.lastPoint);
+        this.requestRender();
+        return handled !== false;
+    }
+
+    /**
+     * Forward a pointer move to the active tool
+     * @param {number} clientX - Pointer X in client coordinates
+     * @param {number} clientY - Pointer Y in client coordinates
+     * @param {boolean} isDown - True while a button or finger is pressed
+     */
+    pointerMove(clientX, clientY, isDown) {
+        if (!this.hasActiveTool()) return;
+        this.lastPoint = this.viewer.clientToImage(clientX, clientY);
+        this.activeLayer.onPointerMove(this.activeTool, this.lastPoint, isDown);
+        this.requestRender();
+    }
+
+    /**
+     * Forward a pointer release to the active tool
+     * @param {number} [clientX] - Pointer X, the last known point is used if omitted
+     * @param {number} [clientY] - Pointer Y
+     */
+    pointerUp(clientX, clientY) {
+        if (!this.hasActiveTool()) return;
+        if (clientX !== undefined) {
+            this.lastPoint = this.viewer.clientToImage(clientX, clientY);
+        }
+        if (this.lastPoint) {
+            this.activeLayer.onPointerUp(this.activeTool, this.lastPoint);
+        }
+        this.requestRender();
+        this.viewer.notifyStateChanged();
+    }
+
+    /**
+     * Forward a double click to the active tool
+     * @param {number} clientX - Pointer X in client coordinates
+     * @param {number} clientY - Pointer Y in client coordinates
+     */
+    doubleClick(clientX, clientY) {
+        if (!this.hasActiveTool() || !this.activeLayer.onDoubleClick) return;
+        this.activeLayer.onDoubleClick(this.activeTool, this.viewer.clientToImage(clientX, clientY));
+        this.requestRender();
+        this.viewer.notifyStateChanged();
+    }
+
+    /**
+     * Let the active tool handle a key press
+     * @param {KeyboardEvent} e - Key event
+     * @returns {boolean} True if the key was handled
+     */
+    keyDown(e) {
+        if (!this.hasActiveTool() || !this.activeLayer.onKeyDown) return false;
+        const handled = this.activeLayer.onKeyDown(this.activeTool, e);
+        if (handled) {
+            this.requestRender();
+            this.viewer.notifyStateChanged();
+        }
+        return handled;
+    }
+
+    /**
+     * Reset all layers for a newly loaded image
+     */
+    reset() {
+        this.layers.forEach(layer => {
+            if (layer.reset) layer.reset();
+        });
+        this.requestRender();
+    }
+
+    /**
+     * Move the points of all layers, e.g. after the image was rotated or cropped
+     * @param {Function} map - Maps an {x, y} image point to its new position
+     */
+    mapPoints(map) {
+        this.layers.forEach(layer => {
+            if (layer.mapPoints) layer.mapPoints(map);
+        });
+        this.requestRender();
+    }
+
+    /**
+     * Schedule a redraw on the next animation frame
+     */
+    requestRender() {
+        if (this.renderQueued) return;
+        this.renderQueued = true;
+
+        requestAnimationFrame(() => {
+            this.renderQueued = false;
+            this.render();
+        });
+    }
+
+    /**
+     * Redraw all layers immediately
+     */
+    render() {
+        const container = this.canvas.parentElement;
+        const ratio = window.devicePixelRatio || 1;
+        const width = container.clientWidth;
+        const height = container.clientHeight;
+
+        // Match the backing store to the container and device pixel ratio
+        if (this.canvas.width !== Math.round(width * ratio) || this.canvas.height !== Math.round(height * ratio)) {
+            this.canvas.width = Math.round(width * ratio);
+            this.canvas.height = Math.round(height * ratio);
+        }
+
+        const ctx = this.ctx;
+        ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+        ctx.clearRect(0, 0, width, height);
+
+        if (!this.viewer.hasImage()) return;
+
+        const view = this.getView();
+        this.layers.forEach(layer => {
+            ctx.save();
+            layer.draw(ctx, view);
+            ctx.restore();
+        });
+    }
+
+    /**
+     * Get the current image-to-screen mapping
+     * @returns {Object} View with zoom, line scale and conversion helpers
+     */
+    getView() {
+        const viewer = this.viewer;
+        return {
+            zoom: viewer.zoom,
+            scale: 1,
+            activeTool: this.activeTool,
+            toScreen: (point) => viewer.imageToContainer(point.x, point.y),
+            fromSource: (point) => viewer.fromSourcePoint(point)
+        };
+    }
+}
+
+/**
+ * Draw a text label with a dark background box, for readability on any image
+ * @param {CanvasRenderingContext2D} ctx - Overlay context
+ * @param {string} text - Label text
+ * @param {number} x - Left edge in screen coordinates
+ * @param {number} y - Baseline in screen coordinates
+ * @param {string} color - Text color
+ */
+export function drawLabel(ctx, text, x, y, color) {
+    ctx.font = '12px sans-serif';
+    const width = ctx.measureText(text).width;
+
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.75)';
+    ctx.fillRect(x - 3, y - 12, width + 6, 16);
+    ctx.fillStyle = color;
+    ctx.fillText(text, x, y);
+}
+
+/**
+ * Distance between two image points in screen pixels, for hit tests and snapping
+ * @param {RadiographViewer} viewer - Viewer whose zoom applies
+ * @param {{x: number, y: number}} a - Image point
+ * @param {{x: number, y: number}} b - Image point
+ * @returns {number} Distance in screen pixels
+ */
+export function screenDistance(viewer, a, b) {
+    return Math.hypot(a.x - b.x, a.y - b.y) * viewer.zoom;
+}
@@ -0,0 +1,40 @@
+/**
+ * Radiograph Image Viewer - Processing Worker
+ * Runs ImageProcessor.process off the main thread so pan and zoom stay smooth on large images
+ *
+ * Messages from WorkerProcessor:
+ *   { type: 'image', image }                  Source image for the following jobs
+ *   { type: 'process', jobId, params }        Process the source image
+ * Replies:
+ *   { type: 'result', jobId, values, info }   Display values (buffer transferred) and intermediate results
+ *   { type: 'error', jobId, message }         Processing failed
+ */
+
+import { ImageProcessor } from './image-processor.js';
+
+const processor = new ImageProcessor();
+let image = null;
+
+self.addEventListener('message', (e) => {
+    const message = e.data;
+
+    switch (message.type) {
+        case 'image':
+            image = message.image;
+            break;
+
+        case 'process':
+            try {
+                if (!image) {
+                    throw new Error('No image to process');
+                }
+
+                const info = {};
+                const values = processor.process(image, message.params, info);
+                self.postMessage({ type: 'result', jobId: message.jobId, values, info }, [values.buffer]);
+            } catch (error) {
+                self.postMessage({ type: 'error', jobId: message.jobId, message: error.message });
+            }
+            break;
+    }
+});
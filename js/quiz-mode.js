@@ -0,0 +1,489 @@
+/**
+ * Radiograph Image Viewer - Case and Quiz Mode
+ * Shows case details from the manifest and runs its quiz questions for students
+ */
+
+import languageManager from './language-manager.js';
+import { isCorrectAnswer } from './case-manifest.js';
+import { createElement } from './utils.js';
+
+const COLORS = {
+    region: '#33cc66',
+    pending: '#ffffff',
+    correct: '#33cc66',
+    incorrect: '#ff4d4d'
+};
+
+/**
+ * Overlay layer for "click on the lesion" questions.
+ * Captures the student's click and reveals the answer regions after submission.
+ * @class
+ */
+export class QuizLayer {
+    /**
+     * Create a new quiz layer
+     * @param {QuizMode} quiz - Quiz controller notified of clicks and resets
+     */
+    constructor(quiz) {
+        this.quiz = quiz;
+        this.tools = ['locate'];
+        this.answer = null;
+        this.regions = null;
+        this.correct = null;
+    }
+
+    /**
+     * Remove the marker and hide the regions
+     */
+    clear() {
+        this.answer = null;
+        this.regions = null;
+        this.correct = null;
+    }
+
+    /**
+     * A new image was loaded, so any running quiz belongs to the previous image
+     */
+    reset() {
+        this.clear();
+        this.quiz.end();
+    }
+
+    onPointerDown(tool, point) {
+        // The answer is locked once submitted
+        if (this.regions) return true;
+
+        this.answer = point;
+        this.quiz.onLocate(point);
+        return true;
+    }
+
+    onPointerMove() {}
+
+    onPointerUp() {}
+
+    /**
+     * Move the answer marker along with the image
+     * @param {Function} map - Maps an {x, y} image point to its new position
+     */
+    mapPoints(map) {
+        if (this.answer) {
+            this.answer = map(this.answer);
+        }
+    }
+
+    /**
+     * Show the answer regions and mark the answer as right or wrong
+     * @param {Array<Object>} regions - Answer regions in the coordinates of the loaded file
+     * @param {boolean} correct - Whether the answer was inside a region
+     */
+    reveal(regions, correct) {
+        this.regions = regions;
+        this.correct = correct;
+    }
+
+    draw(ctx, view) {
+        if (this.regions) {
+            ctx.strokeStyle = COLORS.region;
+            ctx.fillStyle = 'rgba(51, 204, 102, 0.15)';
+            ctx.lineWidth = 2;
+            ctx.setLineDash([6, 4]);
+            this.regions.forEach(region => {
+                this.traceRegion(ctx, view, region);
+                ctx.fill();
+                ctx.stroke();
+            });
+            ctx.setLineDash([]);
+        }
+
+        if (this.answer) {
+            const p = view.toScreen(this.answer);
+            const color = this.correct === null
+                ? COLORS.pending
+                : (this.correct ? COLORS.correct : COLORS.incorrect);
+
+            ctx.strokeStyle = color;
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            ctx.arc(p.x, p.y, 8, 0, Math.PI * 2);
+            ctx.moveTo(p.x - 14, p.y);
+            ctx.lineTo(p.x + 14, p.y);
+            ctx.moveTo(p.x, p.y - 14);
+            ctx.lineTo(p.x, p.y + 14);
+            ctx.stroke();
+        }
+    }
+
+    /**
+     * Build the path of an answer region in screen coordinates.
+     * Regions are given for the file as loaded, so they follow any rotation, flip or crop.
+     * @private
+     */
+    traceRegion(ctx, view, region) {
+        const zoom = view.zoom;
+        const toScreen = (point) => view.toScreen(view.fromSource(point));
+        ctx.beginPath();
+
+        switch (region.shape) {
+            case 'circle': {
+                const c = toScreen(region);
+                ctx.arc(c.x, c.y, region.r * zoom, 0, Math.PI * 2);
+                break;
+            }
+            case 'ellipse': {
+                // The ellipse turns with the image
+                const c = toScreen(region);
+                const axis = toScreen({ x: region.x + 1, y: region.y });
+                const rotation = Math.atan2(axis.y - c.y, axis.x - c.x);
+                ctx.ellipse(c.x, c.y, region.rx * zoom, region.ry * zoom, rotation, 0, Math.PI * 2);
+                break;
+            }
+            case 'rect': {
+                const corners = [
+                    { x: region.x, y: region.y },
+                    { x: region.x + region.width, y: region.y },
+                    { x: region.x + region.width, y: region.y + region.height },
+                    { x: region.x, y: region.y + region.height }
+                ];
+                corners.map(toScreen).forEach((p, i) => {
+                    if (i === 0) ctx.moveTo(p.x, p.y);
+                    else ctx.lineTo(p.x, p.y);
+                });
+                ctx.closePath();
+                break;
+            }
+            case 'polygon':
+                region.points.forEach(([x, y], i) => {
+                    const p = toScreen({ x, y });
+                    if (i === 0) ctx.moveTo(p.x, p.y);
+                    else ctx.lineTo(p.x, p.y);
+                });
+                ctx.closePath();
+                break;
+        }
+    }
+}
+
+/**
+ * QuizMode class driving the case panel: case details, questions, feedback and score
+ * @class
+ */
+export class QuizMode {
+    /**
+     * Create the quiz controller
+     * @param {RadiographViewer} viewer - Viewer instance
+     */
+    constructor(viewer) {
+        this.viewer = viewer;
+        this.panel = document.getElementById('casePanel');
+
+        // Overlay of the pane showing the case; in split view that is the pane it was loaded into
+        this.overlay = viewer.overlay;
+        this.layer = this.overlay.addLayer(new QuizLayer(this));
+        this.entry = null;
+        this.quiz = null;
+
+        window.addEventListener('languageChanged', () => this.render());
+    }
+
+    /**
+     * Show the case panel for a manifest entry; plain filenames have nothing to show
+     * @param {CaseEntry} entry - Loaded case
+     */
+    showCase(entry) {
+        const overlay = this.viewer.overlay;
+        if (overlay !== this.overlay) {
+            this.layer.clear();
+            this.overlay.removeLayer(this.layer);
+            this.overlay = overlay;
+            this.overlay.addLayer(this.layer);
+        }
+
+        this.entry = entry;
+        this.quiz = null;
+        this.render();
+    }
+
+    /**
+     * Start the quiz of the current case
+     */
+    start() {
+        if (!this.entry || this.entry.questions.length === 0) return;
+
+        this.quiz = { index: 0, score: 0, selection: null, submitted: false, finished: false };
+        this.showQuestion();
+    }
+
+    /**
+     * Close the panel and stop any running quiz
+     */
+    end() {
+        if (this.quiz && this.overlay.activeTool === 'locate') {
+            this.overlay.setTool(null);
+        }
+
+        this.entry = null;
+        this.quiz = null;
+        this.layer.clear();
+        this.render();
+    }
+
+    /**
+     * Record the student's click for a locate question
+     * @param {{x: number, y: number}} point - Clicked point in image coordinates
+     */
+    onLocate(point) {
+        if (!this.quiz || this.quiz.submitted) return;
+
+        // Answer regions are given for the file as loaded, before any rotation, flip or crop
+        this.quiz.selection = this.overlay.viewer.toSourcePoint(point);
+        this.render();
+    }
+
+    /**
+     * Get the current question
+     * @private
+     */
+    currentQuestion() {
+        return this.entry.questions[this.quiz.index];
+    }
+
+    /**
+     * Prepare the overlay for the current question
+     * @private
+     */
+    showQuestion() {
+        this.layer.clear();
+        this.quiz.selection = null;
+        this.quiz.submitted = false;
+
+        const locate = this.currentQuestion().type === 'locate';
+        this.overlay.setTool(locate ? 'locate' : null);
+
+        // Measurement and annotation tools are not available while a question captures clicks
+        const toolSelect = document.getElementById('toolSelect');
+        if (toolSelect) toolSelect.value = '';
+
+        this.render();
+        this.overlay.requestRender();
+    }
+
+    /**
+     * Score the selected answer and reveal the solution
+     * @private
+     */
+    submit() {
+        const question = this.currentQuestion();
+        if (this.quiz.selection === null) return;
+
+        const correct = isCorrectAnswer(question, this.quiz.selection);
+        this.quiz.submitted = true;
+        this.quiz.correct = correct;
+        if (correct) this.quiz.score++;
+
+        if (question.type === 'locate') {
+            this.layer.reveal(question.regions, correct);
+            this.overlay.requestRender();
+        }
+
+        this.viewer.announceToScreenReader(languageManager.get(correct ? 'quiz.correct' : 'quiz.incorrect'));
+        this.render();
+    }
+
+    /**
+     * Go to the next question or the result
+     * @private
+     */
+    next() {
+        this.quiz.index++;
+
+        if (this.quiz.index >= this.entry.questions.length) {
+            this.quiz.finished = true;
+            this.layer.clear();
+            this.overlay.setTool(null);
+            this.overlay.requestRender();
+            this.viewer.announceToScreenReader(languageManager.get('quiz.score', {
+                score: this.quiz.score,
+                total: this.entry.questions.length
+            }));
+            this.render();
+            return;
+        }
+
+        this.showQuestion();
+    }
+
+    /**
+     * Rebuild the panel for the current state
+     * @private
+     */
+    render() {
+        if (!this.panel) return;
+
+        const entry = this.entry;
+        const hasDetails = entry && (entry.title !== entry.file || entry.description ||
+            entry.tags.length > 0 || entry.diagnosis || entry.questions.length > 0);
+
+        this.panel.innerHTML = '';
+        this.panel.style.display = hasDetails ? 'block' : 'none';
+        if (!hasDetails) return;
+
+        const closeBtn = createElement('button', 'case-close', '×');
+        closeBtn.setAttribute('aria-label', languageManager.get('buttons.close'));
+        closeBtn.addEventListener('click', () => this.end());
+        this.panel.appendChild(closeBtn);
+
+        this.panel.appendChild(createElement('h3', '', entry.title));
+
+        if (!this.quiz) {
+            this.renderDetails();
+        } else if (this.quiz.finished) {
+            this.renderResult();
+        } else {
+            this.renderQuestion();
+        }
+    }
+
+    /**
+     * Case description, tags and the start button
+     * @private
+     */
+    renderDetails() {
+        const entry = this.entry;
+
+        if (entry.description) {
+            this.panel.appendChild(createElement('p', 'case-description', entry.description));
+        }
+
+        if (entry.tags.length > 0) {
+            const tags = createElement('div', 'case-tags');
+            entry.tags.forEach(tag => tags.appendChild(createElement('span', '', tag)));
+            this.panel.appendChild(tags);
+        }
+
+        const actions = createElement('div', 'case-actions');
+
+        if (entry.questions.length > 0) {
+            const startBtn = createElement('button', 'case-button primary',
+                languageManager.get('quiz.start', { count: entry.questions.length }));
+            startBtn.addEventListener('click', () => this.start());
+            actions.appendChild(startBtn);
+        } else if (entry.diagnosis) {
+            // Without questions there is nothing to give away, but keep the diagnosis behind a click
+            const showBtn = createElement('button', 'case-button', languageManager.get('quiz.showDiagnosis'));
+            showBtn.addEventListener('click', () => {
+                showBtn.replaceWith(this.createDiagnosis());
+            });
+            actions.appendChild(showBtn);
+        }
+
+        this.panel.appendChild(actions);
+    }
+
+    /**
+     * The current question with its answer controls and feedback
+     * @private
+     */
+    renderQuestion() {
+        const quiz = this.quiz;
+        const question = this.currentQuestion();
+
+        this.panel.appendChild(createElement('div', 'quiz-progress', languageManager.get('quiz.progress', {
+            current: quiz.index + 1,
+            total: this.entry.questions.length
+        })));
+        this.panel.appendChild(createElement('p', 'quiz-prompt', question.prompt));
+
+        if (question.type === 'choice') {
+            const options = createElement('div', 'quiz-options');
+            options.setAttribute('role', 'radiogroup');
+
+            question.options.forEach((option, index) => {
+                const button = createElement('button', 'quiz-option', option);
+                button.setAttribute('role', 'radio');
+                button.setAttribute('aria-checked', quiz.selection === index ? 'true' : 'false');
+                button.classList.toggle('selected', quiz.selection === index);
+
+                if (quiz.submitted) {
+                    button.disabled = true;
+                    button.classList.toggle('correct', index === question.answer);
+                    button.classList.toggle('incorrect', quiz.selection === index && index !== question.answer);
+                } else {
+                    button.addEventListener('click', () => {
+                        quiz.selection = index;
+                        this.render();
+                    });
+                }
+
+                options.appendChild(button);
+            });
+
+            this.panel.appendChild(options);
+        } else {
+            const status = quiz.selection
+                ? languageManager.get('quiz.pointMarked')
+                : languageManager.get('quiz.clickImage');
+            this.panel.appendChild(createElement('p', 'quiz-hint', status));
+        }
+
+        if (quiz.submitted) {
+            let feedback = languageManager.get(quiz.correct ? 'quiz.correct' : 'quiz.incorrect');
+            if (!quiz.correct && question.type === 'locate') {
+                feedback += ' ' + languageManager.get('quiz.regionShown');
+            }
+            this.panel.appendChild(createElement('p', `quiz-feedback ${quiz.correct ? 'correct' : 'incorrect'}`, feedback));
+            if (question.explanation) {
+                this.panel.appendChild(createElement('p', 'case-description', question.explanation));
+            }
+        }
+
+        const actions = createElement('div', 'case-actions');
+
+        if (quiz.submitted) {
+            const last = quiz.index === this.entry.questions.length - 1;
+            const nextBtn = createElement('button', 'case-button primary',
+                languageManager.get(last ? 'quiz.result' : 'quiz.next'));
+            nextBtn.addEventListener('click', () => this.next());
+            actions.appendChild(nextBtn);
+        } else {
+            const submitBtn = createElement('button', 'case-button primary', languageManager.get('quiz.submit'));
+            submitBtn.disabled = quiz.selection === null;
+            submitBtn.addEventListener('click', () => this.submit());
+            actions.appendChild(submitBtn);
+        }
+
+        this.panel.appendChild(actions);
+    }
+
+    /**
+     * Final score and the diagnosis
+     * @private
+     */
+    renderResult() {
+        this.panel.appendChild(createElement('p', 'quiz-score', languageManager.get('quiz.score', {
+            score: this.quiz.score,
+            total: this.entry.questions.length
+        })));
+
+        if (this.entry.diagnosis) {
+            this.panel.appendChild(this.createDiagnosis());
+        }
+
+        const actions = createElement('div', 'case-actions');
+        const retryBtn = createElement('button', 'case-button primary', languageManager.get('quiz.retry'));
+        retryBtn.addEventListener('click', () => this.start());
+        actions.appendChild(retryBtn);
+        this.panel.appendChild(actions);
+    }
+
+    /**
+     * Diagnosis block
+     * @private
+     */
+    createDiagnosis() {
+        const diagnosis = createElement('p', 'case-diagnosis');
+        diagnosis.appendChild(createElement('strong', '', `${languageManager.get('quiz.diagnosis')}: `));
+        diagnosis.appendChild(document.createTextNode(this.entry.diagnosis));
+        return diagnosis;
+    }
+}
@@ -0,0 +1,602 @@
+/**
+ * Radiograph Image Viewer - ROI Statistics
+ * Rectangle, ellipse and polygon regions of interest with pixel statistics and contrast-to-noise ratio
+ *
+ * Statistics are taken from the source values of the (rotated/cropped) image, so they don't change
+ * with brightness, contrast or windowing; for DICOM they are in modality units. A pixel belongs to a
+ * region when its centre lies inside the shape.
+ */
+
+import languageManager from './language-manager.js';
+import { drawLabel, screenDistance } from './overlay.js';
+
+/**
+ * Screen distance in pixels: shorter drags count as clicks, and a click this close to the first
+ * polygon vertex closes the polygon
+ * @private
+ */
+const SNAP_DISTANCE = 10;
+
+/**
+ * Number of ROIs compared for the contrast-to-noise ratio
+ * @private
+ */
+const MAX_SELECTED = 2;
+
+const COLORS = {
+    roi: '#cccccc',
+    selected: ['#00e5ff', '#ff66cc'],
+    draft: '#ffffff'
+};
+
+/**
+ * Horizontal spans of a region on one pixel row
+ * @private
+ * @param {Object} roi - Region with type and points
+ * @param {number} y - Row centre in image coordinates
+ * @returns {Array<Array<number>>} [start, end] pairs in image coordinates
+ */
+function getRowSpans(roi, y) {
+    const points = roi.points;
+
+    if (roi.type === 'rectangle') {
+        const [a, b] = points;
+        if (y < Math.min(a.y, b.y) || y >= Math.max(a.y, b.y)) return [];
+        return [[Math.min(a.x, b.x), Math.max(a.x, b.x)]];
+    }
+
+    if (roi.type === 'ellipse') {
+        const [a, b] = points;
+        const rx = Math.abs(b.x - a.x) / 2;
+        const ry = Math.abs(b.y - a.y) / 2;
+        if (ry === 0) return [];
+
+        const dy = (y - (a.y + b.y) / 2) / ry;
+        if (Math.abs(dy) >= 1) return [];
+
+        const half = rx * Math.sqrt(1 - dy * dy);
+        const cx = (a.x + b.x) / 2;
+        return [[cx - half, cx + half]];
+    }
+
+    // Polygon: crossings of the row with the edges, filled pairwise (even-odd rule)
+    const crossings = [];
+    for (let i = 0; i < points.length; i++) {
+        const p = points[i];
+        const q = points[(i + 1) % points.length];
+        if ((p.y <= y) !== (q.y <= y)) {
+            crossings.push(p.x + (y - p.y) / (q.y - p.y) * (q.x - p.x));
+        }
+    }
+    crossings.sort((a, b) => a - b);
+
+    const spans = [];
+    for (let i = 0; i + 1 < crossings.length; i += 2) {
+        spans.push([crossings[i], crossings[i + 1]]);
+    }
+    return spans;
+}
+
+/**
+ * Find the pixels inside a region
+ * @param {Object} roi - Region with type ('rectangle', 'ellipse' or 'polygon') and points
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @returns {Uint32Array} Indices of the pixels whose centres lie inside the region
+ */
+export function getRoiPixels(roi, width, height) {
+    const ys = roi.points.map(p => p.y);
+    const top = Math.max(0, Math.floor(Math.min(...ys)));
+    const bottom = Math.min(height, Math.ceil(Math.max(...ys)));
+    const indices = [];
+
+    for (let y = top; y < bottom; y++) {
+        getRowSpans(roi, y + 0.5).forEach(([start, end]) => {
+            const first = Math.max(0, Math.ceil(start - 0.5));
+            const last = Math.min(width, Math.ceil(end - 0.5));
+            for (let x = first; x < last; x++) {
+                indices.push(y * width + x);
+            }
+        });
+    }
+
+    return Uint32Array.from(indices);
+}
+
+/**
+ * Pixel statistics of a set of values
+ * @param {ArrayLike<number>} values - Pixel values
+ * @returns {{count: number, mean: number, sd: number, min: number, max: number}|null}
+ *     Statistics with the sample standard deviation, or null for no pixels
+ */
+export function computeRoiStatistics(values) {
+    const count = values.length;
+    if (count === 0) return null;
+
+    let sum = 0;
+    let min = Infinity;
+    let max = -Infinity;
+    for (let i = 0; i < count; i++) {
+        const value = values[i];
+        sum += value;
+        if (value < min) min = value;
+        if (value > max) max = value;
+    }
+
+    const mean = sum / count;
+    let squares = 0;
+    for (let i = 0; i < count; i++) {
+        squares += (values[i] - mean) * (values[i] - mean);
+    }
+
+    return { count, mean, sd: count > 1 ? Math.sqrt(squares / (count - 1)) : 0, min, max };
+}
+
+/**
+ * Contrast-to-noise ratio of two regions: the difference of their means over the pooled
+ * standard deviation, |mean A - mean B| / sqrt((sd A² + sd B²) / 2)
+ * @param {Object} a - Statistics from computeRoiStatistics
+ * @param {Object} b - Statistics from computeRoiStatistics
+ * @returns {number|null} CNR, or null if neither region has any noise
+ */
+export function computeCnr(a, b) {
+    const noise = Math.sqrt((a.sd * a.sd + b.sd * b.sd) / 2);
+    if (noise === 0) return null;
+    return Math.abs(a.mean - b.mean) / noise;
+}
+
+/**
+ * RoiLayer class holding the regions of interest of the current image.
+ * Points are stored in image pixel coordinates; rectangles and ellipses by two corners.
+ * Up to two regions are selected; their histograms are shown in the histogram panel and,
+ * with two selected, their contrast-to-noise ratio.
+ * @class
+ */
+export class RoiLayer {
+    /**
+     * Create a new ROI layer
+     * @param {RadiographViewer} viewer - Viewer instance
+     */
+    constructor(viewer) {
+        this.viewer = viewer;
+        this.tools = ['roiRectangle', 'roiEllipse', 'roiPolygon'];
+        this.rois = [];
+        this.selected = [];
+        this.nextId = 1;
+        this.draft = null;
+
+        // Pixels and statistics of each region, by id, for the image they were computed on
+        this.cache = new Map();
+    }
+
+    /**
+     * Remove all regions
+     */
+    reset() {
+        this.rois = [];
+        this.selected = [];
+        this.nextId = 1;
+        this.draft = null;
+        this.cache.clear();
+    }
+
+    /**
+     * Remove all regions, keeping the numbering
+     */
+    clear() {
+        this.rois = [];
+        this.selected = [];
+        this.draft = null;
+        this.cache.clear();
+    }
+
+    /**
+     * Get a copy of the regions and selection
+     * @returns {{rois: Array<Object>, selected: Array<number>, nextId: number}} ROI state
+     */
+    getState() {
+        return JSON.parse(JSON.stringify({
+            rois: this.rois,
+            selected: this.selected,
+            nextId: this.nextId
+        }));
+    }
+
+    /**
+     * Replace the regions and selection
+     * @param {{rois: Array<Object>, selected: Array<number>, nextId: number}} state - State from getState()
+     */
+    setState(state) {
+        const copy = JSON.parse(JSON.stringify(state));
+        this.rois = Array.isArray(copy.rois) ? copy.rois : [];
+        this.selected = Array.isArray(copy.selected)
+            ? copy.selected.filter(id => this.rois.some(roi => roi.id === id))
+            : [];
+        this.nextId = Math.max(copy.nextId || 1, ...this.rois.map(roi => roi.id + 1));
+        this.draft = null;
+    }
+
+    /**
+     * Move the regions along with the image. Rectangles and ellipses stay axis-aligned,
+     * spanned by their moved corner points.
+     * @param {Function} map - Maps an {x, y} image point to its new position
+     */
+    mapPoints(map) {
+        this.rois.forEach(roi => {
+            roi.points = roi.points.map(map);
+        });
+        this.draft = null;
+    }
+
+    /**
+     * Abandon the region in progress
+     */
+    cancel() {
+        this.draft = null;
+    }
+
+    onPointerDown(tool, point) {
+        if (this.draft && this.draft.type === 'polygon' && tool === 'roiPolygon') {
+            // Clicking the first vertex again closes the polygon
+            if (this.draft.points.length >= 3 && screenDistance(this.viewer, point, this.draft.points[0]) < SNAP_DISTANCE) {
+                this.finishDraft();
+                return;
+            }
+            this.draft.points.push(point);
+            return;
+        }
+
+        const type = { roiRectangle: 'rectangle', roiEllipse: 'ellipse', roiPolygon: 'polygon' }[tool];
+        this.draft = { type, points: [point], start: point, cursor: point };
+    }
+
+    onPointerMove(tool, point, isDown) {
+        if (!this.draft) return;
+        this.draft.cursor = point;
+        if (isDown && this.draft.type !== 'polygon') {
+            this.draft.points[1] = point;
+        }
+    }
+
+    onPointerUp(tool, point) {
+        if (!this.draft) return;
+
+        const draft = this.draft;
+        const isClick = screenDistance(this.viewer, point, draft.start) < SNAP_DISTANCE;
+
+        // A click inside a region, not adding to a polygon, selects or deselects it
+        if (isClick && draft.points.length === 1) {
+            const roi = this.findRoi(point);
+            if (roi) {
+                this.draft = null;
+                this.toggleSelection(roi.id);
+                this.viewer.updateHistogram();
+                return;
+            }
+        }
+
+        if (draft.type === 'polygon') return;
+
+        this.draft = null;
+        if (isClick) return;
+
+        draft.points[1] = point;
+        this.addRoi(draft.type, draft.points);
+    }
+
+    onDoubleClick(tool) {
+        if (this.draft && this.draft.type === 'polygon') {
+            this.finishDraft();
+        }
+    }
+
+    onKeyDown(tool, e) {
+        if (e.key === 'Enter' && this.draft && this.draft.type === 'polygon') {
+            this.finishDraft();
+            return true;
+        }
+
+        if (e.key === 'Escape' && this.draft) {
+            this.cancel();
+            return true;
+        }
+
+        if ((e.key === 'Delete' || e.key === 'Backspace') && this.selected.length > 0) {
+            this.rois = this.rois.filter(roi => !this.selected.includes(roi.id));
+            this.selected.forEach(id => this.cache.delete(id));
+            this.selected = [];
+            this.viewer.updateHistogram();
+            return true;
+        }
+
+        return false;
+    }
+
+    /**
+     * Store the polygon in progress
+     * @private
+     */
+    finishDraft() {
+        const draft = this.draft;
+        this.draft = null;
+
+        // A double click adds the same point twice; drop repeated vertices
+        const points = draft.points.filter((p, i) =>
+            i === 0 || p.x !== draft.points[i - 1].x || p.y !== draft.points[i - 1].y);
+
+        if (points.length >= 3) {
+            this.addRoi('polygon', points);
+        }
+    }
+
+    /**
+     * Add a region and select it, replacing the oldest selected region if two are selected
+     * @private
+     */
+    addRoi(type, points) {
+        const roi = { id: this.nextId++, type, points };
+        if (!this.getStatistics(roi)) return;
+
+        this.rois.push(roi);
+        this.toggleSelection(roi.id);
+        this.viewer.announceToScreenReader(this.describe(roi));
+        this.viewer.updateHistogram();
+    }
+
+    /**
+     * Select or deselect a region
+     * @private
+     */
+    toggleSelection(id) {
+        if (this.selected.includes(id)) {
+            this.selected = this.selected.filter(selectedId => selectedId !== id);
+            return;
+        }
+
+        this.selected = [...this.selected, id].slice(-MAX_SELECTED);
+    }
+
+    /**
+     * Find the topmost region containing a point
+     * @private
+     */
+    findRoi(point) {
+        for (let i = this.rois.length - 1; i >= 0; i--) {
+            const roi = this.rois[i];
+            if (getRowSpans(roi, point.y).some(([start, end]) => point.x >= start && point.x < end)) {
+                return roi;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Get the selected regions in selection order
+     * @returns {Array<Object>} Regions
+     */
+    getSelected() {
+        return this.selected.map(id => this.rois.find(roi => roi.id === id)).filter(Boolean);
+    }
+
+    /**
+     * Pixel statistics of a region on the current image, with its area
+     * @param {Object} roi - Region
+     * @returns {Object|null} Statistics from computeRoiStatistics plus pixels (indices) and
+     *     area ({value, unit}), or null if the region covers no pixels
+     */
+    getStatistics(roi) {
+        const image = this.viewer.originalImage;
+        if (!image) return null;
+
+        // The area changes with a new calibration as well
+        const key = JSON.stringify([roi.type, roi.points, this.viewer.pixelSpacing]);
+        const cached = this.cache.get(roi.id);
+        if (cached && cached.image === image && cached.key === key) {
+            return cached.stats;
+        }
+
+        const pixels = getRoiPixels(roi, image.width, image.height);
+        const values = new Float32Array(pixels.length);
+        pixels.forEach((index, i) => {
+            values[i] = image.data[index];
+        });
+
+        const stats = computeRoiStatistics(values);
+        if (stats) {
+            const spacing = this.viewer.pixelSpacing;
+            stats.pixels = pixels;
+            stats.area = spacing
+                ? { value: stats.count * spacing.row * spacing.column, unit: 'mm²' }
+                : { value: stats.count, unit: 'px²' };
+        }
+
+        this.cache.set(roi.id, { image, key, stats });
+        return stats;
+    }
+
+    /**
+     * Contrast-to-noise ratio of the two selected regions
+     * @returns {number|null} CNR, or null unless two regions with noise are selected
+     */
+    getCnr() {
+        const selected = this.getSelected();
+        if (selected.length < 2) return null;
+
+        const a = this.getStatistics(selected[0]);
+        const b = this.getStatistics(selected[1]);
+        return a && b ? computeCnr(a, b) : null;
+    }
+
+    /**
+     * Short description of a region for its label and screen readers
+     * @param {Object} roi - Region
+     * @returns {string} Name, mean and standard deviation
+     */
+    describe(roi) {
+        const stats = this.getStatistics(roi);
+        const name = languageManager.get('roi.name', { number: roi.id });
+        if (!stats) return name;
+
+        const decimals = this.viewer.getWindowDecimals() + 1;
+        return `${name}: ${stats.mean.toFixed(decimals)} ± ${stats.sd.toFixed(decimals)}`;
+    }
+
+    /**
+     * Draw the histograms of the selected regions over the histogram bars, each on its own scale.
+     * The values are binned like the panel's x axis: source values in window level mode,
+     * display levels otherwise.
+     * @param {CanvasRenderingContext2D} ctx - Histogram canvas context
+     * @param {number} width - Canvas width
+     * @param {number} height - Canvas height
+     * @param {boolean} windowLevel - True in window level mode
+     */
+    drawHistograms(ctx, width, height, windowLevel) {
+        const viewer = this.viewer;
+        const source = windowLevel ? viewer.originalImage.data : viewer.displayData;
+        if (!source) return;
+
+        const options = windowLevel ? { min: viewer.originalImage.min, max: viewer.originalImage.max } : {};
+
+        this.getSelected().forEach((roi, slot) => {
+            const stats = this.getStatistics(roi);
+            if (!stats) return;
+
+            const values = new Float32Array(stats.pixels.length);
+            stats.pixels.forEach((index, i) => {
+                values[i] = source[index];
+            });
+
+            const bins = viewer.imageProcessor.calculateHistogram({ data: values }, options).luminance;
+            const maxValue = Math.max(...bins);
+
+            ctx.strokeStyle = COLORS.selected[slot];
+            ctx.lineWidth = 1.5;
+            ctx.beginPath();
+            for (let i = 0; i < 256; i++) {
+                const x = (i / 255) * width;
+                const y = height - (bins[i] / maxValue) * height * 0.8;
+                if (i === 0) {
+                    ctx.moveTo(x, y);
+                } else {
+                    ctx.lineTo(x, y);
+                }
+            }
+            ctx.stroke();
+        });
+    }
+
+    /**
+     * Fill the ROI statistics below the histogram and show or hide that section
+     */
+    updateStatsPanel() {
+        if (!this.viewer.isActive) return;
+
+        const container = document.getElementById('roiStats');
+        const panel = document.getElementById('histogramPanel');
+        if (!container) return;
+
+        const selected = this.getSelected();
+        container.innerHTML = '';
+        if (panel) {
+            panel.classList.toggle('has-roi', selected.length > 0);
+        }
+
+        const decimals = this.viewer.getWindowDecimals();
+
+        selected.forEach((roi, slot) => {
+            const stats = this.getStatistics(roi);
+            if (!stats) return;
+
+            const row = document.createElement('div');
+            const name = document.createElement('span');
+            name.className = 'roi-name';
+            name.style.color = COLORS.selected[slot];
+            name.textContent = languageManager.get('roi.name', { number: roi.id });
+            row.appendChild(name);
+
+            const { value, unit } = stats.area;
+            const values = document.createElement('span');
+            values.textContent = ' ' + languageManager.get('roi.statistics', {
+                mean: stats.mean.toFixed(decimals + 1),
+                sd: stats.sd.toFixed(decimals + 1),
+                min: stats.min.toFixed(decimals),
+                max: stats.max.toFixed(decimals),
+                count: stats.count,
+                area: unit === 'mm²' ? `${value.toFixed(2)} mm²` : `${value} px²`
+            });
+            row.appendChild(values);
+            container.appendChild(row);
+        });
+
+        if (selected.length === MAX_SELECTED) {
+            const cnr = this.getCnr();
+            const row = document.createElement('div');
+            row.className = 'roi-cnr';
+            row.textContent = languageManager.get('roi.cnr', {
+                a: selected[0].id,
+                b: selected[1].id,
+                cnr: cnr === null ? '–' : cnr.toFixed(2)
+            });
+            container.appendChild(row);
+        }
+    }
+
+    /**
+     * Draw the regions with their labels and the region in progress
+     * @param {CanvasRenderingContext2D} ctx - Overlay context
+     * @param {Object} view - Image-to-screen mapping
+     */
+    draw(ctx, view) {
+        this.rois.forEach(roi => {
+            const slot = this.selected.indexOf(roi.id);
+            const color = slot >= 0 ? COLORS.selected[slot] : COLORS.roi;
+            this.drawShape(ctx, view, roi, color, slot >= 0 ? 2 : 1);
+
+            const anchor = view.toScreen({
+                x: Math.max(...roi.points.map(p => p.x)),
+                y: Math.min(...roi.points.map(p => p.y))
+            });
+            drawLabel(ctx, this.describe(roi), anchor.x + 6, anchor.y + 12, color);
+        });
+
+        if (this.draft) {
+            const draft = this.draft.type === 'polygon'
+                ? { type: 'polygon', points: [...this.draft.points, this.draft.cursor] }
+                : this.draft;
+            if (draft.points.length >= 2) {
+                ctx.setLineDash([4, 4]);
+                this.drawShape(ctx, view, draft, COLORS.draft, 1);
+                ctx.setLineDash([]);
+            }
+        }
+    }
+
+    /**
+     * Outline one region
+     * @private
+     */
+    drawShape(ctx, view, roi, color, lineWidth) {
+        const points = roi.points.map(view.toScreen);
+
+        ctx.strokeStyle = color;
+        ctx.lineWidth = lineWidth;
+        ctx.beginPath();
+
+        if (roi.type === 'rectangle') {
+            const [a, b] = points;
+            ctx.rect(Math.min(a.x, b.x), Math.min(a.y, b.y), Math.abs(b.x - a.x), Math.abs(b.y - a.y));
+        } else if (roi.type === 'ellipse') {
+            const [a, b] = points;
+            ctx.ellipse((a.x + b.x) / 2, (a.y + b.y) / 2, Math.abs(b.x - a.x) / 2, Math.abs(b.y - a.y) / 2,
+                0, 0, Math.PI * 2);
+        } else {
+            points.forEach((p, i) => {
+                if (i === 0) ctx.moveTo(p.x, p.y);
+                else ctx.lineTo(p.x, p.y);
+            });
+            ctx.closePath();
+        }
+
+        ctx.stroke();
+    }
+}
@@ -0,0 +1,576 @@
+/**
+ * Radiograph Image Viewer - Session Store
+ * Keeps recently opened images with their adjustments, view and annotations in IndexedDB
+ *
+ * Images from the server are stored by URL, local files as blobs, so both can be reopened after
+ * a reload, e.g. by students resuming work in an LMS iframe. The last session records which image
+ * each pane of the split view showed.
+ */
+
+import languageManager from './language-manager.js';
+
+const DB_NAME = 'radiograph-viewer';
+const DB_VERSION = 1;
+
+/**
+ * Number of recent images kept; the oldest are dropped first, since local files can be large
+ */
+export const MAX_RECENT = 12;
+
+/**
+ * Delay after the last change before the state is written, so dragging a slider doesn't write
+ * on every step
+ * @private
+ */
+const SAVE_DELAY = 1000;
+
+const THUMBNAIL_SIZE = 64;
+
+/**
+ * Recently opened image
+ * @typedef {Object} RecentImage
+ * @property {string} id - "url:" followed by the URL, or "file:" with the file name, size and date
+ * @property {string} name - Name shown in the list
+ * @property {string|null} url - URL of a server image
+ * @property {File|null} file - Contents of a local file
+ * @property {Object} state - Viewer state from RadiographViewer.getState()
+ * @property {string|null} thumbnail - Small JPEG data URL of the processed image
+ * @property {number} openedAt - Time of the last change, in ms since the epoch
+ */
+
+/**
+ * Wrap an IndexedDB request in a promise
+ * @private
+ */
+function promisify(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Get the key under which the image of a viewer is stored
+ * @param {RadiographViewer} viewer - Viewer instance
+ * @returns {string|null} Key, null if the image can't be reopened (e.g. a pasted data URL)
+ */
+export function getImageId(viewer) {
+    if (!viewer.hasImage()) return null;
+
+    const file = viewer.imageFile;
+    if (file) {
+        return `file:${file.name}:${file.size}:${file.lastModified}`;
+    }
+
+    const url = viewer.imageSource;
+    if (url && !url.startsWith('data:') && !url.startsWith('blob:')) {
+        return `url:${url}`;
+    }
+
+    return null;
+}
+
+/**
+ * SessionStore class for the IndexedDB database of recent images and the last session
+ * @class
+ */
+export class SessionStore {
+    /**
+     * Create the store; call open() before using it
+     * @param {string} [name='radiograph-viewer'] - Database name
+     */
+    constructor(name = DB_NAME) {
+        this.name = name;
+        this.db = null;
+    }
+
+    /**
+     * Open the database, creating it on first use
+     * @returns {Promise<void>} Rejects where IndexedDB is unavailable, e.g. in some private windows
+     */
+    async open() {
+        if (!window.indexedDB) {
+            throw new Error('IndexedDB is not available');
+        }
+
+        const request = window.indexedDB.open(this.name, DB_VERSION);
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains('images')) {
+                db.createObjectStore('images', { keyPath: 'id' });
+            }
+            if (!db.objectStoreNames.contains('session')) {
+                db.createObjectStore('session');
+            }
+        };
+        this.db = await promisify(request);
+    }
+
+    /**
+     * Run a request against an object store and wait for its transaction to complete
+     * @private
+     * @param {string} storeName - Object store
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} run - Gets the store and returns a request
+     * @returns {Promise<*>} Result of the request
+     */
+    run(storeName, mode, run) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(storeName, mode);
+            const request = run(transaction.objectStore(storeName));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+        });
+    }
+
+    /**
+     * Store a recent image, then drop the oldest beyond MAX_RECENT
+     * @param {RecentImage} record - Image record
+     * @returns {Promise<void>}
+     */
+    async putImage(record) {
+        await this.run('images', 'readwrite', store => store.put(record));
+
+        const images = await this.listImages();
+        for (const old of images.slice(MAX_RECENT)) {
+            await this.deleteImage(old.id);
+        }
+    }
+
+    /**
+     * Get a recent image
+     * @param {string} id - Image key
+     * @returns {Promise<RecentImage|undefined>} Record, undefined if it was dropped
+     */
+    getImage(id) {
+        return this.run('images', 'readonly', store => store.get(id));
+    }
+
+    /**
+     * Get the recent images, most recently changed first
+     * @returns {Promise<Array<RecentImage>>} Records
+     */
+    async listImages() {
+        const images = await this.run('images', 'readonly', store => store.getAll());
+        return images.sort((a, b) => b.openedAt - a.openedAt);
+    }
+
+    /**
+     * Remove a recent image
+     * @param {string} id - Image key
+     * @returns {Promise<void>}
+     */
+    deleteImage(id) {
+        return this.run('images', 'readwrite', store => store.delete(id));
+    }
+
+    /**
+     * Remove all recent images and the last session
+     * @returns {Promise<void>}
+     */
+    async clear() {
+        await this.run('images', 'readwrite', store => store.clear());
+        await this.run('session', 'readwrite', store => store.clear());
+    }
+
+    /**
+     * Store the last session
+     * @param {{layout: number, active: number, panes: Array<string|null>}} session - Pane layout,
+     *     index of the active pane and the image key of each visible pane
+     * @returns {Promise<void>}
+     */
+    saveSession(session) {
+        return this.run('session', 'readwrite', store => store.put(session, 'last'));
+    }
+
+    /**
+     * Get the last session
+     * @returns {Promise<Object|undefined>} Session, undefined if none was stored
+     */
+    getSession() {
+        return this.run('session', 'readonly', store => store.get('last'));
+    }
+}
+
+/**
+ * SessionManager class saving the panes as they change, and showing the Recent panel and the
+ * restore prompt
+ * @class
+ */
+export class SessionManager {
+    /**
+     * Create the manager
+     * @param {SplitView} splitView - Split view whose panes are saved
+     * @param {SessionStore} store - Opened store
+     */
+    constructor(splitView, store) {
+        this.splitView = splitView;
+        this.store = store;
+        this.panel = document.getElementById('recentPanel');
+        this.list = document.getElementById('recentList');
+
+        // Viewers changed since the last successful write, with a count of their changes
+        this.pending = new Map();
+        this.saveTimeout = null;
+
+        // No saving while a session is being restored, or its images would replace it half-way
+        this.restoring = false;
+
+        this.setupControls();
+    }
+
+    /**
+     * Wire up the panel, the prompt and the viewer events
+     * @private
+     */
+    setupControls() {
+        window.addEventListener('imageLoaded', (e) => this.schedule(e.detail.viewer));
+        window.addEventListener('viewerStateChanged', (e) => this.schedule(e.detail.viewer));
+
+        // Write pending changes while the page can still finish them: hiding comes before unloading
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden' && this.pending.size > 0) this.flush();
+        });
+
+        document.getElementById('recentBtn').addEventListener('click', () => {
+            this.setVisible(this.panel.hidden);
+        });
+        document.getElementById('closeRecentBtn').addEventListener('click', () => this.setVisible(false));
+        document.getElementById('clearRecentBtn').addEventListener('click', () => this.clear());
+
+        this.list.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-id]');
+            if (!button) return;
+
+            if (button.classList.contains('recent-remove')) {
+                this.remove(button.dataset.id);
+            } else {
+                this.openRecent(button.dataset.id);
+            }
+        });
+
+        document.getElementById('dismissSessionBtn').addEventListener('click', () => this.hidePrompt());
+        document.getElementById('restoreSessionBtn').addEventListener('click', async () => {
+            this.hidePrompt();
+            await this.restore();
+        });
+
+        window.addEventListener('languageChanged', () => {
+            if (!this.panel.hidden) this.render();
+        });
+    }
+
+    /**
+     * Note that a pane changed; it is written once changes pause
+     * @param {RadiographViewer} viewer - Changed viewer
+     */
+    schedule(viewer) {
+        if (this.restoring) return;
+
+        this.pending.set(viewer, (this.pending.get(viewer) || 0) + 1);
+        clearTimeout(this.saveTimeout);
+        this.saveTimeout = setTimeout(() => this.flush(), SAVE_DELAY);
+    }
+
+    /**
+     * Write the changed panes and the session now, e.g. before the page is closed
+     * @returns {Promise<void>}
+     */
+    async flush() {
+        clearTimeout(this.saveTimeout);
+
+        // A pane stays pending until it is written, and when it changed again while being written
+        try {
+            for (const [viewer, changes] of [...this.pending]) {
+                await this.save(viewer);
+                if (this.pending.get(viewer) === changes) {
+                    this.pending.delete(viewer);
+                }
+            }
+            await this.saveSession();
+        } catch (error) {
+            // Usually the storage quota; the viewer works on without it
+            console.warn('Could not save the session:', error);
+        }
+
+        if (!this.panel.hidden) this.render();
+    }
+
+    /**
+     * Write the image and state of a viewer
+     * @private
+     * @param {RadiographViewer} viewer - Viewer instance
+     */
+    async save(viewer) {
+        const id = getImageId(viewer);
+        if (!id) return;
+
+        await this.store.putImage({
+            id,
+            name: viewer.imageInfo ? viewer.imageInfo.name : id,
+            url: viewer.imageFile ? null : viewer.imageSource,
+            file: viewer.imageFile,
+            state: viewer.getState(),
+            thumbnail: this.createThumbnail(viewer),
+            openedAt: Date.now()
+        });
+    }
+
+    /**
+     * Write which image each visible pane shows
+     * @private
+     */
+    async saveSession() {
+        const viewers = this.splitView.getVisibleViewers();
+        const panes = viewers.map(viewer => getImageId(viewer));
+
+        // Keep the previous session until there is something to restore
+        if (panes.every(id => id === null)) return;
+
+        await this.store.saveSession({
+            layout: this.splitView.layout,
+            active: Math.max(0, viewers.indexOf(this.splitView.active)),
+            panes
+        });
+    }
+
+    /**
+     * Draw a small copy of the processed image for the Recent list
+     * @private
+     * @returns {string|null} JPEG data URL
+     */
+    createThumbnail(viewer) {
+        const source = viewer.canvas;
+        if (!source.width || !source.height) return null;
+
+        try {
+            const scale = THUMBNAIL_SIZE / Math.max(source.width, source.height);
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.max(1, Math.round(source.width * scale));
+            canvas.height = Math.max(1, Math.round(source.height * scale));
+            canvas.getContext('2d').drawImage(source, 0, 0, canvas.width, canvas.height);
+            return canvas.toDataURL('image/jpeg', 0.7);
+        } catch (error) {
+            // A canvas tainted by a cross-origin image can't be read back
+            return null;
+        }
+    }
+
+    /**
+     * Load a stored image into a viewer with its saved state
+     * @private
+     * @param {RecentImage} record - Image record
+     * @param {RadiographViewer} viewer - Viewer to load into
+     */
+    async load(record, viewer) {
+        if (record.file) {
+            await viewer.loadImage(record.file);
+        } else {
+            await viewer.loadImageFromUrl(record.url);
+        }
+
+        viewer.applyState(record.state);
+
+        // The restored view is the starting point, not a step to undo
+        viewer.history.reset();
+    }
+
+    /**
+     * Open a recent image in the active pane
+     * @param {string} id - Image key
+     */
+    async openRecent(id) {
+        try {
+            const record = await this.store.getImage(id);
+            if (!record) throw new Error('Recent image not found');
+
+            await this.load(record, this.splitView.active);
+            this.setVisible(false);
+        } catch (error) {
+            console.error('Failed to open recent image:', error);
+            languageManager.showMessage('messages.recentOpenFailed');
+        }
+    }
+
+    /**
+     * Reopen the images of the last session in their panes
+     */
+    async restore() {
+        this.restoring = true;
+
+        try {
+            const session = await this.store.getSession();
+            if (!session) return;
+
+            this.splitView.setLayout(session.layout);
+            const viewers = this.splitView.getVisibleViewers();
+            let failed = 0;
+
+            for (let i = 0; i < viewers.length; i++) {
+                const id = session.panes[i];
+                if (!id) continue;
+
+                try {
+                    const record = await this.store.getImage(id);
+                    if (!record) throw new Error('Recent image not found');
+                    await this.load(record, viewers[i]);
+                } catch (error) {
+                    console.error(`Failed to restore pane ${i + 1}:`, error);
+                    failed++;
+                }
+            }
+
+            if (viewers[session.active]) {
+                this.splitView.activate(viewers[session.active]);
+            }
+            if (failed > 0) {
+                languageManager.showMessage('messages.sessionRestoreFailed', { count: failed });
+            }
+        } catch (error) {
+            console.error('Failed to restore session:', error);
+            languageManager.showMessage('messages.sessionRestoreFailed', { count: 1 });
+        } finally {
+            this.restoring = false;
+        }
+    }
+
+    /**
+     * Offer to restore the last session if it showed any images
+     * @returns {Promise<void>}
+     */
+    async offerRestore() {
+        try {
+            const session = await this.store.getSession();
+            const count = session ? session.panes.filter(Boolean).length : 0;
+            if (count === 0) return;
+
+            document.getElementById('sessionPromptText').textContent =
+                languageManager.get('session.restorePrompt', { count });
+            document.getElementById('sessionPrompt').hidden = false;
+        } catch (error) {
+            console.warn('Could not read the last session:', error);
+        }
+    }
+
+    /**
+     * Hide the restore prompt
+     * @private
+     */
+    hidePrompt() {
+        document.getElementById('sessionPrompt').hidden = true;
+    }
+
+    /**
+     * Remove a recent image
+     * @private
+     * @param {string} id - Image key
+     */
+    async remove(id) {
+        try {
+            await this.store.deleteImage(id);
+        } catch (error) {
+            console.warn('Could not remove the recent image:', error);
+        }
+        this.render();
+    }
+
+    /**
+     * Forget all recent images and the last session
+     * @private
+     */
+    async clear() {
+        try {
+            await this.store.clear();
+        } catch (error) {
+            console.warn('Could not clear the recent images:', error);
+        }
+        this.render();
+    }
+
+    /**
+     * Show or hide the Recent panel
+     * @param {boolean} visible - True to show
+     */
+    setVisible(visible) {
+        this.panel.hidden = !visible;
+
+        const button = document.getElementById('recentBtn');
+        button.classList.toggle('active', visible);
+        button.setAttribute('aria-pressed', visible ? 'true' : 'false');
+
+        if (visible) this.render();
+    }
+
+    /**
+     * Fill the Recent list
+     * @returns {Promise<void>}
+     */
+    async render() {
+        let images = [];
+        try {
+            images = await this.store.listImages();
+        } catch (error) {
+            console.warn('Could not list the recent images:', error);
+        }
+
+        const items = images.map(record => {
+            const item = document.createElement('li');
+
+            const open = document.createElement('button');
+            open.className = 'recent-open';
+            open.dataset.id = record.id;
+            if (record.thumbnail) {
+                const img = document.createElement('img');
+                img.src = record.thumbnail;
+                img.alt = '';
+                open.appendChild(img);
+            }
+            const name = document.createElement('span');
+            name.className = 'recent-name';
+            name.textContent = record.name;
+            const date = document.createElement('span');
+            date.className = 'recent-date';
+            date.textContent = new Date(record.openedAt).toLocaleString(languageManager.currentLanguage);
+            open.append(name, date);
+
+            const remove = document.createElement('button');
+            remove.className = 'recent-remove';
+            remove.dataset.id = record.id;
+            remove.textContent = '×';
+            remove.setAttribute('aria-label', languageManager.get('session.remove', { name: record.name }));
+
+            item.append(open, remove);
+            return item;
+        });
+
+        if (items.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'recent-empty';
+            empty.textContent = languageManager.get('session.empty');
+            items.push(empty);
+        }
+
+        this.list.replaceChildren(...items);
+        document.getElementById('clearRecentBtn').disabled = images.length === 0;
+    }
+}
+
+/**
+ * Open the session store and create the manager
+ * @param {SplitView} splitView - Split view whose panes are saved
+ * @returns {Promise<SessionManager|null>} Manager, null where IndexedDB is unavailable
+ */
+export async function setupSession(splitView) {
+    const store = new SessionStore();
+
+    try {
+        await store.open();
+    } catch (error) {
+        console.warn('Session persistence unavailable:', error);
+        document.getElementById('recentBtn').hidden = true;
+        return null;
+    }
+
+    return new SessionManager(splitView, store);
+}
@@ -0,0 +1,349 @@
+/**
+ * Radiograph Image Viewer - Split View
+ * Shows 2 or 4 panes side by side, e.g. a pre- and post-treatment periapical
+ *
+ * Every pane is its own RadiographViewer with independent image, adjustments, overlay and history.
+ * The header controls act on the active pane, which is picked by clicking or touching it.
+ * Zoom/pan and the window can be linked so a change in one pane is copied to the others.
+ */
+
+import { RadiographViewer } from './viewer.js';
+import { setupCanvasControls } from './controls.js';
+import languageManager from './language-manager.js';
+
+const LAYOUTS = [1, 2, 4];
+
+/**
+ * SplitView class managing the panes of the viewer container
+ * @class
+ */
+export class SplitView {
+    /**
+     * Create the split view around the main viewer, which becomes the first pane
+     * @param {RadiographViewer} viewer - Main viewer
+     */
+    constructor(viewer) {
+        this.viewers = [viewer];
+        this.active = viewer;
+        this.layout = 1;
+
+        this.linkView = true;
+        this.linkWindow = false;
+        this.syncing = false;
+        this.labelFrame = null;
+
+        this.container = viewer.canvas.parentElement.parentElement;
+        this.addPaneElements(viewer);
+        viewer.canvas.parentElement.classList.add('active-pane');
+
+        this.activeViewer = this.createActiveViewer();
+
+        // The drop zone covers all panes while dragging, so find the pane under the drop point.
+        // Capture phase, so the pane is active before the drop handler loads the files.
+        this.container.addEventListener('drop', (e) => {
+            const target = this.getViewerAt(e.clientX, e.clientY);
+            if (target) this.activate(target);
+        }, { capture: true });
+
+        window.addEventListener('viewerStateChanged', (e) => {
+            this.syncFrom(e.detail.viewer);
+            this.requestLabelUpdate();
+        });
+        window.addEventListener('languageChanged', () => this.updateLabels());
+    }
+
+    /**
+     * Create a stand-in object that forwards to the active pane's viewer.
+     * Header controls, keyboard shortcuts and dialogs are written against a single viewer;
+     * handing them this stand-in makes them follow the active pane.
+     * @private
+     * @returns {RadiographViewer} Proxy of the active viewer
+     */
+    createActiveViewer() {
+        return new Proxy({}, {
+            get: (target, key) => {
+                const value = this.active[key];
+                return typeof value === 'function' ? value.bind(this.active) : value;
+            },
+            set: (target, key, value) => {
+                this.active[key] = value;
+                return true;
+            }
+        });
+    }
+
+    /**
+     * Show 1, 2 or 4 panes
+     * @param {number} count - Number of panes
+     */
+    setLayout(count) {
+        if (!LAYOUTS.includes(count)) return;
+
+        while (this.viewers.length < count) {
+            this.addPane();
+        }
+
+        this.layout = count;
+        this.container.classList.toggle('split', count > 1);
+        this.container.classList.toggle('split-2', count === 2);
+        this.container.classList.toggle('split-4', count === 4);
+
+        this.viewers.forEach((viewer, index) => {
+            viewer.canvas.parentElement.hidden = index >= count;
+        });
+
+        // The active pane may have been hidden
+        if (this.viewers.indexOf(this.active) >= count) {
+            this.activate(this.viewers[0]);
+        }
+
+        const layoutSelect = document.getElementById('layoutSelect');
+        if (layoutSelect) layoutSelect.value = String(count);
+
+        // Pane sizes changed, fit the images again
+        this.resetViews();
+        this.updateLabels();
+    }
+
+    /**
+     * Create the next pane with its own canvas and viewer
+     * @private
+     */
+    addPane() {
+        const index = this.viewers.length;
+        const previous = this.viewers[index - 1].canvas.parentElement;
+
+        const pane = document.createElement('div');
+        pane.className = 'canvas-container';
+        const canvas = document.createElement('canvas');
+        pane.appendChild(canvas);
+        previous.after(pane);
+
+        const viewer = new RadiographViewer(canvas);
+        viewer.isActive = false;
+        setupCanvasControls(viewer);
+
+        // The header follows the selection of the active pane only
+        const onSelectionChange = this.viewers[0].annotations.onSelectionChange;
+        if (onSelectionChange) {
+            viewer.annotations.onSelectionChange = (annotation) => {
+                if (viewer.isActive) onSelectionChange(annotation);
+            };
+        }
+
+        this.viewers.push(viewer);
+        this.addPaneElements(viewer);
+        return viewer;
+    }
+
+    /**
+     * Find the visible pane at a point
+     * @param {number} clientX - X coordinate relative to the viewport
+     * @param {number} clientY - Y coordinate relative to the viewport
+     * @returns {RadiographViewer|null} Viewer of the pane, null if none
+     */
+    getViewerAt(clientX, clientY) {
+        return this.getVisibleViewers().find(viewer => {
+            const rect = viewer.canvas.parentElement.getBoundingClientRect();
+            return clientX >= rect.left && clientX < rect.right && clientY >= rect.top && clientY < rect.bottom;
+        }) || null;
+    }
+
+    /**
+     * Number the pane, add its label and make it activate on press
+     * @private
+     */
+    addPaneElements(viewer) {
+        const pane = viewer.canvas.parentElement;
+        pane.dataset.pane = this.viewers.indexOf(viewer);
+
+        const label = document.createElement('div');
+        label.className = 'pane-label';
+        pane.appendChild(label);
+
+        // Capture phase, so the pane is active before its canvas handlers run
+        ['mousedown', 'touchstart'].forEach(eventName => {
+            pane.addEventListener(eventName, () => this.activate(viewer), { capture: true, passive: true });
+        });
+    }
+
+    /**
+     * Make a pane the target of the header controls
+     * @param {RadiographViewer} viewer - Viewer of the pane
+     */
+    activate(viewer) {
+        if (viewer === this.active) return;
+
+        const previous = this.active;
+        const tool = previous.overlay.activeTool;
+
+        // The selected tool moves along; a running quiz question stays with its image
+        if (tool !== 'locate') {
+            previous.overlay.setTool(null);
+        }
+
+        previous.isActive = false;
+        viewer.isActive = true;
+        this.active = viewer;
+
+        const toolSelect = document.getElementById('toolSelect');
+        if (toolSelect && toolSelect.value && viewer.overlay.activeTool === null) {
+            viewer.overlay.setTool(toolSelect.value);
+        }
+
+        viewer.refreshUI();
+        if (viewer.annotations.onSelectionChange) {
+            viewer.annotations.onSelectionChange(viewer.annotations.selected);
+        }
+
+        this.container.querySelectorAll('.canvas-container').forEach(pane => {
+            pane.classList.toggle('active-pane', pane === viewer.canvas.parentElement);
+        });
+    }
+
+    /**
+     * Get the panes that are currently shown
+     * @returns {Array<RadiographViewer>} Visible viewers
+     */
+    getVisibleViewers() {
+        return this.viewers.slice(0, this.layout);
+    }
+
+    /**
+     * Fit the image of every visible pane, e.g. after the window or layout changed size
+     */
+    resetViews() {
+        this.getVisibleViewers().forEach(viewer => {
+            if (viewer.hasImage()) {
+                viewer.resetView();
+            }
+        });
+
+        // Start the linked panes from the active pane's view
+        this.syncFrom(this.active);
+    }
+
+    /**
+     * Link or unlink zoom/pan across panes
+     * @param {boolean} linked - True to link
+     */
+    setLinkView(linked) {
+        this.linkView = linked;
+        this.syncFrom(this.active);
+    }
+
+    /**
+     * Link or unlink the window across panes
+     * @param {boolean} linked - True to link
+     */
+    setLinkWindow(linked) {
+        this.linkWindow = linked;
+        this.syncFrom(this.active);
+    }
+
+    /**
+     * Copy the linked settings of one pane to the other visible panes
+     * @private
+     */
+    syncFrom(source) {
+        if (this.syncing || this.layout === 1 || !source || !source.hasImage()) return;
+        if (!this.getVisibleViewers().includes(source)) return;
+
+        // Changes made here notify again; don't let the other panes copy them back
+        this.syncing = true;
+        try {
+            this.getVisibleViewers().forEach(viewer => {
+                if (viewer !== source && viewer.hasImage()) {
+                    this.copyLinkedState(source, viewer);
+                }
+            });
+        } finally {
+            this.syncing = false;
+        }
+    }
+
+    /**
+     * @private
+     */
+    copyLinkedState(source, viewer) {
+        if (this.linkView &&
+            (viewer.zoom !== source.zoom || viewer.panX !== source.panX || viewer.panY !== source.panY)) {
+            viewer.setView(source.zoom, source.panX, source.panY);
+        }
+
+        if (this.linkWindow &&
+            (viewer.adjustmentMode !== source.adjustmentMode ||
+             viewer.windowCenter !== source.windowCenter ||
+             viewer.windowWidth !== source.windowWidth)) {
+            viewer.applyState({
+                adjustmentMode: source.adjustmentMode,
+                windowCenter: source.windowCenter,
+                windowWidth: source.windowWidth,
+                windowPreset: source.windowPreset
+            });
+        }
+    }
+
+    /**
+     * Update the pane labels once per frame
+     * @private
+     */
+    requestLabelUpdate() {
+        if (this.labelFrame !== null) return;
+
+        this.labelFrame = requestAnimationFrame(() => {
+            this.labelFrame = null;
+            this.updateLabels();
+        });
+    }
+
+    /**
+     * Show the image name, or how to fill an empty pane
+     * @private
+     */
+    updateLabels() {
+        this.viewers.forEach((viewer, index) => {
+            const pane = viewer.canvas.parentElement;
+            const label = pane.querySelector('.pane-label');
+            const name = viewer.hasImage() && viewer.imageInfo ? viewer.imageInfo.name : '';
+
+            label.textContent = name
+                ? `${index + 1}: ${name}`
+                : `${index + 1}: ${languageManager.get('splitView.emptyPane')}`;
+            pane.setAttribute('aria-label', languageManager.get('splitView.pane', { number: index + 1 }));
+        });
+    }
+}
+
+/**
+ * Create the split view and wire the layout and link controls
+ * @param {RadiographViewer} viewer - Main viewer
+ * @returns {SplitView} Split view
+ */
+export function setupSplitView(viewer) {
+    const splitView = new SplitView(viewer);
+
+    const layoutSelect = document.getElementById('layoutSelect');
+    if (layoutSelect) {
+        layoutSelect.addEventListener('change', (e) => {
+            splitView.setLayout(parseInt(e.target.value, 10));
+            if (splitView.layout > 1) {
+                languageManager.showHint('hints.splitView');
+            }
+        });
+    }
+
+    const linkView = document.getElementById('linkView');
+    if (linkView) {
+        splitView.linkView = linkView.checked;
+        linkView.addEventListener('change', (e) => splitView.setLinkView(e.target.checked));
+    }
+
+    const linkWindow = document.getElementById('linkWindow');
+    if (linkWindow) {
+        splitView.linkWindow = linkWindow.checked;
+        linkWindow.addEventListener('change', (e) => splitView.setLinkWindow(e.target.checked));
+    }
+
+    return splitView;
+}
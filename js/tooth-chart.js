@@ -0,0 +1,322 @@
+/**
+ * Radiograph Image Viewer - Tooth Chart
+ * Dental chart in FDI, Universal or Palmer notation that filters the server library by tooth
+ * and tags the teeth shown on library images
+ *
+ * Teeth are stored in FDI notation everywhere; the other notations are only used for display.
+ * Tags are kept in the manifest entry of the loaded image, in the coordinates of the file as
+ * loaded, so they follow any rotation, flip or crop.
+ */
+
+import languageManager from './language-manager.js';
+import { drawLabel } from './overlay.js';
+
+export const TOOTH_NOTATIONS = ['fdi', 'universal', 'palmer'];
+
+/**
+ * Chart rows as seen from in front of the patient: the patient's right is on the left
+ */
+export const CHART_ROWS = [
+    [18, 17, 16, 15, 14, 13, 12, 11, 21, 22, 23, 24, 25, 26, 27, 28],
+    [48, 47, 46, 45, 44, 43, 42, 41, 31, 32, 33, 34, 35, 36, 37, 38]
+];
+
+const TAG_COLOR = '#ffcc00';
+const SELECTED_TAG_COLOR = '#00A9E0';
+
+/**
+ * Distance in screen pixels within which a click removes a tag
+ * @private
+ */
+const TAG_HIT_RADIUS = 12;
+
+/**
+ * Write an FDI tooth number in a notation
+ * @param {number} tooth - FDI number, e.g. 36
+ * @param {string} notation - One of TOOTH_NOTATIONS
+ * @returns {string} Tooth number in that notation
+ */
+export function formatTooth(tooth, notation) {
+    const quadrant = Math.floor(tooth / 10);
+    const position = tooth % 10;
+
+    switch (notation) {
+        case 'universal':
+            // 1-16 along the upper arch from the patient's right, then 17-32 back along the lower arch
+            return String([0, 9 - position, 8 + position, 25 - position, 24 + position][quadrant]);
+
+        case 'palmer':
+            // The quadrant bracket opens towards the midline and the occlusal plane
+            return [`${position}┘`, `└${position}`, `┌${position}`, `${position}┐`][quadrant - 1];
+
+        default:
+            return String(tooth);
+    }
+}
+
+/**
+ * Overlay layer that shows the tooth tags of the loaded library image and places new ones
+ * @class
+ */
+export class ToothTagLayer {
+    /**
+     * Create the tag layer
+     * @param {ToothChart} chart - Chart holding the tagged entry and the selected tooth
+     */
+    constructor(chart) {
+        this.chart = chart;
+        this.tools = ['toothTag'];
+    }
+
+    /**
+     * A new image was loaded, so the tags belong to the previous image
+     */
+    reset() {
+        this.chart.setEntry(null);
+    }
+
+    onPointerDown(tool, point) {
+        this.chart.tagAt(point);
+        return true;
+    }
+
+    onPointerMove() {}
+
+    onPointerUp() {}
+
+    draw(ctx, view) {
+        const entry = this.chart.entry;
+        if (!entry) return;
+
+        entry.teeth.forEach(tag => {
+            if (tag.x === null) return;
+
+            const p = view.toScreen(view.fromSource(tag));
+            const color = tag.tooth === this.chart.selected ? SELECTED_TAG_COLOR : TAG_COLOR;
+
+            ctx.fillStyle = color;
+            ctx.strokeStyle = '#000000';
+            ctx.lineWidth = 1;
+            ctx.beginPath();
+            ctx.arc(p.x, p.y, 4, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.stroke();
+
+            drawLabel(ctx, formatTooth(tag.tooth, this.chart.notation), p.x + 8, p.y + 4, color);
+        });
+    }
+}
+
+/**
+ * ToothChart class for the chart panel. Selecting a tooth filters the server library and sets
+ * the tooth that the "Tag teeth" tool places on the image.
+ * @class
+ */
+export class ToothChart {
+    /**
+     * Create the chart
+     * @param {RadiographViewer} viewer - Viewer instance (the active pane stand-in in split view)
+     */
+    constructor(viewer) {
+        this.viewer = viewer;
+        this.panel = document.getElementById('toothChart');
+        this.notation = TOOTH_NOTATIONS.includes(localStorage.getItem('toothNotation'))
+            ? localStorage.getItem('toothNotation')
+            : 'fdi';
+        this.selected = null;
+
+        // Manifest entry of the image being tagged, and the overlay of the pane showing it
+        this.entry = null;
+        this.overlay = viewer.overlay;
+        this.layer = this.overlay.addLayer(new ToothTagLayer(this));
+
+        this.buttons = new Map();
+        this.build();
+        this.setupControls();
+        this.render();
+    }
+
+    /**
+     * Create the tooth buttons
+     * @private
+     */
+    build() {
+        const chart = document.getElementById('toothChartTeeth');
+
+        CHART_ROWS.forEach(row => {
+            const rowElement = document.createElement('div');
+            rowElement.className = 'tooth-row';
+            row.forEach((tooth, index) => {
+                const button = document.createElement('button');
+                button.className = index === row.length / 2 ? 'tooth midline' : 'tooth';
+                button.dataset.tooth = String(tooth);
+                button.setAttribute('aria-pressed', 'false');
+                rowElement.appendChild(button);
+                this.buttons.set(tooth, button);
+            });
+            chart.appendChild(rowElement);
+        });
+    }
+
+    /**
+     * Wire up the panel and its header button
+     * @private
+     */
+    setupControls() {
+        document.getElementById('toothChartBtn').addEventListener('click', () => {
+            this.setVisible(this.panel.hidden);
+        });
+
+        document.getElementById('toothChartCloseBtn').addEventListener('click', () => {
+            this.setVisible(false);
+        });
+
+        const notationSelect = document.getElementById('toothNotation');
+        notationSelect.value = this.notation;
+        notationSelect.addEventListener('change', (e) => this.setNotation(e.target.value));
+
+        document.getElementById('toothChartTeeth').addEventListener('click', (e) => {
+            const button = e.target.closest('.tooth');
+            if (!button) return;
+
+            const tooth = Number(button.dataset.tooth);
+            this.select(this.selected === tooth ? null : tooth);
+        });
+
+        // The tag tool places the tooth selected on the chart
+        document.getElementById('toolSelect').addEventListener('change', (e) => {
+            if (this.layer.tools.includes(e.target.value)) {
+                this.setVisible(true);
+            }
+        });
+
+        window.addEventListener('languageChanged', () => this.render());
+    }
+
+    /**
+     * Show or hide the chart panel
+     * @param {boolean} visible - True to show
+     */
+    setVisible(visible) {
+        this.panel.hidden = !visible;
+
+        const button = document.getElementById('toothChartBtn');
+        button.classList.toggle('active', visible);
+        button.setAttribute('aria-pressed', visible ? 'true' : 'false');
+    }
+
+    /**
+     * Change the numbering shown on the chart and the tags
+     * @param {string} notation - One of TOOTH_NOTATIONS
+     */
+    setNotation(notation) {
+        if (!TOOTH_NOTATIONS.includes(notation)) return;
+
+        this.notation = notation;
+        try {
+            localStorage.setItem('toothNotation', notation);
+        } catch (error) {
+            console.warn('Could not store the tooth notation:', error);
+        }
+
+        this.render();
+        this.overlay.requestRender();
+        window.dispatchEvent(new CustomEvent('toothFilterChanged', {
+            detail: { tooth: this.selected }
+        }));
+    }
+
+    /**
+     * Select a tooth, filtering the server library to images tagged with it
+     * @param {number|null} tooth - FDI number, or null to show the whole library
+     */
+    select(tooth) {
+        this.selected = this.buttons.has(tooth) ? tooth : null;
+        this.render();
+        this.overlay.requestRender();
+
+        window.dispatchEvent(new CustomEvent('toothFilterChanged', {
+            detail: { tooth: this.selected }
+        }));
+    }
+
+    /**
+     * Show the tags of a library image, moving the tag layer to the pane it was loaded into
+     * @param {CaseEntry|null} entry - Manifest entry of the loaded image, or null
+     */
+    setEntry(entry) {
+        const overlay = this.viewer.overlay;
+        if (entry && overlay !== this.overlay) {
+            this.overlay.removeLayer(this.layer);
+            this.overlay = overlay;
+            this.overlay.addLayer(this.layer);
+        }
+
+        this.entry = entry;
+        this.render();
+        this.overlay.requestRender();
+    }
+
+    /**
+     * Tag the selected tooth at a point, or remove the tag under it
+     * @param {{x: number, y: number}} point - Point in image coordinates
+     */
+    tagAt(point) {
+        if (!this.entry) {
+            languageManager.showHint('teeth.libraryOnly');
+            return;
+        }
+
+        const view = this.overlay.getView();
+        const screen = view.toScreen(point);
+        const hit = this.entry.teeth.findIndex(tag => {
+            if (tag.x === null) return false;
+            const p = view.toScreen(view.fromSource(tag));
+            return Math.hypot(p.x - screen.x, p.y - screen.y) <= TAG_HIT_RADIUS;
+        });
+
+        if (hit >= 0) {
+            this.entry.teeth.splice(hit, 1);
+        } else if (this.selected === null) {
+            languageManager.showHint('teeth.chooseTooth');
+            return;
+        } else {
+            // One tag per tooth: tagging it again moves the tag
+            const source = this.overlay.viewer.toSourcePoint(point);
+            const tag = { tooth: this.selected, x: Math.round(source.x), y: Math.round(source.y) };
+            const existing = this.entry.teeth.findIndex(t => t.tooth === this.selected);
+            if (existing >= 0) {
+                this.entry.teeth[existing] = tag;
+            } else {
+                this.entry.teeth.push(tag);
+            }
+        }
+
+        this.render();
+        window.dispatchEvent(new CustomEvent('toothTagsChanged', {
+            detail: { entry: this.entry }
+        }));
+    }
+
+    /**
+     * Update the tooth labels, the selection and the teeth tagged on the current image
+     */
+    render() {
+        const tagged = new Set(this.entry ? this.entry.teeth.map(tag => tag.tooth) : []);
+
+        this.buttons.forEach((button, tooth) => {
+            const label = formatTooth(tooth, this.notation);
+            button.textContent = label;
+            button.classList.toggle('selected', tooth === this.selected);
+            button.classList.toggle('tagged', tagged.has(tooth));
+            button.setAttribute('aria-pressed', tooth === this.selected ? 'true' : 'false');
+            button.setAttribute('aria-label', languageManager.get(
+                tagged.has(tooth) ? 'teeth.taggedTooth' : 'teeth.tooth', { tooth: label }));
+        });
+
+        const status = this.entry
+            ? languageManager.get('teeth.taggedCount', { title: this.entry.title, count: tagged.size })
+            : languageManager.get('teeth.noEntry');
+        document.getElementById('toothChartStatus').textContent = status;
+    }
+}
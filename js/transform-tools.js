@@ -0,0 +1,144 @@
+/**
+ * Radiograph Image Viewer - Transform Tools
+ * Crop rectangle and straighten line drawn on the overlay
+ */
+
+import { drawLabel, screenDistance, MIN_DRAG } from './overlay.js';
+
+const COLORS = {
+    crop: '#ffffff',
+    straighten: '#00A9E0'
+};
+
+/**
+ * Angle in degrees between a line and the nearest horizontal or vertical
+ * @param {{x: number, y: number}} a - Line start in image coordinates
+ * @param {{x: number, y: number}} b - Line end in image coordinates
+ * @returns {number} Clockwise deviation in degrees (-45 to 45)
+ */
+export function getStraightenAngle(a, b) {
+    const angle = Math.atan2(b.y - a.y, b.x - a.x) * 180 / Math.PI;
+    return angle - Math.round(angle / 90) * 90;
+}
+
+/**
+ * TransformLayer class providing the crop and straighten tools.
+ * Nothing is stored on the layer; a finished drag changes the viewer's transform.
+ * @class
+ */
+export class TransformLayer {
+    /**
+     * Create a new transform tool layer
+     * @param {RadiographViewer} viewer - Viewer instance
+     */
+    constructor(viewer) {
+        this.viewer = viewer;
+        this.tools = ['crop', 'straighten'];
+        this.draft = null;
+    }
+
+    reset() {
+        this.draft = null;
+    }
+
+    cancel() {
+        this.draft = null;
+    }
+
+    onPointerDown(tool, point) {
+        this.draft = { type: tool, start: this.clampToImage(point), end: this.clampToImage(point) };
+    }
+
+    onPointerMove(tool, point, isDown) {
+        if (this.draft && isDown) {
+            this.draft.end = this.clampToImage(point);
+        }
+    }
+
+    onPointerUp(tool, point) {
+        if (!this.draft) return;
+
+        const { start } = this.draft;
+        const end = this.clampToImage(point);
+        this.draft = null;
+
+        if (screenDistance(this.viewer, start, end) < MIN_DRAG) return;
+
+        if (tool === 'crop') {
+            this.viewer.cropTo({
+                x: Math.min(start.x, end.x),
+                y: Math.min(start.y, end.y),
+                width: Math.abs(end.x - start.x),
+                height: Math.abs(end.y - start.y)
+            });
+        } else {
+            this.viewer.straighten(start, end);
+        }
+    }
+
+    onKeyDown(tool, e) {
+        if (e.key === 'Escape' && this.draft) {
+            this.draft = null;
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Keep a point on the image
+     * @private
+     */
+    clampToImage(point) {
+        const { width, height } = this.viewer.originalImage;
+        return {
+            x: Math.max(0, Math.min(width, point.x)),
+            y: Math.max(0, Math.min(height, point.y))
+        };
+    }
+
+    /**
+     * Draw the crop rectangle with the area outside it dimmed, or the straighten line
+     * @param {CanvasRenderingContext2D} ctx - Overlay context
+     * @param {Object} view - Image-to-screen mapping
+     */
+    draw(ctx, view) {
+        if (!this.draft) return;
+
+        const a = view.toScreen(this.draft.start);
+        const b = view.toScreen(this.draft.end);
+
+        if (this.draft.type === 'crop') {
+            const x = Math.min(a.x, b.x);
+            const y = Math.min(a.y, b.y);
+            const width = Math.abs(b.x - a.x);
+            const height = Math.abs(b.y - a.y);
+
+            ctx.fillStyle = 'rgba(0, 0, 0, 0.5)';
+            ctx.beginPath();
+            ctx.rect(0, 0, ctx.canvas.width, ctx.canvas.height);
+            ctx.rect(x, y, width, height);
+            ctx.fill('evenodd');
+
+            ctx.strokeStyle = COLORS.crop;
+            ctx.lineWidth = 1;
+            ctx.setLineDash([6, 4]);
+            ctx.strokeRect(x, y, width, height);
+            ctx.setLineDash([]);
+
+            const size = `${Math.round(Math.abs(this.draft.end.x - this.draft.start.x))} × ` +
+                `${Math.round(Math.abs(this.draft.end.y - this.draft.start.y))} px`;
+            drawLabel(ctx, size, x + 4, y + height + 16, COLORS.crop);
+            return;
+        }
+
+        ctx.strokeStyle = COLORS.straighten;
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.moveTo(a.x, a.y);
+        ctx.lineTo(b.x, b.y);
+        ctx.stroke();
+
+        const angle = getStraightenAngle(this.draft.start, this.draft.end);
+        drawLabel(ctx, `${(-angle).toFixed(1)}°`, b.x + 8, b.y - 8, COLORS.straighten);
+    }
+}
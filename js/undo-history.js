@@ -0,0 +1,174 @@
+/**
+ * Radiograph Image Viewer - Undo History
+ * Undo/redo stack of viewer state snapshots
+ */
+
+/**
+ * UndoHistory class recording snapshots from RadiographViewer.getState().
+ * Changes are committed after a short pause, and gestures (slider drags, mouse and touch
+ * drags) are wrapped in begin()/end() so each one becomes a single history entry.
+ * @class
+ */
+export class UndoHistory {
+    /**
+     * Create a new history for a viewer
+     * @param {RadiographViewer} viewer - Viewer whose state is recorded
+     * @param {Object} [options] - History options
+     * @param {number} [options.limit=100] - Maximum number of undo steps kept
+     * @param {number} [options.delay=300] - Pause in ms after which separate changes become separate entries
+     */
+    constructor(viewer, options = {}) {
+        this.viewer = viewer;
+        this.limit = options.limit || 100;
+        this.delay = options.delay || 300;
+
+        this.undoStack = [];
+        this.redoStack = [];
+        this.current = null;
+        this.currentKey = '';
+
+        this.gestureDepth = 0;
+        this.applying = false;
+        this.commitTimeout = null;
+    }
+
+    /**
+     * Start over from the viewer's current state, e.g. after loading an image
+     */
+    reset() {
+        clearTimeout(this.commitTimeout);
+        this.undoStack = [];
+        this.redoStack = [];
+        this.gestureDepth = 0;
+        this.setCurrent(this.viewer.getState());
+        this.updateButtons();
+    }
+
+    /**
+     * Note that the viewer state changed; it is committed once changes pause
+     */
+    schedule() {
+        if (this.applying || this.gestureDepth > 0) return;
+
+        clearTimeout(this.commitTimeout);
+        this.commitTimeout = setTimeout(() => this.commit(), this.delay);
+    }
+
+    /**
+     * Begin a gesture; changes until the matching end() form one entry
+     */
+    begin() {
+        clearTimeout(this.commitTimeout);
+        this.gestureDepth++;
+    }
+
+    /**
+     * End a gesture and commit its changes
+     */
+    end() {
+        if (this.gestureDepth === 0) return;
+
+        this.gestureDepth--;
+        if (this.gestureDepth === 0) {
+            this.commit();
+        }
+    }
+
+    /**
+     * Record the current viewer state if it differs from the last entry
+     */
+    commit() {
+        clearTimeout(this.commitTimeout);
+        if (!this.viewer.hasImage() || this.current === null) return;
+
+        const state = this.viewer.getState();
+        const key = JSON.stringify(state);
+        if (key === this.currentKey) return;
+
+        this.undoStack.push(this.current);
+        if (this.undoStack.length > this.limit) {
+            this.undoStack.shift();
+        }
+
+        this.redoStack = [];
+        this.setCurrent(state, key);
+        this.updateButtons();
+    }
+
+    /**
+     * Step back to the previous state
+     * @returns {boolean} True if a step was undone
+     */
+    undo() {
+        // Pending changes become an entry first so they can be redone
+        this.commit();
+        if (this.undoStack.length === 0) return false;
+
+        this.redoStack.push(this.current);
+        this.restore(this.undoStack.pop());
+        return true;
+    }
+
+    /**
+     * Step forward to the next undone state
+     * @returns {boolean} True if a step was redone
+     */
+    redo() {
+        this.commit();
+        if (this.redoStack.length === 0) return false;
+
+        this.undoStack.push(this.current);
+        this.restore(this.redoStack.pop());
+        return true;
+    }
+
+    /**
+     * @returns {boolean} True if there is something to undo
+     */
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    /**
+     * @returns {boolean} True if there is something to redo
+     */
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    /**
+     * Apply a recorded state without recording it again
+     * @private
+     */
+    restore(state) {
+        this.applying = true;
+        try {
+            this.viewer.applyState(state);
+        } finally {
+            this.applying = false;
+        }
+
+        this.setCurrent(state);
+        this.updateButtons();
+    }
+
+    /**
+     * @private
+     */
+    setCurrent(state, key = JSON.stringify(state)) {
+        this.current = state;
+        this.currentKey = key;
+    }
+
+    /**
+     * Enable or disable the undo/redo buttons
+     */
+    updateButtons() {
+        if (!this.viewer.isActive) return;
+
+        const undoBtn = document.getElementById('undoBtn');
+        const redoBtn = document.getElementById('redoBtn');
+        if (undoBtn) undoBtn.disabled = !this.canUndo();
+        if (redoBtn) redoBtn.disabled = !this.canRedo();
+    }
+}
@@ -4,12 +4,38 @@
  */
 
 import languageManager from './language-manager.js';
+import { normalizeManifest, normalizeEntry, serializeTeeth } from './case-manifest.js';
+import { QuizMode } from './quiz-mode.js';
+import { ToothChart, formatTooth } from './tooth-chart.js';
+import { OfflineLibrary, isOfflineSupported, formatBytes } from './offline-library.js';
+
+// Case panel for images loaded from the manifest
+let quizMode = null;
+
+// Tooth chart that filters the library and tags library images
+let toothChart = null;
+
+// Parsed file_list.json and its entries, once the library was browsed; an imported case package
+// takes its place with a null manifest
+let library = null;
+
+// Library thumbnails with their entries, and the tooth they are filtered by
+let thumbnailItems = [];
+let toothFilter = null;
+
+// Cases kept for offline use, null where the page can't use a service worker (e.g. file://)
+let offlineLibrary = null;
 
 /**
  * Setup UI utility handlers
  * @param {RadiographViewer} viewer - Viewer instance
  */
 export function setupUIHandlers(viewer) {
+    quizMode = new QuizMode(viewer);
+    toothChart = new ToothChart(viewer);
+    if (isOfflineSupported()) {
+        offlineLibrary = new OfflineLibrary();
+    }
     setupServerLoader(viewer);
 }
 
@@ -26,6 +52,7 @@ function setupServerLoader(viewer) {
         urlInput.classList.toggle('visible');
         if (urlInput.classList.contains('visible')) {
             imageUrlField.focus();
+            updateOfflineUsage();
         }
     });
 
@@ -50,6 +77,55 @@ function setupServerLoader(viewer) {
     document.getElementById('scanImagesBtn').addEventListener('click', () => {
         scanServerImages(viewer);
     });
+
+    // Tooth filter from the chart; the library opens when a tooth is picked
+    window.addEventListener('toothFilterChanged', async (e) => {
+        const tooth = e.detail.tooth;
+        const picked = tooth !== null && tooth !== toothFilter;
+        toothFilter = tooth;
+
+        if (picked) {
+            urlInput.classList.add('visible');
+            if (!library) {
+                await scanServerImages(viewer);
+            }
+        }
+        applyToothFilter();
+    });
+
+    window.addEventListener('toothTagsChanged', () => applyToothFilter());
+    window.addEventListener('languageChanged', () => applyToothFilter());
+
+    document.getElementById('clearToothFilterBtn').addEventListener('click', () => {
+        toothChart.select(null);
+    });
+
+    document.getElementById('saveManifestBtn').addEventListener('click', () => {
+        saveManifest();
+    });
+
+    // Cases of an imported package are browsed like the server library
+    window.addEventListener('casePackageOpened', async (e) => {
+        library = { manifest: null, entries: e.detail.cases };
+        document.getElementById('saveManifestBtn').hidden = true;
+        urlInput.classList.add('visible');
+        await loadThumbnails(viewer, e.detail.cases);
+        languageManager.showHint('hints.casePackage');
+    });
+
+    // Evict all offline cases
+    document.getElementById('clearOfflineBtn').addEventListener('click', async () => {
+        try {
+            await offlineLibrary.clear();
+        } catch (error) {
+            console.error('Failed to remove offline images:', error);
+        }
+        thumbnailItems.forEach(({ element }) => {
+            const button = element.querySelector('.thumbnail-offline');
+            if (button) setOfflineToggle(button, false);
+        });
+        updateOfflineUsage();
+    });
 }
 
 /**
@@ -65,24 +141,8 @@ async function loadFromUrl(viewer) {
         return;
     }
 
-    // Handle different URL formats
-    let imageUrl;
-    if (url.startsWith('http://') || url.startsWith('https://') || url.startsWith('data:')) {
-        imageUrl = url;
-    } else if (url.startsWith('/')) {
-        imageUrl = url;
-    } else {
-        imageUrl = `./images/${url}`;
-
-        if (window.location.protocol === 'file:') {
-            console.warn('Running from local file. Image loading may be restricted by browser security.');
-            const basePath = window.location.href.substring(0, window.location.href.lastIndexOf('/'));
-            imageUrl = `${basePath}/images/${url}`;
-        }
-    }
-
     try {
-        await viewer.loadImageFromUrl(imageUrl);
+        await viewer.loadImageFromUrl(resolveImageUrl(url));
         input.value = '';
         document.getElementById('urlInput').classList.remove('visible');
     } catch (error) {
@@ -91,6 +151,30 @@ async function loadFromUrl(viewer) {
     }
 }
 
+/**
+ * Resolve a URL or a bare filename in the images folder to a loadable URL
+ * @param {string} url - Full URL, absolute path or filename relative to images/
+ * @returns {string} URL to load
+ */
+export function resolveImageUrl(url) {
+    // Handle different URL formats
+    if (url.startsWith('http://') || url.startsWith('https://') || url.startsWith('data:')) {
+        return url;
+    }
+
+    if (url.startsWith('/')) {
+        return url;
+    }
+
+    if (window.location.protocol === 'file:') {
+        console.warn('Running from local file. Image loading may be restricted by browser security.');
+        const basePath = window.location.href.substring(0, window.location.href.lastIndexOf('/'));
+        return `${basePath}/images/${url}`;
+    }
+
+    return `./images/${url}`;
+}
+
 /**
  * Scan for server images
  * @private
@@ -131,15 +215,27 @@ async function scanServerImages(viewer) {
             throw new Error('file_list.json not found');
         }
 
-        const imageNames = await response.json();
+        // Entries are plain filenames or case objects with quiz questions
+        const manifest = await response.json();
+        const entries = normalizeManifest(manifest);
 
-        if (!Array.isArray(imageNames) || imageNames.length === 0) {
+        // Tags made since the last scan are kept until the manifest is saved
+        if (library && library.manifest) {
+            entries.forEach(entry => {
+                const previous = library.entries.find(e => e.file === entry.file);
+                if (previous) entry.teeth = previous.teeth;
+            });
+        }
+        library = { manifest, entries };
+        document.getElementById('saveManifestBtn').hidden = false;
+
+        if (entries.length === 0) {
             grid.innerHTML = `<div class="loading">${languageManager.get('messages.noImages')}</div>`;
             return;
         }
 
-        await loadThumbnails(viewer, imageNames);
-        scanBtn.textContent = languageManager.get('messages.foundImages', { count: imageNames.length });
+        await loadThumbnails(viewer, entries);
+        scanBtn.textContent = languageManager.get('messages.foundImages', { count: entries.length });
     } catch (error) {
         console.error('Failed to scan images:', error);
 
@@ -166,26 +262,35 @@ async function scanServerImages(viewer) {
 /**
  * Load and display thumbnails
  * @private
+ * @param {RadiographViewer} viewer - Viewer instance
+ * @param {Array<CaseEntry>} entries - Manifest entries
  */
-async function loadThumbnails(viewer, imageNames) {
+async function loadThumbnails(viewer, entries) {
     const grid = document.getElementById('thumbnailGrid');
     grid.innerHTML = '';
     grid.style.display = 'grid';
 
+    // Package thumbnails of an earlier import hold their image in memory
+    thumbnailItems.forEach(({ element }) => {
+        const img = element.querySelector('.thumbnail-image');
+        if (img && img.src.startsWith('blob:')) URL.revokeObjectURL(img.src);
+    });
+    thumbnailItems = [];
+
     const loadedImages = [];
     const maxConcurrent = 5;
     
     // Load images in batches to avoid overwhelming the browser
-    for (let i = 0; i < imageNames.length; i += maxConcurrent) {
-        const batch = imageNames.slice(i, i + maxConcurrent);
-        const promises = batch.map(name => loadThumbnail(name));
+    for (let i = 0; i < entries.length; i += maxConcurrent) {
+        const batch = entries.slice(i, i + maxConcurrent);
+        const promises = batch.map(entry => loadThumbnail(viewer, entry));
         const results = await Promise.allSettled(promises);
         
         results.forEach((result, index) => {
             if (result.status === 'fulfilled') {
                 loadedImages.push(result.value);
             } else {
-                console.warn(`Failed to load thumbnail for ${batch[index]}:`, result.reason);
+                console.warn(`Failed to load thumbnail for ${batch[index].file}:`, result.reason);
             }
         });
     }
@@ -201,20 +306,34 @@ async function loadThumbnails(viewer, imageNames) {
         item.onclick = () => loadServerImage(viewer, imageData);
         item.setAttribute('role', 'button');
         item.setAttribute('tabindex', '0');
-        item.setAttribute('aria-label', `Load ${imageData.name}`);
+        item.setAttribute('aria-label', `Load ${imageData.entry.title}`);
+        if (imageData.entry.description || imageData.entry.tags.length > 0) {
+            item.title = [imageData.entry.description, imageData.entry.tags.join(', ')].filter(Boolean).join('\n');
+        }
 
         const img = document.createElement('img');
         img.className = 'thumbnail-image';
-        img.src = imageData.url;
-        img.alt = imageData.name;
+        img.src = imageData.thumbnailUrl || imageData.url;
+        img.alt = imageData.entry.title;
 
         const label = document.createElement('div');
         label.className = 'thumbnail-label';
-        label.textContent = imageData.name;
+        label.textContent = imageData.entry.title;
 
         item.appendChild(img);
         item.appendChild(label);
+
+        if (imageData.entry.mount || imageData.entry.questions.length > 0) {
+            const badge = document.createElement('span');
+            badge.className = 'thumbnail-badge';
+            badge.textContent = languageManager.get(imageData.entry.mount ? 'fmx.badge' : 'quiz.badge');
+            item.appendChild(badge);
+        }
+        if (offlineLibrary && !imageData.entry.blob) {
+            item.appendChild(createOfflineToggle(imageData.entry));
+        }
         grid.appendChild(item);
+        thumbnailItems.push({ element: item, entry: imageData.entry });
 
         // Keyboard support
         item.addEventListener('keypress', (e) => {
@@ -224,23 +343,167 @@ async function loadThumbnails(viewer, imageNames) {
             }
         });
     });
+
+    applyToothFilter();
+}
+
+/**
+ * Create the button that keeps a case available offline
+ * @private
+ * @param {CaseEntry} entry - Manifest entry
+ * @returns {HTMLButtonElement} Toggle button
+ */
+function createOfflineToggle(entry) {
+    const button = document.createElement('button');
+    button.className = 'thumbnail-offline';
+    setOfflineToggle(button, false);
+
+    offlineLibrary.isAvailable(entry)
+        .then(available => setOfflineToggle(button, available))
+        .catch(error => console.warn('Could not check the offline cache:', error));
+
+    button.addEventListener('click', (e) => {
+        // The button sits on the thumbnail, which opens the case
+        e.stopPropagation();
+        toggleOffline(button, entry);
+    });
+    button.addEventListener('keypress', (e) => e.stopPropagation());
+
+    return button;
+}
+
+/**
+ * Show whether a case is available offline on its toggle
+ * @private
+ */
+function setOfflineToggle(button, available) {
+    const label = languageManager.get(available ? 'offline.remove' : 'offline.add');
+    button.textContent = available ? '✓' : '⤓';
+    button.classList.toggle('available', available);
+    button.setAttribute('aria-pressed', available ? 'true' : 'false');
+    button.setAttribute('aria-label', label);
+    button.title = label;
+}
+
+/**
+ * Download a case for offline use, or remove it again
+ * @private
+ * @param {HTMLButtonElement} button - Toggle of the case
+ * @param {CaseEntry} entry - Manifest entry
+ */
+async function toggleOffline(button, entry) {
+    const available = button.classList.contains('available');
+    button.disabled = true;
+
+    try {
+        if (available) {
+            await offlineLibrary.remove(entry);
+        } else {
+            await offlineLibrary.add(entry);
+        }
+        setOfflineToggle(button, !available);
+    } catch (error) {
+        console.error('Failed to change offline availability:', error);
+        languageManager.showMessage('messages.offlineFailed');
+    } finally {
+        button.disabled = false;
+        updateOfflineUsage();
+    }
+}
+
+/**
+ * Report the offline images and the storage they use in the server dialog
+ * @private
+ */
+async function updateOfflineUsage() {
+    const section = document.getElementById('offlineSection');
+    section.hidden = !offlineLibrary;
+    if (!offlineLibrary) return;
+
+    try {
+        const { count, usage, quota } = await offlineLibrary.getUsage();
+        document.getElementById('offlineUsage').textContent = usage === null
+            ? languageManager.get('offline.count', { count })
+            : languageManager.get('offline.usage', { count, used: formatBytes(usage), quota: formatBytes(quota) });
+        document.getElementById('clearOfflineBtn').disabled = count === 0;
+    } catch (error) {
+        console.warn('Could not read the storage usage:', error);
+    }
+}
+
+/**
+ * Show only the thumbnails tagged with the tooth picked on the chart
+ * @private
+ */
+function applyToothFilter() {
+    let count = 0;
+    thumbnailItems.forEach(({ element, entry }) => {
+        const match = toothFilter === null || entry.teeth.some(tag => tag.tooth === toothFilter);
+        element.hidden = !match;
+        if (match) count++;
+    });
+
+    document.getElementById('libraryFilter').hidden = toothFilter === null;
+    document.getElementById('libraryFilterText').textContent = toothFilter === null ? '' :
+        languageManager.get('teeth.filter', { tooth: formatTooth(toothFilter, toothChart.notation), count });
+}
+
+/**
+ * Download file_list.json with the tooth tags added in this session, to replace the one on the server
+ * @private
+ */
+function saveManifest() {
+    if (!library || !library.manifest) return;
+
+    try {
+        const manifest = library.manifest.map(item => {
+            let file;
+            try {
+                file = normalizeEntry(item).file;
+            } catch (error) {
+                return item;
+            }
+
+            const entry = library.entries.find(e => e.file === file);
+            if (!entry || (entry.teeth.length === 0 && !(item && item.teeth))) return item;
+
+            return { ...(typeof item === 'string' ? { file: item } : item), teeth: serializeTeeth(entry.teeth) };
+        });
+
+        const blob = new Blob([JSON.stringify(manifest, null, 2)], { type: 'application/json' });
+        downloadBlob(blob, 'file_list.json');
+    } catch (error) {
+        console.error('Failed to save manifest:', error);
+        languageManager.showMessage('messages.manifestSaveFailed');
+    }
 }
 
 /**
  * Load a single thumbnail
  * @private
+ * @param {RadiographViewer} viewer - Viewer instance
+ * @param {CaseEntry} entry - Manifest entry
  */
-function loadThumbnail(name) {
+function loadThumbnail(viewer, entry) {
+    const name = entry.file;
+
+    if (isDicomFile(name)) {
+        return loadDicomThumbnail(viewer, entry);
+    }
+
     return new Promise((resolve, reject) => {
         const img = new Image();
         img.crossOrigin = 'anonymous';
-        const url = `./images/${name}`;
+
+        // Package images are in memory, not on the server
+        const url = entry.blob ? URL.createObjectURL(entry.blob) : `./images/${name}`;
 
         img.onload = () => {
-            resolve({ name, url, image: img });
+            resolve({ name, url, image: img, entry });
         };
         
         img.onerror = () => {
+            if (entry.blob) URL.revokeObjectURL(url);
             reject(new Error(`Failed to load ${name}`));
         };
         
@@ -248,13 +511,62 @@ function loadThumbnail(name) {
     });
 }
 
+/**
+ * Load a DICOM thumbnail by rendering the file to a canvas
+ * @private
+ */
+async function loadDicomThumbnail(viewer, entry) {
+    const name = entry.file;
+    const url = `./images/${name}`;
+    let buffer;
+
+    if (entry.blob) {
+        buffer = await entry.blob.arrayBuffer();
+    } else {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Failed to load ${name}`);
+        }
+        buffer = await response.arrayBuffer();
+    }
+
+    const { canvas } = await viewer.createDicomCanvas(buffer);
+    return { name, url, thumbnailUrl: canvas.toDataURL('image/png'), image: canvas, entry };
+}
+
 /**
  * Load a server image
  * @private
  */
 async function loadServerImage(viewer, imageData) {
+    // Mounting exercises open in the FMX mount instead of the viewer
+    if (imageData.entry.mount) {
+        window.dispatchEvent(new CustomEvent('mountExerciseRequested', {
+            detail: { entry: imageData.entry }
+        }));
+        document.getElementById('urlInput').classList.remove('visible');
+        return;
+    }
+
     try {
-        await viewer.loadImageFromUrl(imageData.url);
+        const entry = imageData.entry;
+        if (entry.blob) {
+            // Package cases keep their changes while moving between them, so they can be exported
+            if (viewer.caseEntry && viewer.caseEntry.blob) {
+                viewer.caseEntry.state = viewer.getState();
+            }
+
+            await viewer.loadImage(entry.blob);
+            if (entry.state) {
+                viewer.applyState(entry.state);
+                viewer.history.reset();
+            }
+        } else {
+            await viewer.loadImageFromUrl(imageData.url);
+        }
+        viewer.caseEntry = entry;
+        quizMode.showCase(entry);
+        toothChart.setEntry(entry);
         document.getElementById('urlInput').classList.remove('visible');
     } catch (error) {
         console.error('Failed to load server image:', error);
@@ -292,11 +604,28 @@ export function getFileExtension(filename) {
  * @returns {boolean} True if supported
  */
 export function isSupportedImage(filename) {
-    const supportedExtensions = ['jpg', 'jpeg', 'png', 'gif', 'webp', 'bmp'];
+    const supportedExtensions = ['jpg', 'jpeg', 'png', 'gif', 'webp', 'bmp', 'dcm', 'dicom'];
     const extension = getFileExtension(filename).toLowerCase();
     return supportedExtensions.includes(extension);
 }
 
+/**
+ * Check if a file name or File object refers to a DICOM file
+ * @param {File|string} file - File or file name/URL to check
+ * @returns {boolean} True if the MIME type or extension indicates DICOM
+ */
+export function isDicomFile(file) {
+    if (!file) return false;
+
+    if (typeof file !== 'string' && file.type === 'application/dicom') {
+        return true;
+    }
+
+    const name = typeof file === 'string' ? file.split(/[?#]/)[0] : file.name;
+    const extension = getFileExtension(name || '').toLowerCase();
+    return extension === 'dcm' || extension === 'dicom';
+}
+
 /**
  * Debounce function for performance optimization
  * @param {Function} func - Function to debounce
@@ -351,7 +680,7 @@ export const requestAnimFrame = (function() {
  */
 export function validateImageFile(file) {
     const maxSize = 50 * 1024 * 1024; // 50MB
-    const allowedTypes = ['image/jpeg', 'image/png', 'image/webp', 'image/gif', 'image/bmp'];
+    const allowedTypes = ['image/jpeg', 'image/png', 'image/webp', 'image/gif', 'image/bmp', 'application/dicom'];
     
     if (!file) {
         throw new Error('No file provided');
@@ -361,9 +690,39 @@ export function validateImageFile(file) {
         throw new Error('File too large (max 50MB)');
     }
     
-    if (!allowedTypes.includes(file.type)) {
+    // DICOM files are often reported without a MIME type, so also accept them by extension
+    if (!allowedTypes.includes(file.type) && !isDicomFile(file)) {
         throw new Error('Unsupported file type');
     }
     
     return true;
-}
\ No newline at end of file
+}
+
+/**
+ * Create an element with an optional class and text
+ * @param {string} tag - Tag name
+ * @param {string} [className=''] - Class attribute
+ * @param {string} [text=''] - Text content
+ * @returns {HTMLElement} Element
+ */
+export function createElement(tag, className = '', text = '') {
+    const element = document.createElement(tag);
+    if (className) element.className = className;
+    if (text) element.textContent = text;
+    return element;
+}
+
+/**
+ * Save a blob as a download
+ * @param {Blob} blob - File contents
+ * @param {string} name - Suggested file name
+ */
+export function downloadBlob(blob, name) {
+    const link = document.createElement('a');
+    link.download = name;
+    link.href = URL.createObjectURL(blob);
+    link.click();
+
+    // Revoked later, as some browsers start the download after click() returns
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+}
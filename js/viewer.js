@@ -3,8 +3,55 @@
  * FIXED: GPU acceleration for Edge compatibility, performance optimizations
  */
 
-import { ImageProcessor } from './image-processor.js';
-import { CONFIG } from './controls.js';
+import { ImageProcessor, NOISE_FILTERS, EQUALIZATION_METHODS } from './image-processor.js';
+import { CONFIG, WINDOW_PRESETS } from './controls.js';
+import { DicomParser, decodeDicomFrame, getModalityValues } from './dicom-parser.js';
+import { isDicomFile, validateImageFile } from './utils.js';
+import languageManager from './language-manager.js';
+import { Overlay } from './overlay.js';
+import { MeasurementLayer } from './measurement-tools.js';
+import { AnnotationLayer } from './annotation-tools.js';
+import { RoiLayer } from './roi-tools.js';
+import { ProfileLayer } from './line-profile.js';
+import { UndoHistory } from './undo-history.js';
+import { WorkerProcessor } from './worker-processor.js';
+import { createCurveLut, createDefaultCurve, drawCurve, isIdentityCurve, normalizeCurve } from './curve-editor.js';
+import { COLOR_MAPS, createColorMapLut, drawColorBar } from './color-maps.js';
+import {
+    changeTransform, createTransform, getTransformGeometry, isIdentityTransform, normalizeTransform, transformImage
+} from './image-transform.js';
+import { TransformLayer, getStraightenAngle } from './transform-tools.js';
+import { Loupe } from './loupe.js';
+
+/**
+ * Copy the adjustments and geometry of a viewer state, dropping invalid ones. Used for states
+ * that come from files (mounts, case packages) before they reach applyState().
+ * @param {Object} state - State from RadiographViewer.getState() or a file
+ * @returns {Object|null} Adjustments, or null if nothing usable is left
+ */
+export function normalizeAdjustments(state) {
+    if (!state || typeof state !== 'object') return null;
+
+    const number = (value) => typeof value === 'number' && isFinite(value);
+    const result = {};
+
+    ['brightness', 'contrast', 'edgeEnhancement', 'noiseStrength', 'claheTileSize', 'claheClipLimit',
+        'windowCenter', 'windowWidth'].forEach(key => {
+        if (number(state[key])) result[key] = state[key];
+    });
+    if (typeof state.isInverted === 'boolean') result.isInverted = state.isInverted;
+    if (NOISE_FILTERS.includes(state.noiseFilter)) result.noiseFilter = state.noiseFilter;
+    if (EQUALIZATION_METHODS.includes(state.equalization)) result.equalization = state.equalization;
+    if (COLOR_MAPS.includes(state.colorMap)) result.colorMap = state.colorMap;
+    if (state.adjustmentMode === 'brightnessContrast' || state.adjustmentMode === 'windowLevel') {
+        result.adjustmentMode = state.adjustmentMode;
+    }
+    if (typeof state.windowPreset === 'string') result.windowPreset = state.windowPreset;
+    if (state.toneCurve !== undefined) result.toneCurve = state.toneCurve ? normalizeCurve(state.toneCurve) : null;
+    if (state.transform) result.transform = normalizeTransform(state.transform);
+
+    return Object.keys(result).length > 0 ? result : null;
+}
 
 /**
  * Main RadiographViewer class
@@ -13,10 +60,10 @@ import { CONFIG } from './controls.js';
 export class RadiographViewer {
     /**
      * Create a new RadiographViewer instance
-     * @param {string} canvasId - ID of the canvas element
+     * @param {string|HTMLCanvasElement} canvasId - ID of the canvas element, or the canvas itself
      */
     constructor(canvasId) {
-        this.canvas = document.getElementById(canvasId);
+        this.canvas = typeof canvasId === 'string' ? document.getElementById(canvasId) : canvasId;
         if (!this.canvas) {
             throw new Error(`Canvas element with ID '${canvasId}' not found`);
         }
@@ -25,9 +72,32 @@ export class RadiographViewer {
             alpha: false,
             willReadFrequently: true 
         });
+        // The image as loaded, and the rotated/flipped/cropped image everything else works on
+        this.sourceImage = null;
         this.originalImage = null;
+        this.transform = createTransform();
         this.imageProcessor = new ImageProcessor();
 
+        // Processing for display runs in a worker where available
+        this.workerProcessor = new WorkerProcessor(this.imageProcessor);
+
+        // URL of the current image, null for local files (used for shareable links)
+        this.imageSource = null;
+        this.imageInfo = null;
+
+        // Local file of the current image, kept so the session can be stored and restored
+        this.imageFile = null;
+
+        // Library or package case the current image was opened from, set by the library
+        this.caseEntry = null;
+
+        // Only the active viewer updates the shared header controls and info panel (see SplitView)
+        this.isActive = true;
+
+        // Processed display values and the 8-bit buffer painted from them
+        this.displayData = null;
+        this.paintData = null;
+
         // View state
         this.zoom = 1;
         this.panX = 0;
@@ -39,6 +109,36 @@ export class RadiographViewer {
         this.edgeEnhancement = 0;
         this.isInverted = false;
 
+        // Noise reduction filter (NOISE_FILTERS) and its strength
+        this.noiseFilter = 'none';
+        this.noiseStrength = 3;
+
+        // Histogram equalization (EQUALIZATION_METHODS) and the CLAHE settings
+        this.equalization = 'none';
+        this.claheTileSize = 64;
+        this.claheClipLimit = 2.5;
+
+        // Histogram of the values entering equalization, from the last processing run
+        this.equalizationHistogram = null;
+
+        // Edited transfer curve (see curve-editor.js) and its lookup table; null for the identity
+        this.toneCurve = null;
+        this.toneCurveLut = null;
+
+        // Pseudocolor map (COLOR_MAPS) used when painting, and its lookup table; null paints grey
+        this.colorMap = 'grey';
+        this.colorMapLut = null;
+
+        // Window level / window width, in source value units
+        this.adjustmentMode = 'brightnessContrast';
+        this.windowCenter = 127.5;
+        this.windowWidth = 255;
+        this.windowPreset = 'default';
+        this.sourceHistogram = null;
+
+        // Physical size of a pixel in mm ({row, column, source}), null if unknown
+        this.pixelSpacing = null;
+
         // Track unsaved changes
         this.originalState = null;
 
@@ -54,6 +154,26 @@ export class RadiographViewer {
 
         // Initialize
         this.setupCanvas();
+
+        // Vector overlay for annotations and measurements, drawn in screen space above the image
+        this.overlay = new Overlay(this);
+        this.annotations = this.overlay.addLayer(new AnnotationLayer(this));
+        this.measurements = this.overlay.addLayer(new MeasurementLayer(this));
+        this.rois = this.overlay.addLayer(new RoiLayer(this));
+        this.profile = this.overlay.addLayer(new ProfileLayer(this));
+        this.overlay.addLayer(new TransformLayer(this));
+
+        // Magnifier lens following the pointer, with its own magnification and processing
+        this.loupe = new Loupe(this);
+
+        // Undo/redo of adjustments, view and overlay state
+        this.history = new UndoHistory(this);
+
+        // The info panel is rebuilt on language change, refill the scale and relabel the overlay
+        window.addEventListener('languageChanged', () => {
+            this.updateScaleInfo();
+            this.overlay.requestRender();
+        });
     }
 
     /**
@@ -112,16 +232,21 @@ export class RadiographViewer {
 
     /**
      * Load an image from a File object
-     * @param {File} file - Image file to load
+     * @param {File} file - Image or DICOM file to load
      * @returns {Promise<void>}
      */
     loadImage(file) {
-        return new Promise((resolve, reject) => {
-            if (!file || !file.type.startsWith('image/')) {
-                reject(new Error('Invalid image file'));
-                return;
-            }
+        try {
+            validateImageFile(file);
+        } catch (error) {
+            return Promise.reject(error);
+        }
+
+        if (isDicomFile(file)) {
+            return this.loadDicomFile(file);
+        }
 
+        return new Promise((resolve, reject) => {
             this.showLoading();
 
             const reader = new FileReader();
@@ -130,7 +255,7 @@ export class RadiographViewer {
                 const img = new Image();
 
                 img.onload = () => {
-                    this.setImage(img);
+                    this.setImage(this.luminanceFromElement(img), null, file);
                     this.updateInfo(file.name, `${img.width} x ${img.height}px`);
                     this.announceToScreenReader(`Image loaded: ${file.name}, ${img.width} by ${img.height} pixels`);
                     this.hideLoading();
@@ -152,12 +277,128 @@ export class RadiographViewer {
         });
     }
 
+    /**
+     * Load a DICOM file from a File object
+     * @param {File} file - DICOM file to load
+     * @returns {Promise<void>}
+     */
+    loadDicomFile(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+
+            reader.onload = (e) => {
+                this.loadDicomBuffer(e.target.result, file.name, null, file).then(resolve, reject);
+            };
+
+            reader.onerror = () => {
+                reject(new Error('Failed to read file'));
+            };
+            reader.readAsArrayBuffer(file);
+        });
+    }
+
+    /**
+     * Parse DICOM file contents and display the image
+     * @param {ArrayBuffer} buffer - DICOM Part 10 file contents
+     * @param {string} name - Name shown in the info panel
+     * @param {string|null} [source=null] - URL the file was loaded from, null for local files
+     * @param {File|null} [file=null] - Local file the buffer was read from
+     * @returns {Promise<void>}
+     */
+    async loadDicomBuffer(buffer, name, source = null, file = null) {
+        this.showLoading();
+
+        try {
+            const { image, dicom } = await this.createDicomImage(buffer);
+            this.setImage(image, source, file);
+            this.updateInfo(name, `${image.width} x ${image.height}px, ${dicom.bitsStored}-bit DICOM`);
+            this.announceToScreenReader(`Image loaded: ${name}, ${image.width} by ${image.height} pixels`);
+        } finally {
+            this.hideLoading();
+        }
+    }
+
+    /**
+     * Decode a DICOM file into a luminance image holding its modality values.
+     * The embedded window becomes the default window, or the full value range if the file has none.
+     * @param {ArrayBuffer} buffer - DICOM Part 10 file contents
+     * @returns {Promise<{image: LuminanceImage, dicom: Object}>}
+     */
+    async createDicomImage(buffer) {
+        const dicom = new DicomParser().parse(buffer);
+        const storedValues = await decodeDicomFrame(dicom);
+        const values = getModalityValues(dicom, storedValues);
+
+        const window = dicom.windowCenter !== null && dicom.windowWidth !== null
+            ? { center: dicom.windowCenter, width: dicom.windowWidth }
+            : undefined;
+
+        const image = this.imageProcessor.createLuminanceImage(values, dicom.columns, dicom.rows, {
+            bitDepth: dicom.bitsStored,
+            window,
+            monochrome1: dicom.photometricInterpretation === 'MONOCHROME1',
+            pixelSpacing: dicom.pixelSpacing,
+            hounsfield: dicom.modality === 'CT' || dicom.rescaleType === 'HU'
+        });
+
+        return { image, dicom };
+    }
+
+    /**
+     * Render a DICOM file to a greyscale canvas with its default window
+     * @param {ArrayBuffer} buffer - DICOM Part 10 file contents
+     * @returns {Promise<{canvas: HTMLCanvasElement, dicom: Object}>}
+     */
+    async createDicomCanvas(buffer) {
+        const { image, dicom } = await this.createDicomImage(buffer);
+        const values = this.imageProcessor.process(image, {});
+
+        const canvas = document.createElement('canvas');
+        canvas.width = image.width;
+        canvas.height = image.height;
+        canvas.getContext('2d').putImageData(
+            this.imageProcessor.toImageData(values, image.width, image.height), 0, 0);
+
+        return { canvas, dicom };
+    }
+
+    /**
+     * Convert a decoded image element to an 8-bit luminance image
+     * @private
+     * @param {HTMLImageElement} img - Loaded image element
+     * @returns {LuminanceImage} Luminance image
+     */
+    luminanceFromElement(img) {
+        const canvas = document.createElement('canvas');
+        canvas.width = img.width;
+        canvas.height = img.height;
+
+        const ctx = canvas.getContext('2d', { willReadFrequently: true });
+        ctx.drawImage(img, 0, 0);
+
+        const imageData = ctx.getImageData(0, 0, img.width, img.height);
+        return this.imageProcessor.createLuminanceImage(
+            this.imageProcessor.luminanceFromImageData(imageData), img.width, img.height,
+            { bitDepth: 8, min: 0, max: 255 });
+    }
+
     /**
      * Load an image from a URL
-     * @param {string} url - Image URL
+     * @param {string} url - Image or DICOM URL
      * @returns {Promise<void>}
      */
     loadImageFromUrl(url) {
+        if (url && isDicomFile(url)) {
+            return fetch(url)
+                .then(response => {
+                    if (!response.ok) {
+                        throw new Error('Failed to load image from URL');
+                    }
+                    return response.arrayBuffer();
+                })
+                .then(buffer => this.loadDicomBuffer(buffer, url.split('/').pop() || 'image.dcm', url));
+        }
+
         return new Promise((resolve, reject) => {
             if (!url) {
                 reject(new Error('No URL provided'));
@@ -171,7 +412,7 @@ export class RadiographViewer {
 
             img.onload = () => {
                 const filename = url.split('/').pop() || 'image';
-                this.setImage(img);
+                this.setImage(this.luminanceFromElement(img), url);
                 this.updateInfo(filename, `${img.width} x ${img.height}px`);
                 this.announceToScreenReader(`Image loaded: ${filename}, ${img.width} by ${img.height} pixels`);
                 this.hideLoading();
@@ -186,19 +427,84 @@ export class RadiographViewer {
         });
     }
 
+    /**
+     * Decode an image or DICOM file without displaying it
+     * @param {File|string} source - Local file, or image/DICOM URL
+     * @returns {Promise<LuminanceImage>} Decoded image
+     */
+    async readImage(source) {
+        const isFile = typeof source !== 'string';
+        if (isFile) {
+            validateImageFile(source);
+        }
+
+        if (isDicomFile(source)) {
+            let buffer;
+            if (isFile) {
+                buffer = await source.arrayBuffer();
+            } else {
+                const response = await fetch(source);
+                if (!response.ok) {
+                    throw new Error('Failed to load image from URL');
+                }
+                buffer = await response.arrayBuffer();
+            }
+            return (await this.createDicomImage(buffer)).image;
+        }
+
+        const url = isFile ? URL.createObjectURL(source) : source;
+        try {
+            const img = await new Promise((resolve, reject) => {
+                const img = new Image();
+                if (!isFile) img.crossOrigin = 'anonymous';
+                img.onload = () => resolve(img);
+                img.onerror = () => reject(new Error('Failed to load image'));
+                img.src = url;
+            });
+            return this.luminanceFromElement(img);
+        } finally {
+            if (isFile) URL.revokeObjectURL(url);
+        }
+    }
+
     /**
      * Set the current image and reset the viewer state.
      * @private
-     * @param {HTMLImageElement} img - Image element
+     * @param {LuminanceImage} image - Decoded single-channel image
+     * @param {string|null} [source=null] - URL the image was loaded from, null for local files
+     * @param {File|null} [file=null] - Local file the image was read from
      */
-    setImage(img) {
-        this.originalImage = img;
+    setImage(image, source = null, file = null) {
+        this.sourceImage = image;
+        this.originalImage = image;
+        this.transform = createTransform();
+        this.imageSource = source;
+        this.imageFile = file;
+        this.caseEntry = null;
+        this.displayData = null;
+        this.sourceHistogram = null;
 
         // Reset all settings to defaults first
         this.brightness = 0;
         this.contrast = 0;
         this.edgeEnhancement = 0;
         this.isInverted = false;
+        this.noiseFilter = 'none';
+        this.noiseStrength = 3;
+        this.equalization = 'none';
+        this.equalizationHistogram = null;
+        this.setToneCurveValue(null);
+        this.setColorMapValue('grey');
+        this.windowCenter = image.defaultWindow.center;
+        this.windowWidth = image.defaultWindow.width;
+        this.windowPreset = 'default';
+
+        // Measurements belong to the previous image
+        this.overlay.reset();
+        this.pixelSpacing = image.pixelSpacing
+            ? { row: image.pixelSpacing[0], column: image.pixelSpacing[1], source: 'dicom' }
+            : null;
+        this.updateScaleInfo();
 
         // Update UI controls to reflect defaults
         this.updateUIControls();
@@ -210,11 +516,47 @@ export class RadiographViewer {
         this.saveOriginalState();
 
         // Update UI panels
-        document.getElementById('instructions').style.display = 'none';
-        document.getElementById('infoPanel').style.display = 'block';
+        this.updatePanels();
         
         // Update histogram if visible
         this.updateHistogram();
+
+        // History starts from the freshly loaded image
+        this.history.reset();
+
+        window.dispatchEvent(new CustomEvent('imageLoaded', {
+            detail: { viewer: this }
+        }));
+    }
+
+    /**
+     * Show the instructions until an image is loaded, then the info panel
+     * @private
+     */
+    updatePanels() {
+        if (!this.isActive) return;
+
+        document.getElementById('instructions').style.display = this.hasImage() ? 'none' : '';
+        document.getElementById('infoPanel').style.display = this.hasImage() ? 'block' : 'none';
+    }
+
+    /**
+     * Fill the shared controls, info panel, histogram and undo buttons from this viewer,
+     * e.g. after it became the active pane
+     */
+    refreshUI() {
+        if (!this.isActive) return;
+
+        this.updatePanels();
+        this.updateUIControls();
+        this.updateZoomDisplay();
+        this.updateScaleInfo();
+        if (this.imageInfo) {
+            this.updateInfo(this.imageInfo.name, this.imageInfo.size);
+        }
+        this.updateHistogram();
+        this.profile.updatePanel();
+        this.history.updateButtons();
     }
 
     /**
@@ -222,12 +564,20 @@ export class RadiographViewer {
      * @private
      */
     updateUIControls() {
+        if (!this.isActive) return;
+
         document.getElementById('brightness').value = this.brightness;
         document.getElementById('contrast').value = this.contrast;
         document.getElementById('edgeEnhancement').value = this.edgeEnhancement;
         document.getElementById('brightnessValue').textContent = Math.round(this.brightness);
         document.getElementById('contrastValue').textContent = Math.round(this.contrast);
         document.getElementById('edgeValue').textContent = this.edgeEnhancement.toFixed(1);
+        this.updateNoiseControls();
+        this.updateEqualizationControls();
+        this.updateCurveControls();
+        this.updateColorMapControls();
+        this.updateTransformControls();
+        this.loupe.updateControls();
         
         const invertBtn = document.getElementById('invertBtn');
         if (this.isInverted) {
@@ -237,6 +587,83 @@ export class RadiographViewer {
             invertBtn.classList.remove('active');
             invertBtn.setAttribute('aria-pressed', 'false');
         }
+
+        this.updateWindowLevelControls();
+    }
+
+    /**
+     * Update the noise filter select and strength slider
+     * @private
+     */
+    updateNoiseControls() {
+        if (!this.isActive) return;
+
+        const strengthSlider = document.getElementById('noiseStrength');
+        document.getElementById('noiseFilter').value = this.noiseFilter;
+        strengthSlider.value = this.noiseStrength;
+        strengthSlider.disabled = this.noiseFilter === 'none';
+        strengthSlider.setAttribute('aria-valuenow', this.noiseStrength);
+        document.getElementById('noiseValue').textContent = this.noiseStrength;
+    }
+
+    /**
+     * Update the equalization select and show the CLAHE settings when CLAHE is selected
+     * @private
+     */
+    updateEqualizationControls() {
+        if (!this.isActive) return;
+
+        const clipSlider = document.getElementById('claheClipLimit');
+        document.getElementById('equalization').value = this.equalization;
+        document.getElementById('claheTileSize').value = String(this.claheTileSize);
+        clipSlider.value = this.claheClipLimit;
+        clipSlider.setAttribute('aria-valuenow', this.claheClipLimit);
+        document.getElementById('claheClipValue').textContent = this.claheClipLimit.toFixed(1);
+
+        document.querySelectorAll('.clahe-control').forEach(group => {
+            group.style.display = this.equalization === 'clahe' ? '' : 'none';
+        });
+    }
+
+    /**
+     * Update window level inputs and show the controls for the current adjustment mode
+     * @private
+     */
+    updateWindowLevelControls() {
+        if (!this.isActive) return;
+
+        const windowLevel = this.adjustmentMode === 'windowLevel';
+        const decimals = this.getWindowDecimals();
+
+        document.getElementById('windowCenter').value = this.windowCenter.toFixed(decimals);
+        document.getElementById('windowWidth').value = this.windowWidth.toFixed(decimals);
+        document.getElementById('windowPreset').value = this.windowPreset;
+
+        document.querySelectorAll('.brightness-contrast-control').forEach(group => {
+            group.style.display = windowLevel ? 'none' : '';
+        });
+        document.querySelectorAll('.window-level-control').forEach(group => {
+            group.style.display = windowLevel ? '' : 'none';
+        });
+
+        const modeBtn = document.getElementById('windowLevelBtn');
+        modeBtn.classList.toggle('active', windowLevel);
+        modeBtn.setAttribute('aria-pressed', windowLevel ? 'true' : 'false');
+
+        const histogramPanel = document.getElementById('histogramPanel');
+        if (histogramPanel) {
+            histogramPanel.classList.toggle('window-level', windowLevel);
+        }
+    }
+
+    /**
+     * Number of decimals to show for window values; small value ranges need fractions
+     * @private
+     */
+    getWindowDecimals() {
+        if (!this.originalImage) return 0;
+        const range = this.originalImage.max - this.originalImage.min;
+        return range >= 100 ? 0 : (range >= 1 ? 2 : 4);
     }
 
     /**
@@ -247,6 +674,17 @@ export class RadiographViewer {
         this.contrast = 0;
         this.edgeEnhancement = 0;
         this.isInverted = false;
+        this.noiseFilter = 'none';
+        this.noiseStrength = 3;
+        this.equalization = 'none';
+        this.setToneCurveValue(null);
+        this.setColorMapValue('grey');
+
+        if (this.originalImage) {
+            this.windowCenter = this.originalImage.defaultWindow.center;
+            this.windowWidth = this.originalImage.defaultWindow.width;
+            this.windowPreset = 'default';
+        }
 
         // Update UI controls
         this.updateUIControls();
@@ -261,6 +699,9 @@ export class RadiographViewer {
      * Complete reset - both view and adjustments
      */
     resetAll() {
+        if (this.sourceImage && !isIdentityTransform(this.transform)) {
+            this.applyTransform(createTransform());
+        }
         this.resetView();
         this.resetAdjustments();
     }
@@ -304,47 +745,45 @@ export class RadiographViewer {
     
     /**
      * Process and render the image with current adjustments.
-     * OPTIMIZED: Prevents unnecessary redraws
+     * OPTIMIZED: Prevents unnecessary redraws. One job runs at a time; a request made while it
+     * runs cancels it, and all such requests collapse into a single follow-up job with the latest
+     * settings. A stale result that still arrives is not painted.
      */
     processImage() {
         if (!this.originalImage) return;
 
+        this.notifyStateChanged();
+
         // Prevent concurrent processing
         if (this.isProcessing) {
             this.processingQueued = true;
+            this.workerProcessor.cancel();
             return;
         }
 
         this.isProcessing = true;
 
-        // Use requestAnimationFrame for smoother rendering
-        requestAnimationFrame(() => {
-            try {
-                // Clear and draw original image
-                this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
-                this.ctx.drawImage(this.originalImage, 0, 0);
-
-                // Only apply processing if there are actual adjustments
-                const hasAdjustments = this.brightness !== 0 || 
-                                      this.contrast !== 0 || 
-                                      this.edgeEnhancement !== 0 || 
-                                      this.isInverted;
-
-                if (hasAdjustments) {
-                    let imageData = this.ctx.getImageData(0, 0, this.canvas.width, this.canvas.height);
-
-                    imageData = this.imageProcessor.process(imageData, {
-                        brightness: this.brightness,
-                        contrast: this.contrast,
-                        edgeEnhancement: this.edgeEnhancement,
-                        invert: this.isInverted
-                    });
-
-                    this.ctx.putImageData(imageData, 0, 0);
-                }
-                
+        const image = this.originalImage;
+
+        // Process the full-depth luminance buffer, then map to 8-bit only for painting
+        this.workerProcessor.process(image, this.getProcessingParams())
+            .then(({ values, info }) => {
+                // A different image was loaded, or the settings changed, while this one was processed
+                if (image !== this.originalImage || this.processingQueued) return;
+
+                this.displayData = values;
+                this.equalizationHistogram = info.equalizationInput || null;
+                this.paint();
                 this.updateHistogram();
-            } finally {
+                this.profile.updatePanel();
+            })
+            .catch(error => {
+                // Cancelled for newer settings, which the queued job processes
+                if (error.name === 'AbortError') return;
+
+                console.error('Image processing failed:', error);
+            })
+            .finally(() => {
                 this.isProcessing = false;
 
                 // Process queued request if any
@@ -352,10 +791,131 @@ export class RadiographViewer {
                     this.processingQueued = false;
                     this.processImage();
                 }
-            }
-        });
+            });
     }
     
+    /**
+     * Paint the display values with the current colour map
+     * @private
+     */
+    paint() {
+        const { width, height } = this.originalImage;
+        this.paintData = this.imageProcessor.toImageData(this.displayData, width, height, this.paintData,
+            this.colorMapLut);
+        this.ctx.putImageData(this.paintData, 0, 0);
+        this.loupe.requestRender();
+    }
+
+    /**
+     * Collect the processing parameters for the current adjustment mode
+     * @private
+     * @returns {Object} Parameters for ImageProcessor.process
+     */
+    getProcessingParams() {
+        const windowLevel = this.adjustmentMode === 'windowLevel';
+
+        return {
+            brightness: windowLevel ? 0 : this.brightness,
+            contrast: windowLevel ? 0 : this.contrast,
+            window: windowLevel ? { center: this.windowCenter, width: this.windowWidth } : null,
+            noiseReduction: { filter: this.noiseFilter, strength: this.noiseStrength },
+            equalization: {
+                method: this.equalization,
+                tileSize: this.claheTileSize,
+                clipLimit: this.claheClipLimit
+            },
+            toneCurve: windowLevel ? null : this.toneCurveLut,
+            edgeEnhancement: this.edgeEnhancement,
+            invert: this.isInverted
+        };
+    }
+
+    /**
+     * Switch between brightness/contrast and window level/width adjustment
+     * @param {string} mode - 'brightnessContrast' or 'windowLevel'
+     */
+    setAdjustmentMode(mode) {
+        if (mode !== 'brightnessContrast' && mode !== 'windowLevel') return;
+
+        this.adjustmentMode = mode;
+        this.updateUIControls();
+
+        if (this.hasImage()) {
+            this.processImage();
+        }
+
+        this.announceToScreenReader(mode === 'windowLevel'
+            ? 'Window level mode'
+            : 'Brightness and contrast mode');
+    }
+
+    /**
+     * Toggle window level/width mode
+     */
+    toggleWindowLevelMode() {
+        this.setAdjustmentMode(this.adjustmentMode === 'windowLevel' ? 'brightnessContrast' : 'windowLevel');
+    }
+
+    /**
+     * Set window center and width
+     * @param {number} center - Window center (level) in source value units
+     * @param {number} width - Window width in source value units
+     * @param {string} [preset=''] - Name of the preset the values came from, empty for custom values
+     */
+    setWindowLevel(center, width, preset = '') {
+        if (!this.originalImage || !isFinite(center) || !isFinite(width)) return;
+
+        const { min, max } = this.originalImage;
+        const range = Math.max(max - min, Number.EPSILON);
+
+        this.windowCenter = Math.max(min - range, Math.min(max + range, center));
+        this.windowWidth = Math.max(range / 4096, Math.min(range * 4, width));
+        this.windowPreset = preset;
+
+        this.updateWindowLevelControls();
+        this.processImageDebounced();
+    }
+
+    /**
+     * Apply a window preset for an exam type
+     * @param {string} name - Key of WINDOW_PRESETS, or 'default' for the image's own window
+     */
+    applyWindowPreset(name) {
+        const values = this.getWindowPresetValues(name);
+        if (!values) return;
+
+        this.setWindowLevel(values.center, values.width, name);
+        this.announceToScreenReader(`Window center ${Math.round(values.center)}, width ${Math.round(values.width)}`);
+    }
+
+    /**
+     * Resolve a window preset against the current image's value range
+     * @param {string} name - Preset name
+     * @returns {{center: number, width: number}|null} Window in source value units
+     */
+    getWindowPresetValues(name) {
+        if (!this.originalImage) return null;
+
+        if (name === 'default') {
+            return { ...this.originalImage.defaultWindow };
+        }
+
+        const preset = WINDOW_PRESETS[name];
+        if (!preset) return null;
+
+        // Calibrated CT values can use absolute Hounsfield windows
+        if (preset.hounsfield && this.originalImage.hounsfield) {
+            return { ...preset.hounsfield };
+        }
+
+        const { min, max } = this.originalImage;
+        const range = max - min;
+        return {
+            center: min + preset.center * range,
+            width: preset.width * range
+        };
+    }
+
     /**
      * Set brightness value
      * @param {number} value - Brightness value (-100 to 100)
@@ -384,60 +944,222 @@ export class RadiographViewer {
     }
 
     /**
-     * Toggle image inversion
+     * Select the noise reduction filter
+     * @param {string} filter - One of NOISE_FILTERS
      */
-    toggleInvert() {
-        if (!this.originalImage) return;
-        this.isInverted = !this.isInverted;
-        
-        const invertBtn = document.getElementById('invertBtn');
-        invertBtn.setAttribute('aria-pressed', this.isInverted ? 'true' : 'false');
-        
-        this.processImage();
-        this.announceToScreenReader(this.isInverted ? 'Image inverted' : 'Image normal');
+    setNoiseFilter(filter) {
+        if (!NOISE_FILTERS.includes(filter)) return;
+
+        this.noiseFilter = filter;
+        this.updateNoiseControls();
+        this.processImageDebounced();
     }
-    
+
     /**
-     * Get current image histogram data
-     * @returns {Object|null} Histogram data or null if no image
+     * Set the noise filter strength
+     * @param {number} value - Strength (1 to 10)
      */
-    getHistogramData() {
-        if (!this.originalImage) return null;
-        const imageData = this.ctx.getImageData(0, 0, this.canvas.width, this.canvas.height);
-        return this.imageProcessor.calculateHistogram(imageData);
+    setNoiseStrength(value) {
+        this.noiseStrength = Math.max(1, Math.min(10, Math.round(value)));
+        this.processImageDebounced();
     }
-    
+
     /**
-     * Draw histogram in the histogram panel with transfer curve overlay.
+     * Select the histogram equalization method
+     * @param {string} method - One of EQUALIZATION_METHODS
      */
-    drawHistogram() {
-        const canvas = document.getElementById('histogramCanvas');
-        if (!canvas || !this.hasImage()) return;
+    setEqualization(method) {
+        if (!EQUALIZATION_METHODS.includes(method)) return;
 
-        const ctx = canvas.getContext('2d');
-        const histData = this.getHistogramData();
-        if (!histData) return;
+        this.equalization = method;
+        this.updateEqualizationControls();
+        this.processImageDebounced();
+    }
 
-        ctx.clearRect(0, 0, canvas.width, canvas.height);
+    /**
+     * Set the CLAHE tile size
+     * @param {number} size - Tile edge in pixels (16 to 512)
+     */
+    setClaheTileSize(size) {
+        if (!isFinite(size)) return;
+        this.claheTileSize = Math.max(16, Math.min(512, Math.round(size)));
+        this.processImageDebounced();
+    }
 
-        const width = canvas.width;
-        const height = canvas.height;
-        const maxValue = Math.max(...histData.luminance);
+    /**
+     * Set the CLAHE clip limit
+     * @param {number} value - Clip limit (1 to 10)
+     */
+    setClaheClipLimit(value) {
+        this.claheClipLimit = Math.max(1, Math.min(10, value));
+        this.processImageDebounced();
+    }
 
-        if (maxValue === 0) return;
+    /**
+     * Set the transfer curve applied after brightness and contrast
+     * @param {Object|null} curve - Curve from curve-editor.js, null for the identity
+     */
+    setToneCurve(curve) {
+        this.setToneCurveValue(curve);
+        this.updateCurveControls();
+        this.processImageDebounced();
+    }
 
-        // Draw histogram bars
-        ctx.fillStyle = 'rgba(255, 255, 255, 0.3)';
-        for (let i = 0; i < 256; i++) {
-            const barHeight = (histData.luminance[i] / maxValue) * height * 0.8;
-            const x = (i / 255) * width;
-            ctx.fillRect(x, height - barHeight, width / 256, barHeight);
-        }
+    /**
+     * Store a curve and its lookup table; identity curves are dropped so processing skips them
+     * @private
+     */
+    setToneCurveValue(curve) {
+        const valid = normalizeCurve(curve);
+        this.toneCurve = valid;
+        this.toneCurveLut = valid && !isIdentityCurve(valid) ? createCurveLut(valid) : null;
+    }
 
-        // Draw grid lines
-        ctx.strokeStyle = '#444444';
-        ctx.lineWidth = 0.5;
-        
+    /**
+     * Update the curve type select in the histogram panel
+     * @private
+     */
+    updateCurveControls() {
+        if (!this.isActive) return;
+
+        const curveType = document.getElementById('curveType');
+        if (curveType) {
+            curveType.value = this.toneCurve ? this.toneCurve.type : 'linear';
+        }
+    }
+
+    /**
+     * Select the pseudocolor map. Only painting changes, so the image isn't processed again.
+     * @param {string} name - One of COLOR_MAPS
+     */
+    setColorMap(name) {
+        if (!COLOR_MAPS.includes(name)) return;
+
+        this.setColorMapValue(name);
+        this.updateColorMapControls();
+
+        if (this.displayData) {
+            this.paint();
+            this.notifyStateChanged();
+        }
+    }
+
+    /**
+     * @private
+     */
+    setColorMapValue(name) {
+        this.colorMap = name;
+        this.colorMapLut = createColorMapLut(name);
+    }
+
+    /**
+     * Update the colour map select and the colour bar next to the histogram
+     * @private
+     */
+    updateColorMapControls() {
+        if (!this.isActive) return;
+
+        document.getElementById('colorMap').value = this.colorMap;
+
+        const histogramPanel = document.getElementById('histogramPanel');
+        if (histogramPanel) {
+            histogramPanel.classList.toggle('color-mapped', this.colorMapLut !== null);
+        }
+
+        const colorBar = document.getElementById('colorBar');
+        if (colorBar) {
+            drawColorBar(colorBar, this.colorMapLut);
+        }
+    }
+
+    /**
+     * Toggle image inversion
+     */
+    toggleInvert() {
+        if (!this.originalImage) return;
+        this.isInverted = !this.isInverted;
+        
+        if (this.isActive) {
+            const invertBtn = document.getElementById('invertBtn');
+            invertBtn.setAttribute('aria-pressed', this.isInverted ? 'true' : 'false');
+        }
+        
+        this.processImage();
+        this.announceToScreenReader(this.isInverted ? 'Image inverted' : 'Image normal');
+    }
+    
+    /**
+     * Get current image histogram data
+     * @returns {Object|null} Histogram data or null if no image
+     */
+    getHistogramData() {
+        if (!this.originalImage || !this.displayData) return null;
+        return this.imageProcessor.calculateHistogram({ data: this.displayData });
+    }
+
+    /**
+     * Get the histogram of the unprocessed source values, binned over the image's value range
+     * @returns {Object|null} Histogram data or null if no image
+     */
+    getSourceHistogramData() {
+        if (!this.originalImage) return null;
+
+        if (!this.sourceHistogram) {
+            const { min, max } = this.originalImage;
+            this.sourceHistogram = this.imageProcessor.calculateHistogram(this.originalImage, { min, max });
+        }
+
+        return this.sourceHistogram;
+    }
+    
+    /**
+     * Draw histogram in the histogram panel with transfer curve overlay.
+     */
+    drawHistogram() {
+        const canvas = document.getElementById('histogramCanvas');
+        if (!canvas || !this.hasImage()) return;
+
+        const ctx = canvas.getContext('2d');
+
+        // In window level mode the x axis is the source value range, so show the source distribution
+        const windowLevel = this.adjustmentMode === 'windowLevel';
+        const histData = windowLevel ? this.getSourceHistogramData() : this.getHistogramData();
+        if (!histData) return;
+
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+
+        const width = canvas.width;
+        const height = canvas.height;
+        const maxValue = Math.max(...histData.luminance);
+
+        if (maxValue === 0) return;
+
+        // Draw histogram bars
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.3)';
+        for (let i = 0; i < 256; i++) {
+            const barHeight = (histData.luminance[i] / maxValue) * height * 0.8;
+            const x = (i / 255) * width;
+            ctx.fillRect(x, height - barHeight, width / 256, barHeight);
+        }
+
+        // With equalization the bars are the result; outline the distribution it started from
+        const before = windowLevel ? null : this.equalizationHistogram;
+        const histogramPanel = document.getElementById('histogramPanel');
+        if (histogramPanel) {
+            histogramPanel.classList.toggle('equalized', Boolean(before));
+        }
+        if (before) {
+            this.drawHistogramOutline(ctx, before, width, height);
+        }
+
+        // Histograms of the selected regions of interest, with their statistics below the chart
+        this.rois.drawHistograms(ctx, width, height, windowLevel);
+        this.rois.updateStatsPanel();
+
+        // Draw grid lines
+        ctx.strokeStyle = '#444444';
+        ctx.lineWidth = 0.5;
+        
         for (let i = 0; i <= 4; i++) {
             const x = (i / 4) * width;
             ctx.beginPath();
@@ -455,6 +1177,71 @@ export class RadiographViewer {
         }
 
         // Draw transfer curve
+        if (windowLevel) {
+            this.drawWindowCurve(ctx, width, height);
+        } else {
+            this.drawBrightnessContrastCurve(ctx, width, height);
+
+            // The editable curve with its handles, on top of the combined curve
+            drawCurve(ctx, this.toneCurve || createDefaultCurve(), width, height);
+        }
+
+        // Draw diagonal reference line
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.2)';
+        ctx.lineWidth = 1;
+        ctx.setLineDash([5, 5]);
+        ctx.beginPath();
+        ctx.moveTo(0, height);
+        ctx.lineTo(width, 0);
+        ctx.stroke();
+        ctx.setLineDash([]);
+
+        // Add axis labels
+        ctx.fillStyle = '#888888';
+        ctx.font = '10px sans-serif';
+        const minLabel = windowLevel ? this.formatWindowValue(this.originalImage.min) : '0';
+        const maxLabel = windowLevel ? this.formatWindowValue(this.originalImage.max) : '255';
+        ctx.fillText(minLabel, 2, height - 2);
+        ctx.fillText(maxLabel, width - ctx.measureText(maxLabel).width - 2, height - 2);
+        ctx.fillText('Input →', width / 2 - 20, height - 2);
+        
+        ctx.save();
+        ctx.translate(10, height / 2);
+        ctx.rotate(-Math.PI / 2);
+        ctx.fillText('Output →', -25, 0);
+        ctx.restore();
+    }
+
+    /**
+     * Draw a histogram as an outline over the bars, on its own scale
+     * @private
+     */
+    drawHistogramOutline(ctx, bins, width, height) {
+        const maxValue = Math.max(...bins);
+        if (maxValue === 0) return;
+
+        ctx.strokeStyle = 'rgba(0, 169, 224, 0.9)';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+
+        for (let i = 0; i < 256; i++) {
+            const x = (i / 255) * width;
+            const y = height - (bins[i] / maxValue) * height * 0.8;
+
+            if (i === 0) {
+                ctx.moveTo(x, y);
+            } else {
+                ctx.lineTo(x, y);
+            }
+        }
+        ctx.stroke();
+    }
+
+    /**
+     * Draw the brightness/contrast transfer curve on the histogram
+     * @private
+     */
+    drawBrightnessContrastCurve(ctx, width, height) {
         ctx.strokeStyle = '#00ff00';
         ctx.lineWidth = 2;
         ctx.beginPath();
@@ -487,6 +1274,11 @@ export class RadiographViewer {
 
             output = Math.max(0, Math.min(255, output));
 
+            // Then the edited transfer curve
+            if (this.toneCurveLut) {
+                output = this.toneCurveLut[Math.round(output)];
+            }
+
             // Apply inversion to the curve if inverted
             if (isInverted) {
                 output = 255 - output;
@@ -502,29 +1294,72 @@ export class RadiographViewer {
             }
         }
         ctx.stroke();
+    }
 
-        // Draw diagonal reference line
-        ctx.strokeStyle = 'rgba(255, 255, 255, 0.2)';
-        ctx.lineWidth = 1;
-        ctx.setLineDash([5, 5]);
+    /**
+     * Draw the window level transfer curve and the window edges on the histogram
+     * @private
+     */
+    drawWindowCurve(ctx, width, height) {
+        const { min, max, monochrome1 } = this.originalImage;
+        const range = Math.max(max - min, Number.EPSILON);
+        const low = this.windowCenter - this.windowWidth / 2;
+        const high = this.windowCenter + this.windowWidth / 2;
+        const flip = monochrome1 !== this.isInverted;
+
+        ctx.strokeStyle = '#00ff00';
+        ctx.lineWidth = 2;
         ctx.beginPath();
-        ctx.moveTo(0, height);
-        ctx.lineTo(width, 0);
+
+        for (let i = 0; i <= 255; i++) {
+            const input = min + (i / 255) * range;
+            let output = Math.max(0, Math.min(255, (input - low) / this.windowWidth * 255));
+
+            if (flip) {
+                output = 255 - output;
+            }
+
+            const x = (i / 255) * width;
+            const y = height - (output / 255) * height;
+
+            if (i === 0) {
+                ctx.moveTo(x, y);
+            } else {
+                ctx.lineTo(x, y);
+            }
+        }
         ctx.stroke();
-        ctx.setLineDash([]);
 
-        // Add axis labels
-        ctx.fillStyle = '#888888';
+        // Mark the window edges
+        ctx.strokeStyle = '#ffcc00';
+        ctx.fillStyle = '#ffcc00';
+        ctx.lineWidth = 1;
         ctx.font = '10px sans-serif';
-        ctx.fillText('0', 2, height - 2);
-        ctx.fillText('255', width - 20, height - 2);
-        ctx.fillText('Input →', width / 2 - 20, height - 2);
-        
-        ctx.save();
-        ctx.translate(10, height / 2);
-        ctx.rotate(-Math.PI / 2);
-        ctx.fillText('Output →', -25, 0);
-        ctx.restore();
+        ctx.setLineDash([3, 3]);
+
+        [low, high].forEach((edge, index) => {
+            const x = ((edge - min) / range) * width;
+            if (x < 0 || x > width) return;
+
+            ctx.beginPath();
+            ctx.moveTo(x, 0);
+            ctx.lineTo(x, height);
+            ctx.stroke();
+
+            const label = this.formatWindowValue(edge);
+            const labelX = index === 0 ? x - ctx.measureText(label).width - 3 : x + 3;
+            ctx.fillText(label, Math.max(2, Math.min(width - ctx.measureText(label).width - 2, labelX)), 10);
+        });
+
+        ctx.setLineDash([]);
+    }
+
+    /**
+     * Format a source value with the precision used by the window level inputs
+     * @private
+     */
+    formatWindowValue(value) {
+        return value.toFixed(this.getWindowDecimals());
     }
     
     /**
@@ -532,6 +1367,8 @@ export class RadiographViewer {
      * @private
      */
     updateHistogram() {
+        if (!this.isActive) return;
+
         const histogramPanel = document.getElementById('histogramPanel');
         if (histogramPanel && histogramPanel.style.display !== 'none') {
             this.drawHistogram();
@@ -569,6 +1406,21 @@ export class RadiographViewer {
         this.updateCanvasTransform();
     }
 
+    /**
+     * Set zoom and pan together, e.g. to match another pane
+     * @param {number} zoom - Zoom level
+     * @param {number} panX - Horizontal offset in container pixels
+     * @param {number} panY - Vertical offset in container pixels
+     */
+    setView(zoom, panX, panY) {
+        this.zoom = Math.max(CONFIG.MIN_ZOOM, Math.min(CONFIG.MAX_ZOOM, zoom));
+        this.panX = panX;
+        this.panY = panY;
+
+        this.updateZoomDisplay();
+        this.updateCanvasTransform();
+    }
+
     /**
      * Update canvas CSS transform
      * FIXED: Using translate3d for GPU acceleration
@@ -577,6 +1429,381 @@ export class RadiographViewer {
     updateCanvasTransform() {
         // Use translate3d instead of translate for better GPU acceleration
         this.canvas.style.transform = `translate3d(${this.panX}px, ${this.panY}px, 0) scale(${this.zoom})`;
+
+        // Overlay graphics are drawn in screen space and must follow the image
+        this.overlay.requestRender();
+        this.loupe.requestRender();
+
+        this.notifyStateChanged();
+    }
+
+    /**
+     * Let the undo history and other listeners know that the viewer state changed.
+     * Called for every adjustment and view change; listeners coalesce the calls themselves.
+     */
+    notifyStateChanged() {
+        if (!this.originalImage) return;
+
+        this.history.schedule();
+        window.dispatchEvent(new CustomEvent('viewerStateChanged', {
+            detail: { viewer: this }
+        }));
+    }
+
+    /**
+     * Get a snapshot of the adjustments, view and overlay contents
+     * @returns {Object} Plain serializable state
+     */
+    getState() {
+        return {
+            brightness: this.brightness,
+            contrast: this.contrast,
+            edgeEnhancement: this.edgeEnhancement,
+            isInverted: this.isInverted,
+            noiseFilter: this.noiseFilter,
+            noiseStrength: this.noiseStrength,
+            equalization: this.equalization,
+            claheTileSize: this.claheTileSize,
+            claheClipLimit: this.claheClipLimit,
+            toneCurve: this.toneCurve ? JSON.parse(JSON.stringify(this.toneCurve)) : null,
+            colorMap: this.colorMap,
+            transform: { ...this.transform, crop: this.transform.crop ? { ...this.transform.crop } : null },
+            adjustmentMode: this.adjustmentMode,
+            windowCenter: this.windowCenter,
+            windowWidth: this.windowWidth,
+            windowPreset: this.windowPreset,
+            zoom: this.zoom,
+            panX: this.panX,
+            panY: this.panY,
+            pixelSpacing: this.pixelSpacing ? { ...this.pixelSpacing } : null,
+            annotations: this.annotations.getState(),
+            measurements: this.measurements.getState(),
+            rois: this.rois.getState(),
+            profile: this.profile.getState()
+        };
+    }
+
+    /**
+     * Restore a snapshot from getState(). Missing or invalid fields keep their current value.
+     * @param {Object} state - Full or partial state
+     */
+    applyState(state) {
+        if (!this.originalImage || !state) return;
+
+        // Geometry first: it moves the overlay, which the state below may then replace
+        if (state.transform) {
+            const transform = normalizeTransform(state.transform);
+            if (JSON.stringify(transform) !== JSON.stringify(this.transform)) {
+                this.applyTransform(transform);
+            }
+        }
+
+        const number = (value, fallback) => (typeof value === 'number' && isFinite(value) ? value : fallback);
+        const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+
+        this.brightness = clamp(number(state.brightness, this.brightness), -100, 100);
+        this.contrast = clamp(number(state.contrast, this.contrast), -100, 100);
+        this.edgeEnhancement = clamp(number(state.edgeEnhancement, this.edgeEnhancement), 0, 10);
+        if (typeof state.isInverted === 'boolean') {
+            this.isInverted = state.isInverted;
+        }
+        if (NOISE_FILTERS.includes(state.noiseFilter)) {
+            this.noiseFilter = state.noiseFilter;
+        }
+        this.noiseStrength = clamp(Math.round(number(state.noiseStrength, this.noiseStrength)), 1, 10);
+        if (EQUALIZATION_METHODS.includes(state.equalization)) {
+            this.equalization = state.equalization;
+        }
+        this.claheTileSize = clamp(Math.round(number(state.claheTileSize, this.claheTileSize)), 16, 512);
+        this.claheClipLimit = clamp(number(state.claheClipLimit, this.claheClipLimit), 1, 10);
+        if (state.toneCurve !== undefined) {
+            this.setToneCurveValue(state.toneCurve);
+        }
+        if (COLOR_MAPS.includes(state.colorMap)) {
+            this.setColorMapValue(state.colorMap);
+        }
+
+        if (state.adjustmentMode === 'brightnessContrast' || state.adjustmentMode === 'windowLevel') {
+            this.adjustmentMode = state.adjustmentMode;
+        }
+        this.windowCenter = number(state.windowCenter, this.windowCenter);
+        this.windowWidth = Math.max(Number.EPSILON, number(state.windowWidth, this.windowWidth));
+        if (typeof state.windowPreset === 'string') {
+            this.windowPreset = state.windowPreset;
+        }
+
+        this.zoom = clamp(number(state.zoom, this.zoom), CONFIG.MIN_ZOOM, CONFIG.MAX_ZOOM);
+        this.panX = number(state.panX, this.panX);
+        this.panY = number(state.panY, this.panY);
+
+        if (state.pixelSpacing !== undefined) {
+            this.pixelSpacing = state.pixelSpacing ? { ...state.pixelSpacing } : null;
+        }
+        if (state.annotations) {
+            this.annotations.setState(state.annotations);
+        }
+        if (state.measurements) {
+            this.measurements.setState(state.measurements);
+        }
+        if (state.rois) {
+            this.rois.setState(state.rois);
+        }
+        if (state.profile) {
+            this.profile.setState(state.profile);
+        }
+
+        this.updateUIControls();
+        this.updateZoomDisplay();
+        this.updateScaleInfo();
+        this.updateCanvasTransform();
+        this.processImage();
+    }
+
+    /**
+     * Undo the last change
+     */
+    undo() {
+        if (this.history.undo()) {
+            this.announceToScreenReader('Undo');
+        }
+    }
+
+    /**
+     * Redo the last undone change
+     */
+    redo() {
+        if (this.history.redo()) {
+            this.announceToScreenReader('Redo');
+        }
+    }
+
+    /**
+     * Convert client (page) coordinates to image pixel coordinates
+     * @param {number} clientX - X coordinate relative to the viewport
+     * @param {number} clientY - Y coordinate relative to the viewport
+     * @returns {{x: number, y: number}} Point in image pixels (may lie outside the image)
+     */
+    clientToImage(clientX, clientY) {
+        const rect = this.canvas.parentElement.getBoundingClientRect();
+        return {
+            x: (clientX - rect.left - this.panX) / this.zoom,
+            y: (clientY - rect.top - this.panY) / this.zoom
+        };
+    }
+
+    /**
+     * Convert image pixel coordinates to coordinates within the viewer container
+     * @param {number} x - X in image pixels
+     * @param {number} y - Y in image pixels
+     * @returns {{x: number, y: number}} Point in container pixels
+     */
+    imageToContainer(x, y) {
+        return {
+            x: x * this.zoom + this.panX,
+            y: y * this.zoom + this.panY
+        };
+    }
+
+    /**
+     * Rotate, flip or crop the image and fit the result in the viewer.
+     * Annotations and measurements move with the image.
+     * @param {Object} transform - Transform (see image-transform.js)
+     */
+    setTransform(transform) {
+        if (!this.sourceImage) return;
+
+        this.applyTransform(normalizeTransform(transform));
+        this.resetView();
+    }
+
+    /**
+     * Change some fields of the transform, keeping the cropped area
+     * @private
+     */
+    changeTransform(changes) {
+        if (!this.sourceImage) return;
+
+        const { width, height } = this.sourceImage;
+        this.setTransform(changeTransform(width, height, this.transform, changes));
+    }
+
+    /**
+     * Rotate the image clockwise
+     * @param {number} degrees - Angle to add, e.g. 90 or -90
+     */
+    rotate(degrees) {
+        this.changeTransform({ rotation: this.transform.rotation + degrees });
+    }
+
+    /**
+     * Set the rotation angle
+     * @param {number} degrees - Clockwise angle
+     */
+    setRotation(degrees) {
+        if (!isFinite(degrees)) return;
+        this.changeTransform({ rotation: degrees });
+    }
+
+    /**
+     * Mirror the image as it is shown on screen
+     * @param {string} axis - 'horizontal' (left-right) or 'vertical' (top-bottom)
+     */
+    flip(axis) {
+        // Mirroring after the rotation equals mirroring the source and reversing the rotation
+        const changes = { rotation: -this.transform.rotation };
+        if (axis === 'horizontal') {
+            changes.flipH = !this.transform.flipH;
+        } else if (axis === 'vertical') {
+            changes.flipV = !this.transform.flipV;
+        } else {
+            return;
+        }
+        this.changeTransform(changes);
+    }
+
+    /**
+     * Rotate so that a line drawn on the image becomes horizontal or vertical, whichever is nearer
+     * @param {{x: number, y: number}} a - Line start in image coordinates
+     * @param {{x: number, y: number}} b - Line end in image coordinates
+     */
+    straighten(a, b) {
+        const angle = getStraightenAngle(a, b);
+        if (Math.abs(angle) < 0.05) return;
+        this.rotate(-angle);
+    }
+
+    /**
+     * Crop to a rectangle of the current image
+     * @param {{x: number, y: number, width: number, height: number}} rect - Area in image coordinates
+     */
+    cropTo(rect) {
+        if (!this.originalImage) return;
+
+        const left = Math.max(0, Math.floor(rect.x));
+        const top = Math.max(0, Math.floor(rect.y));
+        const right = Math.min(this.originalImage.width, Math.ceil(rect.x + rect.width));
+        const bottom = Math.min(this.originalImage.height, Math.ceil(rect.y + rect.height));
+
+        // The crop is stored relative to the uncropped, rotated image
+        const offset = this.transform.crop || { x: 0, y: 0 };
+        this.changeTransform({
+            crop: { x: offset.x + left, y: offset.y + top, width: right - left, height: bottom - top }
+        });
+    }
+
+    /**
+     * Show the whole image again, keeping rotation and flip
+     */
+    clearCrop() {
+        if (this.transform.crop) {
+            this.changeTransform({ crop: null });
+        }
+    }
+
+    /**
+     * Build the transformed image and move the overlay and pixel spacing along with it
+     * @private
+     * @param {Object} transform - Normalized transform
+     */
+    applyTransform(transform) {
+        const { width, height } = this.sourceImage;
+        const previous = getTransformGeometry(width, height, this.transform);
+        const next = getTransformGeometry(width, height, transform);
+
+        this.overlay.mapPoints(point => next.fromSource(previous.toSource(point)));
+
+        // Rows and columns trade places when the image turns a quarter
+        const quarterTurns = (t) => Math.abs(Math.round(t.rotation / 90)) % 2;
+        if (this.pixelSpacing && quarterTurns(this.transform) !== quarterTurns(transform)) {
+            const { row, column } = this.pixelSpacing;
+            this.pixelSpacing = { ...this.pixelSpacing, row: column, column: row };
+        }
+
+        this.transform = { ...transform, crop: next.crop };
+        this.originalImage = transformImage(this.sourceImage, this.transform);
+        this.displayData = null;
+        this.sourceHistogram = null;
+        this.equalizationHistogram = null;
+
+        this.canvas.width = this.originalImage.width;
+        this.canvas.height = this.originalImage.height;
+
+        this.updateTransformControls();
+        this.updateScaleInfo();
+    }
+
+    /**
+     * Map a point of the current image to the image as loaded
+     * @param {{x: number, y: number}} point - Point in image coordinates
+     * @returns {{x: number, y: number}} Point in the loaded file's pixel coordinates
+     */
+    toSourcePoint(point) {
+        if (!this.sourceImage) return point;
+        return getTransformGeometry(this.sourceImage.width, this.sourceImage.height, this.transform).toSource(point);
+    }
+
+    /**
+     * Map a point of the image as loaded to the current image
+     * @param {{x: number, y: number}} point - Point in the loaded file's pixel coordinates
+     * @returns {{x: number, y: number}} Point in image coordinates
+     */
+    fromSourcePoint(point) {
+        if (!this.sourceImage) return point;
+        return getTransformGeometry(this.sourceImage.width, this.sourceImage.height, this.transform).fromSource(point);
+    }
+
+    /**
+     * Update the rotation angle, flip buttons and the uncrop button
+     * @private
+     */
+    updateTransformControls() {
+        if (!this.isActive) return;
+
+        const angleInput = document.getElementById('rotationAngle');
+        if (!angleInput) return;
+
+        angleInput.value = this.transform.rotation;
+        [['flipHBtn', this.transform.flipH], ['flipVBtn', this.transform.flipV]].forEach(([id, active]) => {
+            const button = document.getElementById(id);
+            button.classList.toggle('active', active);
+            button.setAttribute('aria-pressed', active ? 'true' : 'false');
+        });
+        document.getElementById('uncropBtn').disabled = this.transform.crop === null;
+    }
+
+    /**
+     * Set an isotropic pixel spacing, e.g. from a calibration line
+     * @param {number} mmPerPixel - Pixel size in mm
+     * @param {string} [source='calibration'] - Where the spacing came from
+     */
+    setPixelSpacing(mmPerPixel, source = 'calibration') {
+        if (!isFinite(mmPerPixel) || mmPerPixel <= 0) return;
+
+        this.pixelSpacing = { row: mmPerPixel, column: mmPerPixel, source };
+        this.updateScaleInfo();
+        this.overlay.requestRender();
+        this.notifyStateChanged();
+        this.announceToScreenReader(`Scale set to ${mmPerPixel.toFixed(4)} mm per pixel`);
+    }
+
+    /**
+     * Show the pixel spacing in the info panel
+     * @private
+     */
+    updateScaleInfo() {
+        if (!this.isActive) return;
+
+        const infoScale = document.getElementById('infoScale');
+        if (!infoScale) return;
+
+        if (!this.pixelSpacing) {
+            infoScale.textContent = languageManager.get('labels.uncalibrated');
+            return;
+        }
+
+        const { row, column, source } = this.pixelSpacing;
+        const spacing = row === column ? row.toFixed(4) : `${row.toFixed(4)} x ${column.toFixed(4)}`;
+        infoScale.textContent = `${spacing} mm/px (${languageManager.get(`labels.scaleSource.${source}`)})`;
     }
 
     /**
@@ -584,6 +1811,8 @@ export class RadiographViewer {
      * @private
      */
     updateZoomDisplay() {
+        if (!this.isActive) return;
+
         const percent = Math.round(this.zoom * 100);
         document.getElementById('zoomDisplay').textContent = `${percent}%`;
         document.getElementById('infoZoom').textContent = `${percent}%`;
@@ -602,6 +1831,9 @@ export class RadiographViewer {
      * @param {string} size - Image dimensions
      */
     updateInfo(name, size) {
+        this.imageInfo = { name, size };
+        if (!this.isActive) return;
+
         document.getElementById('imageName').textContent = name;
         document.getElementById('imageSize').textContent = size;
     }
@@ -615,7 +1847,11 @@ export class RadiographViewer {
             brightness: 0,
             contrast: 0,
             edgeEnhancement: 0,
-            isInverted: false
+            isInverted: false,
+            noiseFilter: 'none',
+            equalization: 'none',
+            windowCenter: this.windowCenter,
+            windowWidth: this.windowWidth
         };
     }
 
@@ -628,7 +1864,14 @@ export class RadiographViewer {
         return this.brightness !== this.originalState.brightness ||
                this.contrast !== this.originalState.contrast ||
                this.edgeEnhancement !== this.originalState.edgeEnhancement ||
-               this.isInverted !== this.originalState.isInverted;
+               this.isInverted !== this.originalState.isInverted ||
+               this.noiseFilter !== this.originalState.noiseFilter ||
+               this.equalization !== this.originalState.equalization ||
+               this.toneCurveLut !== null ||
+               this.colorMap !== 'grey' ||
+               !isIdentityTransform(this.transform) ||
+               this.windowCenter !== this.originalState.windowCenter ||
+               this.windowWidth !== this.originalState.windowWidth;
     }
 
     /**
@@ -661,12 +1904,20 @@ export class RadiographViewer {
      * Export current image to file
      * @param {string} format - Image format (png, jpeg)
      * @param {number} quality - Quality for JPEG (0-1)
+     * @param {Object} [options] - Export options
+     * @param {boolean} [options.annotations=false] - Burn the annotations into the exported image
      */
-    exportImage(format = 'png', quality = 0.95) {
+    exportImage(format = 'png', quality = 0.95, options = {}) {
         if (!this.hasImage()) return;
 
         try {
-            const dataUrl = this.canvas.toDataURL(`image/${format}`, quality);
+            let source = this.canvas;
+
+            if (options.annotations && this.annotations.hasAnnotations()) {
+                source = this.renderAnnotatedCanvas();
+            }
+
+            const dataUrl = source.toDataURL(`image/${format}`, quality);
             const link = document.createElement('a');
             link.download = `radiograph-adjusted.${format}`;
             link.href = dataUrl;
@@ -677,4 +1928,30 @@ export class RadiographViewer {
             this.announceToScreenReader('Image export failed');
         }
     }
+
+    /**
+     * Draw the processed image with its annotations at full image resolution
+     * @private
+     * @returns {HTMLCanvasElement} Annotated copy of the image canvas
+     */
+    renderAnnotatedCanvas() {
+        const { width, height } = this.canvas;
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(this.canvas, 0, 0);
+
+        // Annotations are drawn in image space; scale strokes and text with the image size
+        // so they look the same on a small periapical and a large panoramic
+        this.annotations.draw(ctx, {
+            zoom: 1,
+            scale: Math.max(1, Math.max(width, height) / 1000),
+            activeTool: null,
+            toScreen: (point) => point
+        });
+
+        return canvas;
+    }
 }
\ No newline at end of file
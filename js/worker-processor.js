@@ -0,0 +1,164 @@
+/**
+ * Radiograph Image Viewer - Background Processing
+ * Sends ImageProcessor.process jobs to a module worker, with an in-thread fallback
+ */
+
+/**
+ * Check if module workers can be used on this page.
+ * Browsers refuse to start workers from file:// pages, so the viewer opened straight from disk
+ * processes on the main thread as before.
+ * @private
+ */
+function canUseWorker() {
+    return typeof Worker !== 'undefined' && window.location.protocol !== 'file:';
+}
+
+/**
+ * WorkerProcessor class running image processing in a Web Worker.
+ * The worker keeps its own copy of the source image, so each job only sends the parameters
+ * and gets the display values back as a transferred buffer.
+ * If the worker can't be started or fails, jobs run synchronously with the given processor.
+ * @class
+ */
+export class WorkerProcessor {
+    /**
+     * Create a background processor
+     * @param {ImageProcessor} processor - Processor used in the worker's place when it is unavailable
+     */
+    constructor(processor) {
+        this.processor = processor;
+        this.worker = null;
+        this.workerImage = null;
+        this.workerFailed = !canUseWorker();
+
+        this.jobs = new Map();
+        this.nextJobId = 1;
+    }
+
+    /**
+     * Process an image with given parameters
+     * @param {LuminanceImage} image - Source image
+     * @param {Object} params - Parameters for ImageProcessor.process; must be structured-cloneable
+     * @returns {Promise<{values: Float32Array, info: Object}>} Display values and the intermediate
+     *     results ImageProcessor.process reports
+     */
+    process(image, params) {
+        const worker = this.getWorker();
+        if (!worker) {
+            return this.processSync(image, params);
+        }
+
+        // Send a copy, so the main thread keeps its source values for histograms and tools
+        if (this.workerImage !== image) {
+            const data = image.data.slice();
+            worker.postMessage({ type: 'image', image: { ...image, data } }, [data.buffer]);
+            this.workerImage = image;
+        }
+
+        const jobId = this.nextJobId++;
+
+        return new Promise((resolve, reject) => {
+            this.jobs.set(jobId, { resolve, reject, image, params });
+            worker.postMessage({ type: 'process', jobId, params });
+        });
+    }
+
+    /**
+     * Cancel the jobs sent to the worker, for when newer settings make them stale.
+     * The worker is stopped mid-job and started again by the next job, which sends it the source
+     * image again. Cancelled jobs reject with an AbortError. Main-thread jobs can't be interrupted
+     * and are left to finish.
+     */
+    cancel() {
+        if (!this.worker || this.jobs.size === 0) return;
+
+        this.worker.terminate();
+        this.worker = null;
+        this.workerImage = null;
+
+        const jobs = [...this.jobs.values()];
+        this.jobs.clear();
+        jobs.forEach(job => job.reject(new DOMException('Processing cancelled', 'AbortError')));
+    }
+
+    /**
+     * Process on the main thread, in the next animation frame like a worker reply would arrive
+     * @private
+     */
+    processSync(image, params) {
+        return new Promise((resolve, reject) => {
+            requestAnimationFrame(() => {
+                try {
+                    const info = {};
+                    const values = this.processor.process(image, params, info);
+                    resolve({ values, info });
+                } catch (error) {
+                    reject(error);
+                }
+            });
+        });
+    }
+
+    /**
+     * Start the worker on first use
+     * @private
+     * @returns {Worker|null} Worker, null if processing has to stay on the main thread
+     */
+    getWorker() {
+        if (this.worker || this.workerFailed) return this.worker;
+
+        try {
+            this.worker = new Worker(new URL('./processing-worker.js', import.meta.url), { type: 'module' });
+        } catch (error) {
+            console.warn('Image processing worker unavailable, processing on the main thread:', error);
+            this.workerFailed = true;
+            return null;
+        }
+
+        this.worker.addEventListener('message', (e) => this.onMessage(e.data));
+
+        // Browsers without module worker support report the failure here, not from the constructor
+        this.worker.addEventListener('error', (e) => {
+            e.preventDefault();
+            console.warn('Image processing worker failed, processing on the main thread:', e.message);
+            this.disableWorker();
+        });
+
+        return this.worker;
+    }
+
+    /**
+     * Settle the job a worker reply belongs to
+     * @private
+     */
+    onMessage(message) {
+        const job = this.jobs.get(message.jobId);
+        if (!job) return;
+
+        this.jobs.delete(message.jobId);
+
+        if (message.type === 'result') {
+            job.resolve({ values: message.values, info: message.info });
+        } else {
+            job.reject(new Error(message.message));
+        }
+    }
+
+    /**
+     * Stop using the worker and finish its pending jobs on the main thread
+     * @private
+     */
+    disableWorker() {
+        if (this.worker) {
+            this.worker.terminate();
+        }
+
+        this.worker = null;
+        this.workerImage = null;
+        this.workerFailed = true;
+
+        const jobs = [...this.jobs.values()];
+        this.jobs.clear();
+        jobs.forEach(job => this.processSync(job.image, job.params).then(job.resolve, job.reject));
+    }
+}
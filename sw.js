@@ -0,0 +1,168 @@
+/**
+ * Radiograph Image Viewer - Service Worker
+ * Caches the app shell so the viewer opens without a network, and serves the library images
+ * marked available offline
+ *
+ * The shell is served from the cache and refreshed in the background, so a classroom server
+ * update reaches students on their next visit. file_list.json is fetched first and only read
+ * from the cache when the network fails, so new cases show up as soon as there is a connection.
+ * Offline images are added and removed by js/offline-library.js; this worker only reads them.
+ */
+
+const SHELL_CACHE = 'shell-v2';
+
+// Must match OFFLINE_CACHE in js/offline-library.js
+const IMAGE_CACHE = 'offline-images';
+
+const SHELL_FILES = [
+    './',
+    './index.html',
+    './manifest.webmanifest',
+    './icons/icon.svg',
+    './js/languages.json',
+    './js/annotation-tools.js',
+    './js/app.js',
+    './js/case-manifest.js',
+    './js/case-package.js',
+    './js/color-maps.js',
+    './js/controls.js',
+    './js/curve-editor.js',
+    './js/deep-link.js',
+    './js/dicom-parser.js',
+    './js/fmx-mount.js',
+    './js/gallery.js',
+    './js/image-processor.js',
+    './js/image-transform.js',
+    './js/inflate.js',
+    './js/language-manager.js',
+    './js/line-profile.js',
+    './js/loupe.js',
+    './js/measurement-tools.js',
+    './js/offline-library.js',
+    './js/overlay.js',
+    './js/processing-worker.js',
+    './js/quiz-mode.js',
+    './js/roi-tools.js',
+    './js/session-store.js',
+    './js/split-view.js',
+    './js/tooth-chart.js',
+    './js/transform-tools.js',
+    './js/undo-history.js',
+    './js/utils.js',
+    './js/viewer.js',
+    './js/worker-processor.js'
+];
+
+const MANIFEST_PATH = new URL('./images/file_list.json', self.location).pathname;
+const IMAGES_PATH = new URL('./images/', self.location).pathname;
+
+self.addEventListener('install', (event) => {
+    event.waitUntil((async () => {
+        const cache = await caches.open(SHELL_CACHE);
+        await cache.addAll(SHELL_FILES);
+
+        // Not every server has a case library
+        try {
+            await cache.add('./images/file_list.json');
+        } catch (error) {
+            console.warn('file_list.json not cached:', error);
+        }
+
+        await self.skipWaiting();
+    })());
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const names = await caches.keys();
+        await Promise.all(names
+            .filter(name => name.startsWith('shell-') && name !== SHELL_CACHE)
+            .map(name => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    const url = new URL(request.url);
+    if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+    if (url.pathname === MANIFEST_PATH) {
+        event.respondWith(networkFirst(request));
+    } else if (url.pathname.startsWith(IMAGES_PATH)) {
+        event.respondWith(offlineImage(request));
+    } else {
+        event.respondWith(staleWhileRevalidate(event, request));
+    }
+});
+
+/**
+ * Fetch from the network and keep a copy, falling back to the copy when offline
+ * @param {Request} request - Request
+ * @returns {Promise<Response>} Response
+ */
+async function networkFirst(request) {
+    const cache = await caches.open(SHELL_CACHE);
+
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            await cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await cache.match(request);
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+/**
+ * Answer from the cache at once and refresh the copy in the background
+ * @param {FetchEvent} event - Fetch event, kept alive until the refresh finishes
+ * @param {Request} request - Request
+ * @returns {Promise<Response>} Response
+ */
+async function staleWhileRevalidate(event, request) {
+    const cache = await caches.open(SHELL_CACHE);
+
+    // Shared links carry the view in the query string, so pages are kept without it
+    const url = new URL(request.url);
+    const key = request.mode === 'navigate' ? url.origin + url.pathname : request;
+    const cached = await cache.match(key);
+
+    const refresh = fetch(request)
+        .then(async (response) => {
+            if (response.ok) {
+                await cache.put(key, response.clone());
+            }
+            return response;
+        });
+
+    if (cached) {
+        event.waitUntil(refresh.catch(() => {}));
+        return cached;
+    }
+
+    try {
+        return await refresh;
+    } catch (error) {
+        // Offline with a page that was never cached under this URL
+        if (request.mode === 'navigate') {
+            const index = await cache.match('./index.html');
+            if (index) return index;
+        }
+        throw error;
+    }
+}
+
+/**
+ * Serve an image marked available offline from its cache, anything else from the network
+ * @param {Request} request - Request
+ * @returns {Promise<Response>} Response
+ */
+async function offlineImage(request) {
+    const cache = await caches.open(IMAGE_CACHE);
+    const cached = await cache.match(request);
+    return cached || fetch(request);
+}